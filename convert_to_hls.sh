@@ -88,9 +88,12 @@ main() {
         fi
     done
     
-    # 生成index.json配置文件
-    echo -e "${BLUE}📝 生成配置文件...${NC}"
-    cat > "${HLS_DIR}/index.json" << EOF
+    # 生成index.json配置文件；已存在且可以测量响度时保留（其中可能有宏音效定义），新音效在测量时加入
+    if [ -f "${HLS_DIR}/index.json" ] && command -v node &> /dev/null; then
+        echo -e "${BLUE}📝 保留现有配置文件，新音效在测量响度时加入${NC}"
+    else
+        echo -e "${BLUE}📝 生成配置文件...${NC}"
+        cat > "${HLS_DIR}/index.json" << EOF
 {
 $(
     first=true
@@ -108,6 +111,15 @@ $(
 )
 }
 EOF
+    fi
+    
+    # 测量响度并写入index.json，播放器据此统一各音效的听感响度
+    if command -v node &> /dev/null; then
+        echo -e "${BLUE}🎚️  测量响度...${NC}"
+        node measure_loudness.js "${HLS_DIR}"
+    else
+        echo -e "${YELLOW}⚠️  未找到node，跳过响度测量，请稍后运行: node measure_loudness.js${NC}"
+    fi
     
     echo -e "${GREEN}🎉 所有文件转换完成!${NC}"
     echo -e "${BLUE}📊 转换统计:${NC}"
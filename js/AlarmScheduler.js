@@ -0,0 +1,221 @@
+/**
+ * AlarmScheduler - 唤醒闹钟调度模块
+ * 在TimerManager倒计时之上按绝对时钟时间调度：
+ *   等待阶段倒计时到渐强开始时间，渐强阶段倒计时到闹钟时间
+ * 每次更新都以Date.now()校准，处理跨越午夜、页面隐藏时的定时器节流和系统休眠
+ */
+class AlarmScheduler {
+    constructor() {
+        this.timer = new TimerManager();
+        this.state = 'idle'; // idle / waiting / ramping
+        this.targetTime = null; // 闹钟时间（毫秒时间戳）
+        this.windowMs = 0; // 渐强时长（毫秒）
+        this.onRamp = null; // 渐强开始或校准时回调 (remainingMs)
+        this.onComplete = null; // 到达闹钟时间时回调
+        this.onUpdate = null; // 状态更新回调 (status)
+    }
+
+    /**
+     * 解析"HH:MM"并计算下一次出现的时间，已过去的时间顺延到次日
+     * @param {string} timeText - 时钟时间，例如"07:00"
+     * @param {Date} now - 当前时间
+     * @returns {Date|null} 下一次闹钟时间，格式无效时返回null
+     */
+    static getNextOccurrence(timeText, now = new Date()) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(timeText || '').trim());
+        if (!match) {
+            return null;
+        }
+
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        if (hours > 23 || minutes > 59) {
+            return null;
+        }
+
+        const target = new Date(now.getTime());
+        target.setHours(hours, minutes, 0, 0);
+
+        // 跨越午夜：使用setDate顺延，夏令时切换时仍保持本地时钟时间
+        if (target.getTime() <= now.getTime()) {
+            target.setDate(target.getDate() + 1);
+        }
+
+        return target;
+    }
+
+    /**
+     * 设定闹钟
+     * @param {Object} options - { time: "HH:MM", windowMinutes }
+     * @param {Object} callbacks - { onRamp, onComplete, onUpdate }
+     * @returns {Date|null} 闹钟时间，失败返回null
+     */
+    schedule(options, callbacks = {}) {
+        const target = AlarmScheduler.getNextOccurrence(options.time);
+        if (!target) {
+            console.error(`无效的闹钟时间: ${options.time}`);
+            return null;
+        }
+
+        this.cancel();
+
+        this.targetTime = target.getTime();
+        this.windowMs = Math.max(0, (Number(options.windowMinutes) || 0) * 60 * 1000);
+        this.onRamp = callbacks.onRamp || null;
+        this.onComplete = callbacks.onComplete || null;
+        this.onUpdate = callbacks.onUpdate || null;
+
+        this.state = 'waiting';
+        this.resync();
+
+        console.log(`闹钟已设定: ${target.toLocaleString()}`);
+        return target;
+    }
+
+    /**
+     * 取消闹钟
+     * @returns {boolean} 是否取消了已设定的闹钟
+     */
+    cancel() {
+        const wasScheduled = this.state !== 'idle';
+
+        this.timer.cancel();
+        this.state = 'idle';
+        this.targetTime = null;
+        this.windowMs = 0;
+        this.onRamp = null;
+        this.onComplete = null;
+        this.onUpdate = null;
+
+        if (wasScheduled) {
+            console.log('闹钟已取消');
+        }
+
+        return wasScheduled;
+    }
+
+    /**
+     * 是否已设定闹钟
+     * @returns {boolean}
+     */
+    isScheduled() {
+        return this.state !== 'idle';
+    }
+
+    /**
+     * 获取渐强开始时间
+     * @returns {number} 毫秒时间戳
+     */
+    getRampStartTime() {
+        return this.targetTime - this.windowMs;
+    }
+
+    /**
+     * 按当前时钟时间校准阶段和倒计时
+     * 页面重新可见或定时器可能被推迟时调用
+     */
+    resync() {
+        if (this.state === 'idle') {
+            return;
+        }
+
+        const now = Date.now();
+
+        if (now >= this.targetTime) {
+            this.complete();
+            return;
+        }
+
+        if (this.state === 'waiting' && now >= this.getRampStartTime()) {
+            this.state = 'ramping';
+        }
+
+        const phaseEnd = this.state === 'waiting' ? this.getRampStartTime() : this.targetTime;
+        this.timer.start(
+            (phaseEnd - now) / 60000,
+            () => this.resync(),
+            () => this.handleTick()
+        );
+
+        // 渐强阶段（包括校准后）始终以剩余时长重新下发
+        if (this.state === 'ramping' && this.onRamp) {
+            this.onRamp(this.targetTime - now);
+        }
+
+        this.notifyUpdate();
+    }
+
+    /**
+     * 每秒更新：系统休眠会暂停setTimeout，以时钟时间检查是否已错过阶段终点
+     * @private
+     */
+    handleTick() {
+        const phaseEnd = this.state === 'waiting' ? this.getRampStartTime() : this.targetTime;
+
+        if (Date.now() >= phaseEnd) {
+            this.resync();
+        } else {
+            this.notifyUpdate();
+        }
+    }
+
+    /**
+     * 到达闹钟时间
+     * @private
+     */
+    complete() {
+        const onComplete = this.onComplete;
+        this.onUpdate = null;
+        this.cancel();
+
+        if (onComplete) {
+            try {
+                onComplete();
+            } catch (error) {
+                console.error('闹钟回调执行失败:', error);
+            }
+        }
+    }
+
+    /**
+     * 通知状态更新
+     * @private
+     */
+    notifyUpdate() {
+        if (!this.onUpdate) {
+            return;
+        }
+
+        try {
+            this.onUpdate(this.getStatus());
+        } catch (error) {
+            console.error('闹钟状态更新失败:', error);
+        }
+    }
+
+    /**
+     * 获取闹钟状态
+     * @returns {Object} 状态信息对象
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            targetTime: this.targetTime,
+            rampStartTime: this.targetTime !== null ? this.getRampStartTime() : null,
+            remainingTime: this.targetTime !== null ? Math.max(0, this.targetTime - Date.now()) : 0
+        };
+    }
+
+    /**
+     * 销毁调度器
+     */
+    destroy() {
+        this.cancel();
+        this.timer.destroy();
+    }
+}
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.AlarmScheduler = AlarmScheduler;
+}
@@ -0,0 +1,525 @@
+/**
+ * AudioGraph - 共享Web Audio音频图
+ * 所有音源（HLS音频元素、AudioBuffer音源）经由同一个AudioContext输出：
+ *   音源 -> 元素淡入淡出GainNode -> 音效通道(input -> eq -> fade -> gain -> modulator -> panner -> dry) -> 叠加补偿GainNode
+ *     -> 主音量GainNode -> 主滤波器 -> 动态处理（压缩+限幅） -> destination
+ *   音效通道的panner -> send -> 混响环境 -> 叠加补偿GainNode（干湿比按音效设置）
+ * 音量和淡入淡出均通过计划的增益斜坡实现（iOS会忽略audio.volume）
+ * 通道input节点的增益用于响度归一化，不随音量变化
+ */
+class AudioGraph {
+    constructor() {
+        this.context = null;
+        this.masterGain = null;
+        this.channels = new Map(); // 音效名称 -> { input, eq, fade, gain, modulator, panner, dry, send }
+        this.channelEq = new Map(); // 音效名称 -> 均衡器增益，通道创建前设置的值在创建时应用
+        this.channelTrims = new Map(); // 音效名称 -> 响度归一化增益（线性）
+        this.channelPositions = new Map(); // 音效名称 -> 空间位置 { x, y, drift }
+        this.channelReverb = new Map(); // 音效名称 -> 混响湿声比例 (0-1)
+        this.channelModulation = new Map(); // 音效名称 -> 起伏调制设置 { shape, period, depth, filter }
+        this.reverb = null; // 所有音效共用的混响环境
+        this.reverbPreset = 'none';
+        this.masterFilter = null;
+        this.masterFilterSettings = { muffle: 0, highpass: 20 };
+        this.dynamics = null; // 主输出压缩器与限幅器
+        this.layerBus = null; // 所有音效通道的汇总节点，按叠加层数降低增益
+        this.layerCompensation = 1;
+        this.externalLayers = new Map(); // 直接接入汇总节点的其他音源管理器 -> 正在播放的音效数量
+        this.onExternalLayersChange = null; // 外部音源数量变化回调，由计算叠加补偿的管理器设置
+        this.mediaSources = new WeakMap(); // 音频元素 -> { source, fader }
+        this.masterVolume = 0.7;
+        this.masterFadeLevel = 1; // 主音量渐弱系数（睡眠定时器），与主音量相乘
+        this.defaultRampTime = 0.05; // 默认斜坡时长（秒），避免音量突变产生爆音
+    }
+
+    /**
+     * 检查浏览器是否支持Web Audio API
+     * @returns {boolean} 是否支持
+     */
+    isSupported() {
+        return !!(window.AudioContext || window.webkitAudioContext);
+    }
+
+    /**
+     * 获取AudioContext（首次调用时创建）
+     * @returns {AudioContext} 共享的AudioContext
+     */
+    getContext() {
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) {
+                throw new Error('浏览器不支持Web Audio API');
+            }
+
+            this.context = new AudioContextClass();
+            this.masterGain = this.context.createGain();
+            this.masterGain.gain.value = this.getMasterLevel();
+            this.masterFilter = new MasterFilter(this.context, this.masterFilterSettings);
+            this.dynamics = new MasterDynamics(this.context);
+            this.masterGain.connect(this.masterFilter.input);
+            this.masterFilter.output.connect(this.dynamics.input);
+            this.dynamics.output.connect(this.context.destination);
+
+            this.layerBus = this.context.createGain();
+            this.layerBus.gain.value = this.layerCompensation;
+            this.layerBus.connect(this.masterGain);
+
+            this.reverb = new ReverbEnvironment(this.context, this.reverbPreset);
+            this.reverb.output.connect(this.layerBus);
+
+            console.log('共享AudioContext已创建');
+        }
+
+        return this.context;
+    }
+
+    /**
+     * 获取主音量输入节点，音效汇总节点和提示音等不参与叠加补偿的音源连接到这里
+     * @returns {GainNode} 主音量GainNode
+     */
+    getMasterInput() {
+        this.getContext();
+        return this.masterGain;
+    }
+
+    /**
+     * 获取音效汇总节点，其他音源的干声连接到这里，与音效通道一起参与叠加补偿
+     * @returns {GainNode} 汇总节点
+     */
+    getLayerInput() {
+        this.getContext();
+        return this.layerBus;
+    }
+
+    /**
+     * 记录其他音源管理器正在播放的音效数量，计入叠加层数
+     * @param {Object} owner - 音源管理器
+     * @param {number} count - 正在播放的音效数量
+     */
+    setExternalLayers(owner, count) {
+        if (count > 0) {
+            this.externalLayers.set(owner, count);
+        } else {
+            this.externalLayers.delete(owner);
+        }
+
+        if (this.onExternalLayersChange) {
+            this.onExternalLayersChange();
+        }
+    }
+
+    /**
+     * 获取其他音源管理器正在播放的音效总数
+     * @returns {number}
+     */
+    getExternalLayerCount() {
+        let count = 0;
+        this.externalLayers.forEach((layers) => {
+            count += layers;
+        });
+        return count;
+    }
+
+    /**
+     * 获取混响环境的输入节点，其他音源的湿声连接到这里
+     * @returns {GainNode} 混响环境输入
+     */
+    getReverbInput() {
+        this.getContext();
+        return this.reverb.input;
+    }
+
+    /**
+     * 获取AudioContext状态
+     * @returns {string} 状态，未创建时为'closed'
+     */
+    getState() {
+        return this.context ? this.context.state : 'closed';
+    }
+
+    /**
+     * 恢复AudioContext（处理自动播放策略）
+     */
+    async resume() {
+        const context = this.getContext();
+        if (context.state === 'suspended') {
+            await context.resume();
+        }
+    }
+
+    /**
+     * 获取指定音效的通道（不存在时创建）
+     * input为音源接入点，eq为均衡器，fade用于播放/停止时的淡入淡出，gain为混音器增益
+     * modulator为缓慢起伏调制，panner为空间定位，dry和send分别为干声和送往混响环境的湿声
+     * @param {string} name - 音效名称
+     * @returns {Object} { input, eq, fade, gain, modulator, panner, dry, send }
+     */
+    getChannel(name) {
+        if (!this.channels.has(name)) {
+            const context = this.getContext();
+            const input = context.createGain();
+            input.gain.value = this.channelTrims.has(name) ? this.channelTrims.get(name) : 1;
+            const eq = new Equalizer(context, this.channelEq.get(name));
+            const fade = context.createGain();
+            const gain = context.createGain();
+            const modulator = new Modulator(context, this.channelModulation.get(name));
+            const panner = new SpatialPanner(context, this.channelPositions.get(name));
+            const mix = ReverbEnvironment.getMix(this.channelReverb.get(name));
+            const dry = context.createGain();
+            dry.gain.value = mix.dry;
+            const send = context.createGain();
+            send.gain.value = mix.wet;
+
+            input.connect(eq.input);
+            eq.output.connect(fade);
+            fade.connect(gain);
+            gain.connect(modulator.input);
+            modulator.output.connect(panner.input);
+            panner.output.connect(dry);
+            panner.output.connect(send);
+            dry.connect(this.layerBus);
+            send.connect(this.reverb.input);
+
+            this.channels.set(name, { input, eq, fade, gain, modulator, panner, dry, send });
+        }
+
+        return this.channels.get(name);
+    }
+
+    /**
+     * 将HTML5音频元素接入指定音效通道
+     * 每个元素只能创建一次MediaElementSource，重复调用返回已有的淡入淡出节点
+     * @param {string} name - 音效名称
+     * @param {HTMLMediaElement} audio - 音频元素
+     * @returns {GainNode} 该元素的淡入淡出GainNode
+     */
+    connectMediaElement(name, audio) {
+        const existing = this.mediaSources.get(audio);
+        if (existing) {
+            return existing.fader;
+        }
+
+        const context = this.getContext();
+        const source = context.createMediaElementSource(audio);
+        const fader = context.createGain();
+
+        source.connect(fader);
+        fader.connect(this.getChannel(name).input);
+
+        this.mediaSources.set(audio, { source, fader });
+        return fader;
+    }
+
+    /**
+     * 获取音频元素的淡入淡出节点
+     * @param {HTMLMediaElement} audio - 音频元素
+     * @returns {GainNode|null} 未接入时返回null
+     */
+    getMediaFader(audio) {
+        const entry = this.mediaSources.get(audio);
+        return entry ? entry.fader : null;
+    }
+
+    /**
+     * 以斜坡调整AudioParam
+     * @param {AudioParam} param - 目标参数
+     * @param {number} value - 目标值
+     * @param {number} duration - 斜坡时长（秒），0表示立即生效
+     * @param {string} curve - 曲线类型：'linear'、'equal-power'或'inverse'
+     */
+    rampParam(param, value, duration = this.defaultRampTime, curve = 'linear') {
+        const now = this.getContext().currentTime;
+        const from = param.value;
+
+        param.cancelScheduledValues(now);
+
+        if (duration > 0 && curve !== 'linear') {
+            param.setValueCurveAtTime(AudioGraph.createFadeCurve(from, value, curve), now, duration);
+            return;
+        }
+
+        param.setValueAtTime(from, now);
+
+        if (duration > 0) {
+            param.linearRampToValueAtTime(value, now + duration);
+        } else {
+            param.setValueAtTime(value, now);
+        }
+    }
+
+    /**
+     * 计算淡变曲线上的值
+     * 等功率曲线在淡入时按正弦上升、淡出时按余弦下降，感知响度变化更均匀
+     * 倒数曲线按倒数线性插值，与同时长的线性斜坡相乘时乘积不变，用于主音量变化时保持音效的实际音量
+     * @param {number} from - 起始值
+     * @param {number} to - 目标值
+     * @param {number} progress - 进度 (0-1)
+     * @param {string} curve - 曲线类型：'linear'、'equal-power'或'inverse'
+     * @returns {number} 曲线值
+     */
+    static getFadeValue(from, to, progress, curve = 'linear') {
+        const p = Math.max(0, Math.min(1, progress));
+
+        if (curve === 'equal-power') {
+            return to >= from
+                ? from + (to - from) * Math.sin(p * Math.PI / 2)
+                : to + (from - to) * Math.cos(p * Math.PI / 2);
+        }
+
+        if (curve === 'inverse') {
+            // 一端为0时乘积只能为0（例如主音量从0升起），离开起点后直接取目标值
+            if (from <= 0 || to <= 0) {
+                return p > 0 ? to : from;
+            }
+            return 1 / (1 / from + (1 / to - 1 / from) * p);
+        }
+
+        return from + (to - from) * p;
+    }
+
+    /**
+     * 生成淡变曲线采样，供setValueCurveAtTime使用
+     * @param {number} from - 起始值
+     * @param {number} to - 目标值
+     * @param {string} curve - 曲线类型
+     * @param {number} points - 采样点数
+     * @returns {Float32Array} 曲线采样
+     */
+    static createFadeCurve(from, to, curve, points = 64) {
+        const values = new Float32Array(points);
+        for (let i = 0; i < points; i++) {
+            values[i] = AudioGraph.getFadeValue(from, to, i / (points - 1), curve);
+        }
+        return values;
+    }
+
+    /**
+     * 获取主音量节点的实际电平
+     * @returns {number} 主音量 × 渐弱系数
+     */
+    getMasterLevel() {
+        return this.masterVolume * this.masterFadeLevel;
+    }
+
+    /**
+     * 设置主音量
+     * @param {number} volume - 主音量 (0-1)
+     * @param {number} duration - 斜坡时长（秒）
+     */
+    setMasterVolume(volume, duration = this.defaultRampTime) {
+        this.masterVolume = Math.max(0, Math.min(1, volume));
+
+        // AudioContext创建前只记录数值，创建时应用
+        if (this.masterGain) {
+            this.rampParam(this.masterGain.gain, this.getMasterLevel(), duration);
+        }
+    }
+
+    /**
+     * 设置主音量渐弱系数，不改变用户设置的主音量
+     * @param {number} level - 渐弱系数 (0-1)
+     * @param {number} duration - 斜坡时长（秒）
+     */
+    setMasterFade(level, duration = this.defaultRampTime) {
+        this.masterFadeLevel = Math.max(0, Math.min(1, level));
+
+        if (this.masterGain) {
+            this.rampParam(this.masterGain.gain, this.getMasterLevel(), duration);
+        }
+    }
+
+    /**
+     * 根据同时播放的音效数量计算增益补偿系数
+     * 环境音之间基本不相关，叠加后功率按层数线性增长，按1/√n补偿可保持总功率不变
+     * @param {number} count - 同时播放的音效数量
+     * @returns {number} 补偿系数 (0-1]
+     */
+    static getLayerCompensation(count) {
+        return count > 1 ? 1 / Math.sqrt(count) : 1;
+    }
+
+    /**
+     * 设置叠加补偿系数，作用于所有音效通道
+     * @param {number} level - 补偿系数 (0-1)
+     * @param {number} duration - 斜坡时长（秒）
+     */
+    setLayerCompensation(level, duration = this.defaultRampTime) {
+        this.layerCompensation = Math.max(0, Math.min(1, level));
+
+        if (this.layerBus) {
+            this.rampParam(this.layerBus.gain, this.layerCompensation, duration);
+        }
+    }
+
+    /**
+     * 获取主输出动态处理的增益衰减量
+     * @returns {number} 衰减量（dB，正数），AudioContext未创建时为0
+     */
+    getGainReduction() {
+        return this.dynamics ? this.dynamics.getReduction() : 0;
+    }
+
+    /**
+     * 限幅器是否正在工作
+     * @returns {boolean}
+     */
+    isLimiting() {
+        return this.dynamics ? this.dynamics.isLimiting() : false;
+    }
+
+    /**
+     * 设置音效通道增益
+     * @param {string} name - 音效名称
+     * @param {number} gain - 增益 (0-1)
+     * @param {number} duration - 斜坡时长（秒）
+     * @param {string} curve - 曲线类型，见rampParam
+     */
+    setChannelGain(name, gain, duration = this.defaultRampTime, curve = 'linear') {
+        const channel = this.getChannel(name);
+        this.rampParam(channel.gain.gain, Math.max(0, Math.min(1, gain)), duration, curve);
+    }
+
+    /**
+     * 设置音效通道的淡入淡出电平
+     * @param {string} name - 音效名称
+     * @param {number} level - 电平 (0-1)
+     * @param {number} duration - 淡变时长（秒）
+     * @param {string} curve - 曲线类型：'linear'或'equal-power'
+     */
+    setChannelFade(name, level, duration = this.defaultRampTime, curve = 'linear') {
+        const channel = this.getChannel(name);
+        this.rampParam(channel.fade.gain, Math.max(0, Math.min(1, level)), duration, curve);
+    }
+
+    /**
+     * 设置音效通道的响度归一化增益
+     * @param {string} name - 音效名称
+     * @param {number} gain - 线性增益，可大于1（主输出限幅器防止削波）
+     */
+    setChannelTrim(name, gain) {
+        const trim = Math.max(0, Number(gain) || 0);
+        this.channelTrims.set(name, trim);
+
+        if (this.channels.has(name)) {
+            this.rampParam(this.channels.get(name).input.gain, trim);
+        }
+    }
+
+    /**
+     * 设置音效通道的均衡器增益
+     * @param {string} name - 音效名称
+     * @param {Array<number>} gains - 各频段增益（dB），见Equalizer.BANDS
+     * @param {number} duration - 过渡时长（秒），可选，省略时使用均衡器默认的平滑时间
+     */
+    setChannelEq(name, gains, duration) {
+        this.channelEq.set(name, Equalizer.normalizeGains(gains));
+
+        // 通道尚未创建时只记录数值，避免为此提前创建AudioContext
+        if (this.channels.has(name)) {
+            // 指数趋近约3个时间常数后到达目标
+            this.channels.get(name).eq.setGains(gains, duration > 0 ? duration / 3 : undefined);
+        }
+    }
+
+    /**
+     * 设置音效通道的空间位置
+     * @param {string} name - 音效名称
+     * @param {Object|null} position - { x, y, drift }，null表示取消空间定位
+     * @param {number} duration - 移动时长（秒），可选
+     */
+    setChannelPosition(name, position, duration) {
+        this.channelPositions.set(name, SpatialPanner.normalizePosition(position));
+
+        if (this.channels.has(name)) {
+            this.channels.get(name).panner.setPosition(position, duration);
+        }
+    }
+
+    /**
+     * 设置音效通道的起伏调制
+     * @param {string} name - 音效名称
+     * @param {Object|null} settings - { shape, period, depth, filter }，null表示关闭
+     * @param {number} duration - 调制深度的过渡时长（秒），可选
+     */
+    setChannelModulation(name, settings, duration) {
+        this.channelModulation.set(name, Modulator.normalizeSettings(settings));
+
+        if (this.channels.has(name)) {
+            this.channels.get(name).modulator.setSettings(settings, duration);
+        }
+    }
+
+    /**
+     * 设置音效通道的混响干湿比
+     * @param {string} name - 音效名称
+     * @param {number} wet - 湿声比例 (0-1)
+     * @param {number} duration - 过渡时长（秒），可选
+     */
+    setChannelReverb(name, wet, duration) {
+        const mix = ReverbEnvironment.getMix(wet);
+        this.channelReverb.set(name, mix.wet);
+
+        if (this.channels.has(name)) {
+            const channel = this.channels.get(name);
+            this.rampParam(channel.dry.gain, mix.dry, duration);
+            this.rampParam(channel.send.gain, mix.wet, duration);
+        }
+    }
+
+    /**
+     * 切换混响环境
+     * @param {string} preset - 预设名称，见ReverbEnvironment.PRESETS，'none'表示不加混响
+     * @param {number} duration - 交叉淡化时长（秒），可选
+     */
+    setReverbPreset(preset, duration) {
+        this.reverbPreset = ReverbEnvironment.PRESETS[preset] ? preset : 'none';
+
+        if (this.reverb) {
+            this.reverb.setPreset(this.reverbPreset, duration);
+        }
+    }
+
+    /**
+     * 设置主滤波器
+     * @param {Object} settings - { muffle (0-1), highpass (Hz) }，可只传部分字段
+     * @param {number} duration - 过渡时长（秒），可选，省略时使用滤波器默认的平滑时间
+     */
+    setMasterFilter(settings = {}, duration) {
+        this.masterFilterSettings = { ...this.masterFilterSettings, ...settings };
+
+        if (this.masterFilter) {
+            // 指数趋近约3个时间常数后到达目标
+            this.masterFilter.setSettings(settings, duration > 0 ? duration / 3 : undefined);
+        }
+    }
+
+    /**
+     * 销毁音频图，关闭AudioContext
+     */
+    destroy() {
+        // 停止空间漂移和起伏调制定时器
+        this.channels.forEach((channel) => {
+            channel.panner.disconnect();
+            channel.modulator.disconnect();
+        });
+
+        if (this.context) {
+            this.context.close();
+        }
+
+        this.context = null;
+        this.masterGain = null;
+        this.masterFilter = null;
+        this.dynamics = null;
+        this.layerBus = null;
+        this.reverb = null;
+        this.externalLayers.clear();
+        this.channels.clear();
+        this.mediaSources = new WeakMap();
+    }
+}
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.AudioGraph = AudioGraph;
+}
@@ -9,22 +9,84 @@ class AudioManager {
         this.activeSources = {};
         this.gainNodes = {};
         this.masterVolume = 0.7;
+        this.soundGains = {}; // 各音效独立增益 (0-1)，与主音量相乘
+        this.masterGain = null; // 主音量节点（未使用共享音频图时）
+        this.masterFilter = null; // 主滤波器（未使用共享音频图时）
+        this.masterFilterSettings = { muffle: 0, highpass: 20 };
+        this.eqGains = {}; // 各音效均衡器增益（dB）
+        this.positions = {}; // 各音效空间位置 { x, y, drift }
+        this.reverbLevels = {}; // 各音效混响湿声比例 (0-1)
+        this.modulations = {}; // 各音效起伏调制设置 { shape, period, depth, filter }
+        this.reverb = null; // 混响环境（未使用共享音频图时）
+        this.reverbPreset = 'none';
+        this.audioGraph = null; // 共享Web Audio音频图
         this.isInitialized = false;
     }
 
+    /**
+     * 设置共享Web Audio音频图，与HLS音频共用AudioContext和主音量输出
+     * 需在init()之前调用
+     * @param {AudioGraph} audioGraph - 音频图实例
+     */
+    setAudioGraph(audioGraph) {
+        this.audioGraph = audioGraph;
+        
+        if (audioGraph) {
+            audioGraph.setMasterVolume(this.masterVolume, 0);
+        }
+    }
+
+    /**
+     * 获取音效输出节点：共享音频图的音效汇总节点（参与叠加补偿）或自有的主音量节点
+     * @returns {AudioNode} 输出节点
+     */
+    getOutputNode() {
+        return this.audioGraph ? this.audioGraph.getLayerInput() : this.masterGain;
+    }
+
+    /**
+     * 向共享音频图报告正在播放的音效数量，计入叠加补偿的层数
+     * @private
+     */
+    reportLayerCount() {
+        if (this.audioGraph) {
+            this.audioGraph.setExternalLayers(this, Object.keys(this.activeSources).length);
+        }
+    }
+
+    /**
+     * 获取混响环境的输入节点：共享音频图的混响或自有的混响
+     * @returns {AudioNode} 湿声输出节点
+     */
+    getReverbInput() {
+        return this.audioGraph ? this.audioGraph.getReverbInput() : this.reverb.input;
+    }
+
     /**
      * 初始化AudioContext
      * 处理浏览器的自动播放策略
      */
     async init() {
         try {
-            // 创建AudioContext，兼容不同浏览器
-            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
-            if (!AudioContextClass) {
-                throw new Error('浏览器不支持Web Audio API');
-            }
+            if (this.audioGraph) {
+                // 使用共享音频图的AudioContext
+                this.audioContext = this.audioGraph.getContext();
+            } else {
+                // 创建AudioContext，兼容不同浏览器
+                const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+                if (!AudioContextClass) {
+                    throw new Error('浏览器不支持Web Audio API');
+                }
 
-            this.audioContext = new AudioContextClass();
+                this.audioContext = new AudioContextClass();
+                this.masterGain = this.audioContext.createGain();
+                this.masterGain.gain.value = this.masterVolume;
+                this.masterFilter = new MasterFilter(this.audioContext, this.masterFilterSettings);
+                this.masterGain.connect(this.masterFilter.input);
+                this.masterFilter.output.connect(this.audioContext.destination);
+                this.reverb = new ReverbEnvironment(this.audioContext, this.reverbPreset);
+                this.reverb.output.connect(this.masterGain);
+            }
             
             // 不在初始化时强制恢复AudioContext，等待用户交互
             
@@ -85,9 +147,9 @@ class AudioManager {
     /**
      * 播放指定音效
      * @param {string} name - 音效名称
-     * @param {number} volume - 音量 (0-1)，可选
+     * @param {number} volume - 该音效增益 (0-1)，可选，默认为混音器中的增益，实际输出再乘以主音量
      */
-    async playSound(name, volume = this.masterVolume) {
+    async playSound(name, volume = this.getSoundGain(name)) {
         try {
             // 检查AudioContext状态并在需要时恢复
             if (!this.isInitialized) {
@@ -119,14 +181,35 @@ class AudioManager {
             const gainNode = this.audioContext.createGain();
             gainNode.gain.value = Math.max(0, Math.min(1, volume));
 
+            // 起伏调制、均衡器、空间定位和混响干湿比
+            const modulator = new Modulator(this.audioContext, this.modulations[name]);
+            const eq = new Equalizer(this.audioContext, this.eqGains[name]);
+            const panner = new SpatialPanner(this.audioContext, this.positions[name]);
+            const mix = ReverbEnvironment.getMix(this.reverbLevels[name]);
+            const dry = this.audioContext.createGain();
+            dry.gain.value = mix.dry;
+            const send = this.audioContext.createGain();
+            send.gain.value = mix.wet;
+
             // 连接音频节点
             source.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
+            gainNode.connect(modulator.input);
+            modulator.output.connect(eq.input);
+            eq.output.connect(panner.input);
+            panner.output.connect(dry);
+            panner.output.connect(send);
+            dry.connect(this.getOutputNode());
+            send.connect(this.getReverbInput());
 
             // 保存节点引用
             this.activeSources[name] = {
                 source: source,
                 gainNode: gainNode,
+                modulator: modulator,
+                eq: eq,
+                panner: panner,
+                dry: dry,
+                send: send,
                 startTime: this.audioContext.currentTime
             };
 
@@ -134,11 +217,13 @@ class AudioManager {
             source.onended = () => {
                 if (this.activeSources[name] && this.activeSources[name].source === source) {
                     delete this.activeSources[name];
+                    this.reportLayerCount();
                 }
             };
 
             // 开始播放
             source.start(0);
+            this.reportLayerCount();
             return true;
 
         } catch (error) {
@@ -154,7 +239,7 @@ class AudioManager {
     stopSound(name) {
         try {
             if (this.activeSources[name]) {
-                const { source } = this.activeSources[name];
+                const { source, modulator, eq, panner, dry, send } = this.activeSources[name];
                 
                 // 创建淡出效果，避免突然停止造成的爆音
                 const gainNode = this.activeSources[name].gainNode;
@@ -170,9 +255,15 @@ class AudioManager {
                     } catch (e) {
                         // 忽略已经停止的错误
                     }
+                    modulator.disconnect();
+                    eq.disconnect();
+                    panner.disconnect();
+                    dry.disconnect();
+                    send.disconnect();
                 }, 100);
 
                 delete this.activeSources[name];
+                this.reportLayerCount();
                 return true;
             }
             return false;
@@ -215,10 +306,129 @@ class AudioManager {
     setMasterVolume(volume) {
         this.masterVolume = Math.max(0, Math.min(1, volume));
         
-        // 更新所有正在播放的音效音量
-        Object.keys(this.activeSources).forEach(name => {
-            this.setVolume(name, this.masterVolume);
-        });
+        if (this.audioGraph) {
+            this.audioGraph.setMasterVolume(this.masterVolume);
+        } else if (this.masterGain) {
+            const currentTime = this.audioContext.currentTime;
+            this.masterGain.gain.cancelScheduledValues(currentTime);
+            this.masterGain.gain.setValueAtTime(this.masterGain.gain.value, currentTime);
+            this.masterGain.gain.linearRampToValueAtTime(this.masterVolume, currentTime + 0.1);
+        }
+    }
+
+    /**
+     * 设置指定音效的独立增益（混音器）
+     * @param {string} name - 音效名称
+     * @param {number} gain - 增益值 (0-1)，最终音量 = 主音量 × 增益
+     */
+    setSoundGain(name, gain) {
+        this.soundGains[name] = Math.max(0, Math.min(1, gain));
+        
+        if (this.activeSources[name]) {
+            this.setVolume(name, this.soundGains[name]);
+        }
+    }
+
+    /**
+     * 获取指定音效的独立增益
+     * @param {string} name - 音效名称
+     * @returns {number} 增益值 (0-1)，未设置时为1
+     */
+    getSoundGain(name) {
+        return this.soundGains[name] !== undefined ? this.soundGains[name] : 1;
+    }
+
+    /**
+     * 设置指定音效的均衡器增益
+     * @param {string} name - 音效名称
+     * @param {Array<number>} gains - 各频段增益（dB），见Equalizer.BANDS
+     */
+    setSoundEq(name, gains) {
+        this.eqGains[name] = Equalizer.normalizeGains(gains);
+
+        if (this.activeSources[name]) {
+            this.activeSources[name].eq.setGains(this.eqGains[name]);
+        }
+    }
+
+    /**
+     * 获取指定音效的均衡器增益
+     * @param {string} name - 音效名称
+     * @returns {Array<number>} 各频段增益（dB），未设置时全部为0
+     */
+    getSoundEq(name) {
+        return Equalizer.normalizeGains(this.eqGains[name]);
+    }
+
+    /**
+     * 设置指定音效的空间位置
+     * @param {string} name - 音效名称
+     * @param {Object|null} position - { x, y, drift }，null表示取消空间定位
+     */
+    setSoundPosition(name, position) {
+        this.positions[name] = SpatialPanner.normalizePosition(position);
+
+        if (this.activeSources[name]) {
+            this.activeSources[name].panner.setPosition(this.positions[name]);
+        }
+    }
+
+    /**
+     * 设置指定音效的起伏调制
+     * @param {string} name - 音效名称
+     * @param {Object|null} settings - { shape, period, depth, filter }，null表示关闭
+     */
+    setSoundModulation(name, settings) {
+        this.modulations[name] = Modulator.normalizeSettings(settings);
+
+        if (this.activeSources[name]) {
+            this.activeSources[name].modulator.setSettings(this.modulations[name]);
+        }
+    }
+
+    /**
+     * 设置指定音效的混响干湿比
+     * @param {string} name - 音效名称
+     * @param {number} wet - 湿声比例 (0-1)
+     */
+    setSoundReverb(name, wet) {
+        const mix = ReverbEnvironment.getMix(wet);
+        this.reverbLevels[name] = mix.wet;
+
+        if (this.activeSources[name]) {
+            const { dry, send } = this.activeSources[name];
+            const currentTime = this.audioContext.currentTime;
+            dry.gain.setTargetAtTime(mix.dry, currentTime, 0.05);
+            send.gain.setTargetAtTime(mix.wet, currentTime, 0.05);
+        }
+    }
+
+    /**
+     * 切换混响环境
+     * @param {string} preset - 预设名称，见ReverbEnvironment.PRESETS，'none'表示不加混响
+     */
+    setReverbPreset(preset) {
+        this.reverbPreset = ReverbEnvironment.PRESETS[preset] ? preset : 'none';
+
+        if (this.audioGraph) {
+            this.audioGraph.setReverbPreset(this.reverbPreset);
+        } else if (this.reverb) {
+            this.reverb.setPreset(this.reverbPreset);
+        }
+    }
+
+    /**
+     * 设置主滤波器（闷声与低切）
+     * @param {Object} settings - { muffle (0-1), highpass (Hz) }，可只传部分字段
+     */
+    setMasterFilter(settings = {}) {
+        this.masterFilterSettings = { ...this.masterFilterSettings, ...settings };
+
+        if (this.audioGraph) {
+            this.audioGraph.setMasterFilter(settings);
+        } else if (this.masterFilter) {
+            this.masterFilter.setSettings(settings);
+        }
     }
 
     /**
@@ -288,15 +498,19 @@ class AudioManager {
             this.soundBuffers[key] = null;
         });
         
-        if (this.audioContext) {
-            // 关闭AudioContext会自动清理所有相关资源
+        if (this.audioContext && !this.audioGraph) {
+            // 关闭AudioContext会自动清理所有相关资源（共享的AudioContext由音频图负责关闭）
             this.audioContext.close();
-            this.audioContext = null;
         }
+        this.audioContext = null;
+        this.masterGain = null;
+        this.masterFilter = null;
+        this.reverb = null;
         
         this.soundBuffers = {};
         this.activeSources = {};
         this.gainNodes = {};
+        this.reportLayerCount();
         this.isInitialized = false;
     }
 
@@ -0,0 +1,76 @@
+/**
+ * Chime - 合成提示音（类似音钟的敲击声），用于番茄钟阶段切换
+ * 每个音符由若干略微失谐的分音组成，各分音按指数衰减，高次分音衰减更快
+ *   分音振荡器 -> 包络GainNode -> destination（通常为主音量节点，随主音量变化）
+ */
+class Chime {
+    /**
+     * 播放一段提示音
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {AudioNode} destination - 输出节点
+     * @param {string} pattern - 音型，见Chime.PATTERNS
+     * @param {number} volume - 峰值增益 (0-1)
+     * @returns {number} 提示音总时长（秒）
+     */
+    static play(context, destination, pattern, volume = Chime.VOLUME) {
+        const notes = Chime.PATTERNS[pattern] || Chime.PATTERNS.work;
+        const start = context.currentTime + 0.05;
+
+        notes.forEach((frequency, index) => {
+            Chime.strike(context, destination, frequency, start + index * Chime.NOTE_SPACING, volume);
+        });
+
+        return (notes.length - 1) * Chime.NOTE_SPACING + Chime.PARTIALS[0].decay;
+    }
+
+    /**
+     * 敲击一个音符
+     * @private
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {AudioNode} destination - 输出节点
+     * @param {number} frequency - 基频（Hz）
+     * @param {number} time - 开始时间（context时间，秒）
+     * @param {number} volume - 峰值增益
+     */
+    static strike(context, destination, frequency, time, volume) {
+        Chime.PARTIALS.forEach(({ ratio, amp, decay }) => {
+            const oscillator = context.createOscillator();
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency * ratio;
+
+            // 5毫秒起音避免爆音，指数衰减到接近静音
+            const envelope = context.createGain();
+            envelope.gain.setValueAtTime(0, time);
+            envelope.gain.linearRampToValueAtTime(volume * amp, time + 0.005);
+            envelope.gain.exponentialRampToValueAtTime(0.0001, time + decay);
+
+            oscillator.connect(envelope);
+            envelope.connect(destination);
+            oscillator.onended = () => envelope.disconnect();
+            oscillator.start(time);
+            oscillator.stop(time + decay + 0.05);
+        });
+    }
+}
+
+// 分音：频率比、相对幅度、衰减时长（秒）
+Chime.PARTIALS = [
+    { ratio: 1, amp: 1, decay: 2.4 },
+    { ratio: 2.01, amp: 0.45, decay: 1.5 },
+    { ratio: 3.03, amp: 0.2, decay: 0.9 },
+    { ratio: 4.2, amp: 0.1, decay: 0.5 }
+];
+
+// 音型：开始专注为上行两音，短休息为下行两音，长休息为下行三音
+Chime.PATTERNS = {
+    work: [659.25, 987.77], // E5 -> B5
+    shortBreak: [987.77, 659.25], // B5 -> E5
+    longBreak: [987.77, 783.99, 659.25] // B5 -> G5 -> E5
+};
+Chime.NOTE_SPACING = 0.35; // 相邻音符的间隔（秒）
+Chime.VOLUME = 0.2;
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.Chime = Chime;
+}
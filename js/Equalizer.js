@@ -0,0 +1,106 @@
+/**
+ * Equalizer - 五段均衡器
+ * 由低搁架、三个峰值、高搁架滤波器串联而成，用于单个音效的音色调整
+ *   input -> 低音 -> 中低 -> 中音 -> 中高 -> 高音 -> output
+ * 增益为0dB时滤波器不改变信号
+ */
+class Equalizer {
+    /**
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {Array<number>} gains - 各频段增益（dB），可选
+     */
+    constructor(context, gains) {
+        this.context = context;
+        this.rampTime = 0.05; // 增益变化的平滑时间常数（秒）
+
+        this.filters = Equalizer.BANDS.map((band) => {
+            const filter = context.createBiquadFilter();
+            filter.type = band.type;
+            filter.frequency.value = band.frequency;
+            if (band.type === 'peaking') {
+                filter.Q.value = Equalizer.PEAKING_Q;
+            }
+            return filter;
+        });
+
+        for (let i = 1; i < this.filters.length; i++) {
+            this.filters[i - 1].connect(this.filters[i]);
+        }
+
+        this.input = this.filters[0];
+        this.output = this.filters[this.filters.length - 1];
+        this.gains = Equalizer.normalizeGains(gains);
+        this.filters.forEach((filter, i) => {
+            filter.gain.value = this.gains[i];
+        });
+    }
+
+    /**
+     * 规范化增益数组：长度与频段数一致，截断到±MAX_GAIN，缺失的频段为0
+     * @param {Array<number>} gains - 各频段增益（dB）
+     * @returns {Array<number>} 规范化后的增益
+     */
+    static normalizeGains(gains) {
+        const source = Array.isArray(gains) ? gains : [];
+        return Equalizer.BANDS.map((band, i) => {
+            const gain = Math.round(Number(source[i]));
+            return Number.isFinite(gain)
+                ? Math.max(-Equalizer.MAX_GAIN, Math.min(Equalizer.MAX_GAIN, gain))
+                : 0;
+        });
+    }
+
+    /**
+     * 增益是否全部为0（不需要保存或分享）
+     * @param {Array<number>} gains - 各频段增益（dB）
+     * @returns {boolean}
+     */
+    static isFlat(gains) {
+        return Equalizer.normalizeGains(gains).every(gain => gain === 0);
+    }
+
+    /**
+     * 设置各频段增益，平滑过渡
+     * @param {Array<number>} gains - 各频段增益（dB）
+     * @param {number} rampTime - 平滑时间常数（秒），可选
+     */
+    setGains(gains, rampTime = this.rampTime) {
+        this.gains = Equalizer.normalizeGains(gains);
+
+        const now = this.context.currentTime;
+        this.filters.forEach((filter, i) => {
+            filter.gain.setTargetAtTime(this.gains[i], now, rampTime);
+        });
+    }
+
+    /**
+     * 获取各频段增益
+     * @returns {Array<number>} 增益（dB）
+     */
+    getGains() {
+        return [...this.gains];
+    }
+
+    /**
+     * 断开所有滤波器
+     */
+    disconnect() {
+        this.filters.forEach(filter => filter.disconnect());
+    }
+}
+
+// 频段定义：类型、中心/转折频率（Hz）、显示名称
+Equalizer.BANDS = [
+    { type: 'lowshelf', frequency: 100, label: '低音' },
+    { type: 'peaking', frequency: 400, label: '中低' },
+    { type: 'peaking', frequency: 1500, label: '中音' },
+    { type: 'peaking', frequency: 4000, label: '中高' },
+    { type: 'highshelf', frequency: 10000, label: '高音' }
+];
+Equalizer.MAX_GAIN = 12; // 单频段最大增益（±dB）
+Equalizer.PEAKING_Q = 1; // 峰值滤波器带宽，约1.4个倍频程
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.Equalizer = Equalizer;
+}
@@ -0,0 +1,405 @@
+/**
+ * EventLayer - 随机单次事件层
+ * 在循环音效之上按随机间隔播放短促的单次音效（雷声、鸟鸣、杯碟声），避免长时间聆听后听出循环
+ * 每个事件层属于一个父音效，事件接入父音效的通道，随父音效的音量、淡入淡出和停止一起变化
+ * 事件音频可通过LazyAudioManager.loadSingleAudio加载（配置samples），未配置或加载失败时使用合成音
+ */
+class EventLayer {
+    /**
+     * @param {string} name - 父音效名称
+     * @param {Array<Object>} events - 事件类型 { id, synth, samples, density, volumeMin, volumeMax, spread }
+     * @param {LazyAudioManager} loader - 加载事件音频文件的管理器，可选
+     */
+    constructor(name, events, loader = null) {
+        this.name = name;
+        this.events = events.map(event => ({
+            ...event,
+            ...EventLayer.normalizeSettings(event),
+            buffers: [],
+            timer: null
+        }));
+        this.loader = loader;
+        this.context = null;
+        this.destination = null;
+        this.running = false;
+        this.preparePromise = null;
+        this.activeVoices = new Set(); // 正在播放的单次音源
+        this.variations = 3; // 每种合成音生成的变体数量
+        this.minInterval = 1; // 同类事件的最短间隔（秒）
+        this.rateVariation = 0.08; // 播放速率随机偏移，增加变化
+    }
+
+    /**
+     * 规范化事件设置
+     * @param {Object} settings - { density, volumeMin, volumeMax, spread }
+     * @returns {Object} 规范化后的设置
+     */
+    static normalizeSettings(settings = {}) {
+        const clamp = (value, min, max, fallback) => {
+            const number = Number(value);
+            return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+        };
+
+        const volumeMin = clamp(settings.volumeMin, 0, 1, 0.3);
+        return {
+            density: clamp(settings.density, 0, EventLayer.MAX_DENSITY, 1),
+            volumeMin,
+            volumeMax: Math.max(volumeMin, clamp(settings.volumeMax, 0, 1, 0.7)),
+            spread: clamp(settings.spread, 0, 1, 0.5)
+        };
+    }
+
+    /**
+     * 将缓冲区峰值归一化
+     * @param {Float32Array} samples - 采样数据
+     * @param {number} peak - 目标峰值
+     */
+    static normalizeOneShot(samples, peak = 0.9) {
+        let max = 0;
+        for (let i = 0; i < samples.length; i++) {
+            max = Math.max(max, Math.abs(samples[i]));
+        }
+        if (max > 0) {
+            const scale = peak / max;
+            for (let i = 0; i < samples.length; i++) {
+                samples[i] *= scale;
+            }
+        }
+    }
+
+    /**
+     * 合成单次事件缓冲区
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {string} type - 合成器类型：thunder / birds / clink
+     * @returns {AudioBuffer|null} 未知类型返回null
+     */
+    static synthesize(context, type) {
+        const synth = EventLayer.SYNTHS[type];
+        if (!synth) {
+            return null;
+        }
+
+        const length = Math.floor(context.sampleRate * EventLayer.SYNTH_DURATIONS[type]);
+        const buffer = context.createBuffer(1, length, context.sampleRate);
+        const samples = buffer.getChannelData(0);
+        synth(samples, context.sampleRate);
+        EventLayer.normalizeOneShot(samples);
+        return buffer;
+    }
+
+    /**
+     * 准备事件音频（每个事件层只准备一次）
+     * @param {BaseAudioContext} context - 音频上下文
+     * @returns {Promise<void>}
+     */
+    prepare(context) {
+        if (!this.preparePromise) {
+            this.context = context;
+            this.preparePromise = Promise.all(this.events.map(event => this.loadBuffers(event)))
+                .then(() => undefined);
+        }
+        return this.preparePromise;
+    }
+
+    /**
+     * 加载事件音频：优先使用配置的音频文件，否则合成
+     * @private
+     * @param {Object} event - 事件类型
+     */
+    async loadBuffers(event) {
+        const samples = Array.isArray(event.samples) ? event.samples : [];
+
+        if (this.loader && samples.length > 0) {
+            if (!this.loader.isInitialized) {
+                await this.loader.init();
+            }
+
+            for (let i = 0; i < samples.length; i++) {
+                const key = `event:${event.id}:${i}`;
+                try {
+                    // 不同父音效共享同一事件类型时复用已解码的缓冲区
+                    if (!this.loader.soundBuffers[key]) {
+                        await this.loader.loadSingleAudio(key, samples[i]);
+                    }
+                    event.buffers.push(this.loader.soundBuffers[key]);
+                } catch (error) {
+                    console.warn(`事件音频加载失败 ${event.id}: ${samples[i]}`, error);
+                }
+            }
+        }
+
+        if (event.buffers.length === 0 && event.synth) {
+            for (let i = 0; i < this.variations; i++) {
+                const buffer = EventLayer.synthesize(this.context, event.synth);
+                if (buffer) {
+                    event.buffers.push(buffer);
+                }
+            }
+        }
+    }
+
+    /**
+     * 是否正在调度事件
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * 开始随机调度事件
+     * @param {AudioNode} destination - 输出节点（父音效通道入口）
+     */
+    start(destination) {
+        this.destination = destination;
+
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        this.events.forEach(event => this.scheduleNext(event));
+        console.log(`事件层开始: ${this.name}`);
+    }
+
+    /**
+     * 停止调度新事件，正在播放的事件随父音效的淡出结束
+     */
+    stop() {
+        this.running = false;
+        this.events.forEach((event) => {
+            clearTimeout(event.timer);
+            event.timer = null;
+        });
+    }
+
+    /**
+     * 立即停止所有正在播放的事件
+     */
+    silence() {
+        this.activeVoices.forEach((source) => {
+            try {
+                source.stop();
+            } catch (error) {
+                // 已结束的音源无需处理
+            }
+        });
+        this.activeVoices.clear();
+    }
+
+    /**
+     * 获取事件设置
+     * @returns {Array<Object>} [{ id, density, volumeMin, volumeMax, spread }]
+     */
+    getEventSettings() {
+        return this.events.map(({ id, density, volumeMin, volumeMax, spread }) =>
+            ({ id, density, volumeMin, volumeMax, spread }));
+    }
+
+    /**
+     * 更新事件类型的设置，调度中时按新密度重新安排下一次事件
+     * @param {string} id - 事件类型ID
+     * @param {Object} settings - { density, volumeMin, volumeMax, spread }
+     * @returns {boolean} 是否找到该事件类型
+     */
+    setEventSettings(id, settings) {
+        const event = this.events.find(item => item.id === id);
+        if (!event) {
+            return false;
+        }
+
+        const densityChanged = settings.density !== undefined && Number(settings.density) !== event.density;
+        Object.assign(event, EventLayer.normalizeSettings({ ...event, ...settings }));
+
+        if (densityChanged) {
+            this.scheduleNext(event);
+        }
+        return true;
+    }
+
+    /**
+     * 安排下一次事件
+     * 事件间隔服从指数分布（泊松过程），平均每分钟density次，听起来没有规律
+     * @private
+     * @param {Object} event - 事件类型
+     */
+    scheduleNext(event) {
+        clearTimeout(event.timer);
+        event.timer = null;
+
+        if (!this.running || event.density <= 0) {
+            return;
+        }
+
+        const interval = -Math.log(1 - Math.random()) * 60 / event.density;
+        event.timer = setTimeout(() => {
+            event.timer = null;
+            this.trigger(event);
+            this.scheduleNext(event);
+        }, Math.max(this.minInterval, interval) * 1000);
+    }
+
+    /**
+     * 播放一次事件：随机选择变体、音量、声像和播放速率
+     * @private
+     * @param {Object} event - 事件类型
+     */
+    trigger(event) {
+        if (!this.running || !this.destination || event.buffers.length === 0) {
+            return;
+        }
+
+        const context = this.context;
+        const source = context.createBufferSource();
+        source.buffer = event.buffers[Math.floor(Math.random() * event.buffers.length)];
+        source.playbackRate.value = 1 + (Math.random() * 2 - 1) * this.rateVariation;
+
+        const gain = context.createGain();
+        gain.gain.value = event.volumeMin + Math.random() * (event.volumeMax - event.volumeMin);
+        source.connect(gain);
+
+        const nodes = [source, gain];
+        if (typeof context.createStereoPanner === 'function') {
+            const panner = context.createStereoPanner();
+            panner.pan.value = (Math.random() * 2 - 1) * event.spread;
+            gain.connect(panner);
+            panner.connect(this.destination);
+            nodes.push(panner);
+        } else {
+            gain.connect(this.destination);
+        }
+
+        source.onended = () => {
+            this.activeVoices.delete(source);
+            nodes.forEach(node => node.disconnect());
+        };
+
+        this.activeVoices.add(source);
+        source.start();
+    }
+
+    /**
+     * 销毁事件层
+     */
+    destroy() {
+        this.stop();
+        this.silence();
+        this.events.forEach((event) => {
+            event.buffers = [];
+        });
+        this.preparePromise = null;
+    }
+}
+
+EventLayer.MAX_DENSITY = 10; // 每分钟最多事件次数
+
+// 单次事件合成器：每次调用生成一个略有不同的变体
+EventLayer.SYNTHS = {
+    /**
+     * 雷声：低通棕噪声，带若干次滚动的隆隆声
+     */
+    thunder(samples, sampleRate) {
+        const rumbles = [{ time: 0, amp: 1, decay: 0.8 + Math.random() * 0.8 }];
+        const extra = 1 + Math.floor(Math.random() * 3);
+        for (let i = 0; i < extra; i++) {
+            rumbles.push({
+                time: 0.3 + Math.random() * 2,
+                amp: 0.3 + Math.random() * 0.6,
+                decay: 0.6 + Math.random() * 1.2
+            });
+        }
+        const attack = 0.02 + Math.random() * 0.25; // 越远起音越慢
+        const attackStep = Math.exp(-1 / (attack * sampleRate));
+
+        // 指数包络按每个采样相乘递推，避免逐采样调用Math.exp
+        rumbles.forEach((rumble) => {
+            rumble.start = Math.floor(rumble.time * sampleRate);
+            rumble.rise = 1;
+            rumble.fall = 1;
+            rumble.fallStep = Math.exp(-1 / (rumble.decay * sampleRate));
+        });
+
+        let brown = 0;
+        let lowpass = 0;
+        for (let i = 0; i < samples.length; i++) {
+            brown = (brown + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+            lowpass += 0.1 * (brown - lowpass);
+
+            let envelope = 0;
+            for (let r = 0; r < rumbles.length; r++) {
+                const rumble = rumbles[r];
+                if (i >= rumble.start) {
+                    envelope += rumble.amp * (1 - rumble.rise) * rumble.fall;
+                    rumble.rise *= attackStep;
+                    rumble.fall *= rumble.fallStep;
+                }
+            }
+            samples[i] = lowpass * envelope;
+        }
+    },
+
+    /**
+     * 鸟鸣：几声带颤音的快速滑音
+     */
+    birds(samples, sampleRate) {
+        const chirps = 3 + Math.floor(Math.random() * 4);
+        const baseFrequency = 2500 + Math.random() * 2000;
+        let start = 0.02;
+
+        for (let c = 0; c < chirps; c++) {
+            const duration = 0.06 + Math.random() * 0.08;
+            const sweep = (Math.random() * 2 - 1) * 1500;
+            const trillRate = 30 + Math.random() * 30;
+            const first = Math.floor(start * sampleRate);
+            const length = Math.floor(duration * sampleRate);
+            let phase = 0;
+
+            for (let i = 0; i < length && first + i < samples.length; i++) {
+                const progress = i / length;
+                const frequency = baseFrequency + sweep * progress
+                    + 200 * Math.sin(2 * Math.PI * trillRate * i / sampleRate);
+                phase += 2 * Math.PI * frequency / sampleRate;
+                samples[first + i] += Math.sin(phase) * Math.sin(Math.PI * progress) ** 2;
+            }
+            start += duration + 0.03 + Math.random() * 0.12;
+        }
+    },
+
+    /**
+     * 杯碟声：非谐波分音快速衰减，有时带一声较轻的回碰
+     */
+    clink(samples, sampleRate) {
+        const partials = [
+            { ratio: 1, amp: 1, decay: 0.35 },
+            { ratio: 2.76, amp: 0.6, decay: 0.2 },
+            { ratio: 5.4, amp: 0.35, decay: 0.12 },
+            { ratio: 8.9, amp: 0.2, decay: 0.07 }
+        ];
+        const strikes = [{ time: 0, amp: 1 }];
+        if (Math.random() < 0.5) {
+            strikes.push({ time: 0.04 + Math.random() * 0.08, amp: 0.3 + Math.random() * 0.3 });
+        }
+        const fundamental = 1800 + Math.random() * 800;
+
+        strikes.forEach((strike) => {
+            const first = Math.floor(strike.time * sampleRate);
+            for (let i = 0; first + i < samples.length; i++) {
+                const t = i / sampleRate;
+                let value = i < sampleRate * 0.003 ? (Math.random() * 2 - 1) * 0.5 : 0; // 敲击瞬态
+                partials.forEach((partial) => {
+                    value += partial.amp * Math.exp(-t / partial.decay)
+                        * Math.sin(2 * Math.PI * fundamental * partial.ratio * t);
+                });
+                samples[first + i] += strike.amp * value;
+            }
+        });
+    }
+};
+
+// 各合成音的缓冲区时长（秒）
+EventLayer.SYNTH_DURATIONS = { thunder: 6, birds: 1.5, clink: 0.8 };
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.EventLayer = EventLayer;
+}
@@ -10,6 +10,25 @@ class HlsAudioManager {
         this.activeSources = new Map(); // 当前播放的音频源
         this.soundConfigs = new Map(); // 音频配置
         this.masterVolume = 0.7;
+        this.masterFade = 1; // 主音量渐弱系数（睡眠定时器）
+        this.soundGains = new Map(); // 各音效独立增益 (0-1)，与主音量相乘
+        this.loudnessGains = new Map(); // 各音效响度归一化增益（dB），使同一音量下听感响度一致
+        this.maxLoudnessGain = 12; // 响度归一化增益上限（±dB）
+        this.modulators = new Map(); // 回退模式下各音效的起伏调制（只计算电平，作用于audio.volume）
+        this.audioGraph = null; // 共享Web Audio音频图，未设置时回退到audio.volume
+        this.pendingStops = new Map(); // 淡出完成后执行暂停的定时器
+        this.generators = new Map(); // 程序化音源（噪声发生器），不需要音频文件
+        this.eventLayers = new Map(); // 音效名称 -> 随机单次事件层，随父音效播放和停止
+        this.macros = new Map(); // 宏音效名称 -> MacroSound，播放时由强度控制各底层音效的增益
+        this.macroIntensities = new Map(); // 宏音效名称 -> 强度 (0-100)
+        this.activeMacros = new Set(); // 正在播放的宏音效
+        this.macroOwners = new Map(); // 底层音效名称 -> 控制它的宏音效名称
+        this.macroRampTime = 0.3; // 调节强度时各层增益的过渡时长（秒）
+        this.volumeFades = new WeakMap(); // 回退模式下audio.volume的淡变定时器
+        this.stopFadeDuration = 0.1; // 停止时的最短淡出时长（秒），避免爆音
+        this.maxFadeDuration = 60;
+        this.fadeSettings = { fadeIn: 0, fadeOut: 0, curve: 'linear' }; // 播放/停止淡入淡出
+        this.autoGain = true; // 按同时播放的音效数量自动降低增益
         this.isInitialized = false;
         this.loadingStates = new Map();
         this.crossOrigin = null; // 设置为null，避免跨域问题
@@ -19,6 +38,18 @@ class HlsAudioManager {
         this.hlsJsLoaded = false;
         this.hlsJsLoadPromise = null;
         
+        // 无缝循环：在播放列表结尾用第二个音频元素交叉淡化到开头
+        this.gaplessLoop = true;
+        this.loopCrossfadeDuration = 3; // 交叉淡化时长（秒）
+        this.sourceUrls = new Map(); // 音效名称 -> HLS播放列表URL
+        this.loopPartners = new Map(); // 交替播放的第二个音频元素 { audio, hls, ready, promise }
+        this.loopStates = new Map(); // 循环监听状态 { audio, onTimeUpdate, fadeInterval }
+        
+        // 防重复：长时间播放时避免每次都从同一位置、以同样的顺序循环
+        this.deRepetition = new Map(); // 音效名称 -> { randomStart, rateDrift, shuffleSegments }
+        this.rateDriftAmount = 0.02; // 每个循环周期的播放速率随机偏移上限（±2%）
+        this.playlistUrls = new Map(); // 音频元素 -> 乱序播放列表的Blob URL
+        
         // 错误处理
         this.onLoadingStateChange = null;
         this.onLoadingProgress = null;
@@ -170,6 +201,11 @@ class HlsAudioManager {
         console.log('开始加载HLS音频文件...', Object.keys(soundList));
         
         const loadPromises = Object.entries(soundList).map(async ([name, config]) => {
+            // 程序化音源无需加载
+            if (this.isGenerator(name)) {
+                return { name, success: true };
+            }
+
             try {
                 console.log(`加载音频: ${name} -> ${config.path}`);
                 await this.loadSingleAudio(name, config.path);
@@ -238,28 +274,36 @@ class HlsAudioManager {
      * @param {string} hlsUrl - HLS播放列表URL
      */
     async loadSingleAudio(name, hlsUrl) {
+        console.log(`开始加载HLS音频: ${name} from ${hlsUrl}`);
+        
+        // 更新加载状态
+        this.updateLoadingState(name, 'loading');
+        this.sourceUrls.set(name, hlsUrl);
+        
+        // 开启切片乱序时第一个元素同样使用乱序播放列表
+        const url = await this.getLoopSourceUrl(name);
+        
         return new Promise((resolve, reject) => {
             try {
-                console.log(`开始加载HLS音频: ${name} from ${hlsUrl}`);
-                
-                // 更新加载状态
-                this.updateLoadingState(name, 'loading');
-                
                 // 创建Audio元素
                 const audio = new Audio();
                 audio.crossOrigin = this.crossOrigin;
                 audio.preload = 'metadata';
                 audio.loop = true;
+                this.watchLoopWrap(name, audio);
+                if (url !== hlsUrl) {
+                    this.playlistUrls.set(audio, url);
+                }
                 
                 // 检查是否需要使用hls.js
                 const needsHlsJs = !this.canPlayHlsNatively();
                 
                 if (needsHlsJs && window.Hls && window.Hls.isSupported()) {
                     // 使用hls.js
-                    this.setupHlsJs(name, audio, hlsUrl, resolve, reject);
+                    this.setupHlsJs(name, audio, url, resolve, reject);
                 } else {
                     // 使用原生支持
-                    this.setupNativeHls(name, audio, hlsUrl, resolve, reject);
+                    this.setupNativeHls(name, audio, url, resolve, reject);
                 }
                 
             } catch (error) {
@@ -279,10 +323,11 @@ class HlsAudioManager {
     }
     
     /**
-     * 设置hls.js播放器
+     * 获取hls.js播放器配置
+     * @returns {Object} hls.js配置
      */
-    setupHlsJs(name, audio, hlsUrl, resolve, reject) {
-        const hls = new window.Hls({
+    getHlsConfig() {
+        return {
             debug: false,
             enableWorker: true,
             lowLatencyMode: false,
@@ -304,7 +349,14 @@ class HlsAudioManager {
             fragLoadingMaxRetry: 4, // 切片加载最大重试4次
             manifestLoadingMaxRetry: 3, // 清单加载最大重试3次
             levelLoadingMaxRetry: 4 // 级别加载最大重试4次
-        });
+        };
+    }
+    
+    /**
+     * 设置hls.js播放器
+     */
+    setupHlsJs(name, audio, hlsUrl, resolve, reject) {
+        const hls = new window.Hls(this.getHlsConfig());
         
         // 设置超时机制
         const loadTimeout = setTimeout(() => {
@@ -508,6 +560,7 @@ class HlsAudioManager {
                     newAudio.crossOrigin = this.crossOrigin;
                     newAudio.preload = 'metadata';
                     newAudio.loop = true;
+                    this.watchLoopWrap(name, newAudio);
                     
                     this.setupHlsJs(name, newAudio, hlsUrl, resolve, reject);
                 } catch (error) {
@@ -521,10 +574,18 @@ class HlsAudioManager {
     /**
      * 播放指定音效
      * @param {string} name - 音效名称
-     * @param {number} volume - 音量 (0-1)
+     * @param {number} volume - 该音效增益 (0-1)，默认为混音器中的增益，实际输出再乘以主音量
      * @returns {boolean} 是否播放成功
      */
-    async playSound(name, volume = this.masterVolume) {
+    async playSound(name, volume = this.getSoundGain(name)) {
+        if (this.isMacro(name)) {
+            return this.playMacro(name, volume);
+        }
+
+        if (this.isGenerator(name)) {
+            return this.playGenerator(name, volume);
+        }
+
         try {
             if (!this.audioElements.has(name)) {
                 console.error(`HLS音频不存在: ${name}`);
@@ -588,29 +649,58 @@ class HlsAudioManager {
                 });
             }
             
+            // 正在淡出时重新播放：取消停止并从当前电平淡入，不重新开始
+            if (this.pendingStops.has(name)) {
+                this.cancelPendingStop(name);
+                this.storeSoundGain(name, volume);
+                this.applySoundLevel(name);
+                this.fadeSound(name, 1, this.fadeSettings.fadeIn);
+                this.updateLayerCompensation(this.fadeSettings.fadeIn);
+                this.startLoopMonitor(name);
+                this.startEventLayer(name);
+                console.log(`恢复淡出中的HLS音效: ${name}`);
+                return true;
+            }
+
             // 如果已在播放，先停止
             if (this.isPlaying(name)) {
-                this.stopSound(name);
+                this.stopSound(name, 0);
                 // 等待停止完成
                 await new Promise(resolve => setTimeout(resolve, 50));
             }
 
-            // 设置音量
-            const normalizedVolume = Math.max(0, Math.min(1, volume));
-            audio.volume = normalizedVolume;
+            // 设置音量：接入音频图后由GainNode控制
+            this.storeSoundGain(name, volume);
+            await this.resumeContext();
+            this.routeElement(name, audio);
+            this.cancelPendingStop(name);
+            this.applySoundLevel(name, 0);
+            this.setElementLevel(name, audio, 1, 0);
+            this.fadeSound(name, this.fadeSettings.fadeIn > 0 ? 0 : 1, 0);
             
-            // 重置播放位置
-            audio.currentTime = 0;
+            // 播放位置：开启随机起点时从随机位置开始
+            audio.currentTime = this.getStartOffset(name, audio);
+            this.applyRateDrift(name, audio);
             
             // 开始播放
-            console.log(`尝试播放HLS音效: ${name}, 音量: ${normalizedVolume}`);
+            console.log(`尝试播放HLS音效: ${name}, 增益: ${this.getSoundGain(name)}`);
             await audio.play();
             
+            // 淡入
+            if (this.fadeSettings.fadeIn > 0) {
+                this.fadeSound(name, 1, this.fadeSettings.fadeIn);
+            }
+            
             // 记录为活跃音源
             this.activeSources.set(name, {
                 audio: audio,
                 startTime: Date.now()
             });
+            this.updateLayerCompensation(this.fadeSettings.fadeIn);
+            
+            // 启动无缝循环监听和随机事件
+            this.startLoopMonitor(name);
+            this.startEventLayer(name);
 
             console.log(`开始播放HLS音效: ${name}`);
             return true;
@@ -635,35 +725,43 @@ class HlsAudioManager {
     /**
      * 停止指定音效
      * @param {string} name - 音效名称
+     * @param {number} fadeOut - 淡出时长（秒），默认使用淡入淡出设置
      * @returns {boolean} 是否停止成功
      */
-    stopSound(name) {
+    stopSound(name, fadeOut = this.fadeSettings.fadeOut) {
         try {
+            if (this.isMacro(name)) {
+                return this.stopMacro(name, fadeOut);
+            }
+
+            if (this.isGenerator(name)) {
+                return this.stopGenerator(name, fadeOut);
+            }
+
             if (!this.audioElements.has(name)) {
                 return false;
             }
 
+            // 停止无缝循环监听、进行中的交叉淡化和随机事件调度
+            this.stopLoopMonitor(name);
+            this.stopEventLayer(name);
+            
             const audio = this.audioElements.get(name);
             
-            // 创建淡出效果
-            const fadeOutDuration = 100; // 100ms淡出
-            const startVolume = audio.volume;
-            const fadeStep = startVolume / 10;
+            // 淡出后暂停
+            const fadeDuration = Math.max(this.stopFadeDuration, Math.min(this.maxFadeDuration, fadeOut || 0));
+            this.cancelPendingStop(name);
+            this.fadeSound(name, 0, fadeDuration);
             
-            let currentStep = 0;
-            const fadeInterval = setInterval(() => {
-                currentStep++;
-                const newVolume = Math.max(0, startVolume - (fadeStep * currentStep));
-                audio.volume = newVolume;
-                
-                if (currentStep >= 10 || newVolume <= 0) {
-                    clearInterval(fadeInterval);
-                    audio.pause();
-                    audio.currentTime = 0;
-                    this.activeSources.delete(name);
-                    console.log(`停止播放HLS音效: ${name}`);
-                }
-            }, fadeOutDuration / 10);
+            this.pendingStops.set(name, setTimeout(() => {
+                this.pendingStops.delete(name);
+                audio.pause();
+                audio.currentTime = 0;
+                this.silenceEventLayer(name);
+                this.activeSources.delete(name);
+                console.log(`停止播放HLS音效: ${name}`);
+            }, fadeDuration * 1000));
+            this.updateLayerCompensation(fadeDuration);
 
             return true;
         } catch (error) {
@@ -673,236 +771,1538 @@ class HlsAudioManager {
     }
 
     /**
-     * 设置指定音效的音量
+     * 注册程序化音源，之后可像HLS音效一样播放、停止和调节音量
+     * 程序化音源直接接入音效通道，需要共享音频图
      * @param {string} name - 音效名称
-     * @param {number} volume - 音量值 (0-1)
+     * @param {NoiseGenerator} generator - 音源实例，提供prepare/start/stop
      */
-    setVolume(name, volume) {
+    registerGenerator(name, generator) {
+        if (this.generators.has(name)) {
+            this.generators.get(name).stop();
+        }
+
+        this.generators.set(name, generator);
+        console.log(`注册程序化音源: ${name}`);
+    }
+
+    /**
+     * 获取程序化音源
+     * @param {string} name - 音效名称
+     * @returns {NoiseGenerator|null}
+     */
+    getGenerator(name) {
+        return this.generators.get(name) || null;
+    }
+
+    /**
+     * 是否为程序化音源（且可以通过音频图输出）
+     * @param {string} name - 音效名称
+     * @returns {boolean}
+     */
+    isGenerator(name) {
+        return this.generators.has(name) && this.usesAudioGraph();
+    }
+
+    /**
+     * 播放程序化音源
+     * @private
+     * @param {string} name - 音效名称
+     * @param {number} volume - 该音效增益 (0-1)
+     * @returns {Promise<boolean>} 是否播放成功
+     */
+    async playGenerator(name, volume) {
+        const generator = this.generators.get(name);
+
         try {
-            if (!this.audioElements.has(name)) {
-                return false;
+            this.storeSoundGain(name, volume);
+
+            // 正在淡出时重新播放：取消停止并从当前电平淡入
+            if (this.pendingStops.has(name)) {
+                this.cancelPendingStop(name);
+                this.applySoundLevel(name);
+                this.fadeSound(name, 1, this.fadeSettings.fadeIn);
+                this.updateLayerCompensation(this.fadeSettings.fadeIn);
+                this.startEventLayer(name);
+                console.log(`恢复淡出中的程序化音源: ${name}`);
+                return true;
             }
 
-            const normalizedVolume = Math.max(0, Math.min(1, volume));
-            const audio = this.audioElements.get(name);
-            audio.volume = normalizedVolume;
-            
-            console.log(`设置HLS音效音量 ${name}: ${normalizedVolume}`);
+            await this.resumeContext();
+            await generator.prepare(this.audioGraph.getContext());
+
+            const channel = this.audioGraph.getChannel(name);
+            this.applySoundLevel(name, 0);
+            this.fadeSound(name, this.fadeSettings.fadeIn > 0 ? 0 : 1, 0);
+
+            // start会替换已有的音源节点，已在播放时不会叠加
+            generator.start(channel.input);
+
+            if (this.fadeSettings.fadeIn > 0) {
+                this.fadeSound(name, 1, this.fadeSettings.fadeIn);
+            }
+
+            this.activeSources.set(name, {
+                generator,
+                startTime: Date.now()
+            });
+            this.updateLayerCompensation(this.fadeSettings.fadeIn);
+            this.startEventLayer(name);
+
+            console.log(`开始播放程序化音源: ${name}`);
             return true;
         } catch (error) {
-            console.error(`设置HLS音量失败 ${name}:`, error);
+            console.error(`播放程序化音源失败 ${name}:`, error);
+
+            if (this.onLoadingError) {
+                this.onLoadingError({
+                    name,
+                    error,
+                    timestamp: Date.now(),
+                    context: 'playSound'
+                });
+            }
+
             return false;
         }
     }
 
     /**
-     * 设置主音量
-     * @param {number} volume - 主音量值 (0-1)
+     * 淡出后停止程序化音源
+     * @private
+     * @param {string} name - 音效名称
+     * @param {number} fadeOut - 淡出时长（秒）
+     * @returns {boolean} 是否停止成功
      */
-    setMasterVolume(volume) {
-        this.masterVolume = Math.max(0, Math.min(1, volume));
-        
-        // 更新所有正在播放的音效音量
-        for (const [name] of this.activeSources) {
-            this.setVolume(name, this.masterVolume);
-        }
-        
-        console.log(`设置HLS主音量: ${this.masterVolume}`);
+    stopGenerator(name, fadeOut) {
+        const generator = this.generators.get(name);
+        const fadeDuration = Math.max(this.stopFadeDuration, Math.min(this.maxFadeDuration, fadeOut || 0));
+
+        this.cancelPendingStop(name);
+        this.stopEventLayer(name);
+        this.fadeSound(name, 0, fadeDuration);
+
+        this.pendingStops.set(name, setTimeout(() => {
+            this.pendingStops.delete(name);
+            generator.stop();
+            this.silenceEventLayer(name);
+            this.activeSources.delete(name);
+            console.log(`停止程序化音源: ${name}`);
+        }, fadeDuration * 1000));
+        this.updateLayerCompensation(fadeDuration);
+
+        return true;
     }
 
     /**
-     * 停止所有音效
+     * 注册宏音效，之后可像普通音效一样播放、停止和调节音量
+     * 宏音效本身没有音频，各底层音效需要另外加载
+     * @param {string} name - 宏音效名称
+     * @param {MacroSound} macro - 宏音效定义
      */
-    stopAllSounds() {
-        const activeNames = Array.from(this.activeSources.keys());
-        activeNames.forEach(name => {
-            this.stopSound(name);
-        });
-        console.log('停止所有HLS音效');
+    registerMacro(name, macro) {
+        this.macros.set(name, macro);
     }
 
     /**
-     * 检查指定音效是否正在播放
+     * 检查是否为宏音效
      * @param {string} name - 音效名称
-     * @returns {boolean} 是否正在播放
+     * @returns {boolean}
      */
-    isPlaying(name) {
-        if (!this.audioElements.has(name)) {
-            return false;
-        }
-        
-        const audio = this.audioElements.get(name);
-        return !audio.paused && !audio.ended;
+    isMacro(name) {
+        return this.macros.has(name);
     }
 
     /**
-     * 获取当前播放的音效列表
-     * @returns {Array} 正在播放的音效名称数组
+     * 设置宏音效的强度，正在播放时各层增益平滑过渡：增益升起的层开始播放，降为0的层淡出停止
+     * @param {string} name - 宏音效名称
+     * @param {number} intensity - 强度 (0-100)
+     * @param {number} duration - 过渡时长（秒）
      */
-    getCurrentlyPlaying() {
-        return Array.from(this.activeSources.keys()).filter(name => this.isPlaying(name));
+    setMacroIntensity(name, intensity, duration = this.macroRampTime) {
+        if (!this.isMacro(name)) {
+            return;
+        }
+
+        this.macroIntensities.set(name, MacroSound.clampIntensity(intensity));
+        if (this.activeMacros.has(name)) {
+            this.updateMacroLayers(name, duration);
+        }
     }
 
     /**
-     * 检查音频是否已加载
-     * @param {string} name - 音效名称
-     * @returns {boolean} 是否已加载
+     * 获取宏音效的强度
+     * @param {string} name - 宏音效名称
+     * @returns {number} 强度 (0-100)，未设置时为定义中的默认值
      */
-    isLoaded(name) {
-        if (!this.audioElements.has(name)) {
-            return false;
+    getMacroIntensity(name) {
+        if (this.macroIntensities.has(name)) {
+            return this.macroIntensities.get(name);
         }
-        
-        const audio = this.audioElements.get(name);
-        return audio.readyState >= 3; // HAVE_FUTURE_DATA or better
+        return this.isMacro(name) ? this.macros.get(name).defaultIntensity : 0;
     }
 
     /**
-     * 获取所有已加载的音效名称
-     * @returns {Array} 已加载的音效名称数组
+     * 获取宏音效中某一层的增益
+     * @private
+     * @param {string} name - 宏音效名称
+     * @param {string} layer - 底层音效名称
+     * @returns {number} 宏音效增益 × 当前强度下该层的曲线增益
      */
-    getLoadedSounds() {
-        const loaded = [];
-        for (const [name, audio] of this.audioElements) {
-            if (audio.readyState >= 3) {
-                loaded.push(name);
-            }
-        }
-        return loaded;
+    getMacroLayerGain(name, layer) {
+        const gains = this.macros.get(name).getLayerGains(this.getMacroIntensity(name));
+        return this.getSoundGain(name) * (gains[layer] || 0);
     }
 
     /**
-     * 预缓冲指定音效
-     * 这会触发hls.js开始加载音频切片，但不会播放
-     * @param {string} name - 音效名称
+     * 播放宏音效：接管各底层音效，只播放当前强度下增益大于0的层
+     * @private
+     * @param {string} name - 宏音效名称
+     * @param {number} volume - 宏音效增益 (0-1)
+     * @returns {Promise<boolean>} 是否播放成功（需要播放的层全部失败时为false）
      */
-    prebufferSound(name) {
-        if (!this.audioElements.has(name)) {
-            console.warn(`[预缓冲] 音频尚未加载，无法预缓冲: ${name}`);
-            return;
+    async playMacro(name, volume) {
+        this.storeSoundGain(name, volume);
+        this.activeMacros.add(name);
+        this.macros.get(name).getLayerNames().forEach(layer => this.macroOwners.set(layer, name));
+
+        const results = await this.updateMacroLayers(name, 0);
+        if (results.length > 0 && !results.includes(true)) {
+            this.stopMacro(name, 0);
+            return false;
         }
 
-        const audio = this.audioElements.get(name);
-        const hls = this.hlsPlayers.get(name);
+        console.log(`开始播放宏音效: ${name}, 强度: ${this.getMacroIntensity(name)}`);
+        return true;
+    }
 
-        // 如果hls实例存在，并且媒体已附加，可以开始加载
-        if (hls && hls.media === audio) {
-            console.log(`[预缓冲] 开始主动加载数据: ${name}`);
-            try {
-                hls.startLoad(); // 明确指令hls.js开始下载切片
-                
-                // 设置音量为0并进行短暂的预加载
-                const originalVolume = audio.volume;
-                audio.volume = 0;
-                
-                // 尝试短暂播放以触发数据加载，然后立即暂停
-                const prebufferPlay = async () => {
-                    try {
-                        await audio.play();
-                        // 等待一个很短的时间让数据开始缓冲
-                        setTimeout(() => {
-                            audio.pause();
-                            audio.currentTime = 0;
-                            audio.volume = originalVolume;
-                            console.log(`[预缓冲] 预加载完成: ${name}`);
-                        }, 100); // 100ms后暂停
-                    } catch (playError) {
-                        // 如果播放失败（比如需要用户交互），就只进行加载操作
-                        audio.volume = originalVolume;
-                        console.log(`[预缓冲] 无法播放，但已触发加载: ${name}`);
-                    }
-                };
-                
-                // 在下一个tick执行，避免阻塞当前执行
-                setTimeout(prebufferPlay, 0);
-                
-            } catch (error) {
-                console.warn(`[预缓冲] hls.startLoad 失败: ${name}`, error);
+    /**
+     * 停止宏音效，淡出并释放它控制的各层
+     * @private
+     * @param {string} name - 宏音效名称
+     * @param {number} fadeOut - 淡出时长（秒）
+     * @returns {boolean} 是否停止成功
+     */
+    stopMacro(name, fadeOut) {
+        this.activeMacros.delete(name);
+        this.macros.get(name).getLayerNames().forEach(layer => {
+            if (this.macroOwners.get(layer) !== name) {
+                return;
             }
-        } else if (this.canPlayHlsNatively()) {
-            // 对于原生支持HLS的浏览器（如Safari），调用load()
-            console.log(`[预缓冲] 使用原生load()加载数据: ${name}`);
-            try {
-                audio.load();
-                
-                // 同样进行短暂的预播放
-                const originalVolume = audio.volume;
-                audio.volume = 0;
-                
-                const prebufferPlay = async () => {
-                    try {
-                        await audio.play();
-                        setTimeout(() => {
-                            audio.pause();
-                            audio.currentTime = 0;
-                            audio.volume = originalVolume;
-                            console.log(`[预缓冲] 原生预加载完成: ${name}`);
-                        }, 100);
-                    } catch (playError) {
-                        audio.volume = originalVolume;
-                        console.log(`[预缓冲] 原生无法播放，但已触发加载: ${name}`);
-                    }
-                };
-                
-                setTimeout(prebufferPlay, 0);
-                
-            } catch (error) {
-                console.warn(`[预缓冲] 原生 load() 失败: ${name}`, error);
+
+            this.macroOwners.delete(layer);
+            if (this.isPlaying(layer)) {
+                this.stopSound(layer, fadeOut);
             }
-        }
+        });
+
+        console.log(`停止宏音效: ${name}`);
+        return true;
     }
 
     /**
-     * 更新加载状态
-     * @param {string} name - 音频名称
-     * @param {string} status - 状态 ('loading', 'loaded', 'error')
+     * 按当前强度和宏音效增益更新各层：曲线增益大于0的层播放（已在播放时平滑调整），其余层淡出停止
+     * @private
+     * @param {string} name - 宏音效名称
+     * @param {number} duration - 过渡时长（秒）
+     * @param {string} curve - 正在播放的层的增益斜坡曲线，见AudioGraph.rampParam
+     * @returns {Promise<Array<boolean>>} 新开始播放的各层是否成功
      */
-    updateLoadingState(name, status) {
-        this.loadingStates.set(name, {
-            status,
-            timestamp: Date.now()
+    updateMacroLayers(name, duration, curve = 'linear') {
+        const gains = this.macros.get(name).getLayerGains(this.getMacroIntensity(name));
+        const starts = [];
+
+        Object.entries(gains).forEach(([layer, gain]) => {
+            if (this.macroOwners.get(layer) !== name) {
+                return;
+            }
+
+            if (gain > 0) {
+                if (this.isPlaying(layer)) {
+                    this.applySoundLevel(layer, duration, curve);
+                } else {
+                    starts.push(this.playSound(layer));
+                }
+            } else if (this.isPlaying(layer)) {
+                this.stopSound(layer, duration);
+            }
         });
-        console.log(`HLS音频加载状态更新: ${name} -> ${status}`);
+
+        return Promise.all(starts);
     }
 
     /**
-     * 获取内存使用情况
-     * @returns {Object} 内存使用信息
+     * 设置音效的随机单次事件层，事件接入该音效的通道
+     * @param {string} name - 父音效名称
+     * @param {EventLayer} layer - 事件层实例
      */
-    getMemoryInfo() {
-        const info = {
-            loadedSounds: this.audioElements.size,
-            activeSources: this.activeSources.size,
-            isInitialized: this.isInitialized,
-            loadingStates: this.loadingStates.size
-        };
-        
-        return info;
+    setEventLayer(name, layer) {
+        if (this.eventLayers.has(name)) {
+            this.eventLayers.get(name).destroy();
+        }
+
+        this.eventLayers.set(name, layer);
     }
 
     /**
-     * 恢复音频上下文（兼容性方法，HLS不需要特殊处理）
+     * 获取音效的随机事件层
+     * @param {string} name - 父音效名称
+     * @returns {EventLayer|null}
      */
-    async resumeContext() {
-        console.log('HLS音频不需要恢复上下文');
-        return Promise.resolve();
+    getEventLayer(name) {
+        return this.eventLayers.get(name) || null;
     }
 
     /**
-     * 获取上下文状态（兼容性方法）
+     * 父音效开始播放时启动事件调度（需要共享音频图）
+     * @private
+     * @param {string} name - 父音效名称
      */
-    getContextState() {
-        return 'running'; // HLS始终可用
+    startEventLayer(name) {
+        const layer = this.eventLayers.get(name);
+        if (!layer || !this.usesAudioGraph()) {
+            return;
+        }
+
+        layer.prepare(this.audioGraph.getContext()).catch((error) => {
+            console.warn(`准备随机事件失败: ${name}`, error);
+        });
+        layer.start(this.audioGraph.getChannel(name).input);
     }
 
     /**
-     * 销毁管理器，释放资源
+     * 父音效开始淡出时停止调度新事件
+     * @private
+     * @param {string} name - 父音效名称
+     */
+    stopEventLayer(name) {
+        const layer = this.eventLayers.get(name);
+        if (layer) {
+            layer.stop();
+        }
+    }
+
+    /**
+     * 父音效淡出结束后停止残留的事件
+     * @private
+     * @param {string} name - 父音效名称
+     */
+    silenceEventLayer(name) {
+        const layer = this.eventLayers.get(name);
+        if (layer) {
+            layer.silence();
+        }
+    }
+
+    /**
+     * 取消尚未完成的淡出停止
+     * @param {string} name - 音效名称
+     */
+    cancelPendingStop(name) {
+        if (this.pendingStops.has(name)) {
+            clearTimeout(this.pendingStops.get(name));
+            this.pendingStops.delete(name);
+        }
+    }
+
+    /**
+     * 设置共享Web Audio音频图
+     * @param {AudioGraph} audioGraph - 音频图实例
+     */
+    setAudioGraph(audioGraph) {
+        this.audioGraph = audioGraph;
+        
+        if (audioGraph) {
+            audioGraph.setMasterVolume(this.masterVolume, 0);
+            // 其他管理器（缓冲区音源）开始或停止播放时重新计算叠加补偿
+            audioGraph.onExternalLayersChange = () => this.updateLayerCompensation();
+        }
+    }
+
+    /**
+     * 是否通过Web Audio音频图输出
+     * @returns {boolean}
+     */
+    usesAudioGraph() {
+        return !!(this.audioGraph && this.audioGraph.isSupported());
+    }
+
+    /**
+     * 将音频元素接入音频图（每个元素只接入一次）
+     * @param {string} name - 音效名称
+     * @param {HTMLAudioElement} audio - 音频元素
+     * @returns {GainNode|null} 元素的淡入淡出节点，未接入时返回null
+     */
+    routeElement(name, audio) {
+        if (!this.usesAudioGraph()) {
+            return null;
+        }
+        
+        try {
+            const fader = this.audioGraph.connectMediaElement(name, audio);
+            audio.volume = 1; // 音量完全由GainNode控制
+            return fader;
+        } catch (error) {
+            console.warn(`HLS音频接入Web Audio失败，使用audio.volume: ${name}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * 设置音频元素的包络电平（淡入淡出）
+     * 接入音频图时使用计划的增益斜坡，否则直接换算为audio.volume
+     * @param {string} name - 音效名称
+     * @param {HTMLAudioElement} audio - 音频元素
+     * @param {number} level - 包络电平 (0-1)
+     * @param {number} duration - 斜坡时长（秒）
+     * @param {string} curve - 曲线类型，见AudioGraph.rampParam
+     */
+    setElementLevel(name, audio, level, duration = 0, curve = 'linear') {
+        const fader = this.usesAudioGraph() ? this.audioGraph.getMediaFader(audio) : null;
+        
+        if (fader) {
+            this.audioGraph.rampParam(fader.gain, level, duration, curve);
+            return;
+        }
+        
+        const targetVolume = Math.max(0, Math.min(1, level * this.getOutputVolume(name)));
+        if (this.volumeFades.has(audio)) {
+            clearInterval(this.volumeFades.get(audio));
+            this.volumeFades.delete(audio);
+        }
+        
+        if (duration <= 0) {
+            audio.volume = targetVolume;
+            return;
+        }
+        
+        const startVolume = audio.volume;
+        const stepMs = 50;
+        const totalSteps = Math.max(1, Math.round((duration * 1000) / stepMs));
+        let currentStep = 0;
+        
+        const fadeInterval = setInterval(() => {
+            currentStep++;
+            audio.volume = Math.max(0, Math.min(1,
+                AudioGraph.getFadeValue(startVolume, targetVolume, currentStep / totalSteps, curve)));
+            
+            if (currentStep >= totalSteps) {
+                clearInterval(fadeInterval);
+                this.volumeFades.delete(audio);
+            }
+        }, stepMs);
+        this.volumeFades.set(audio, fadeInterval);
+    }
+
+    /**
+     * 设置播放/停止的淡入淡出
+     * @param {Object} settings - { fadeIn, fadeOut, curve }，时长单位为秒
+     */
+    setFadeSettings(settings = {}) {
+        const clampDuration = (value, fallback) => {
+            const duration = Number(value);
+            return Number.isFinite(duration)
+                ? Math.max(0, Math.min(this.maxFadeDuration, duration))
+                : fallback;
+        };
+        
+        this.fadeSettings = {
+            fadeIn: clampDuration(settings.fadeIn, this.fadeSettings.fadeIn),
+            fadeOut: clampDuration(settings.fadeOut, this.fadeSettings.fadeOut),
+            curve: ['linear', 'equal-power'].includes(settings.curve) ? settings.curve : this.fadeSettings.curve
+        };
+        
+        console.log('HLS淡入淡出设置:', this.fadeSettings);
+    }
+
+    /**
+     * 获取播放/停止的淡入淡出设置
+     * @returns {Object} { fadeIn, fadeOut, curve }
+     */
+    getFadeSettings() {
+        return { ...this.fadeSettings };
+    }
+
+    /**
+     * 对整个音效做淡入淡出（与无缝循环的元素交叉淡化相互独立）
+     * @param {string} name - 音效名称
+     * @param {number} level - 目标电平 (0-1)
+     * @param {number} duration - 淡变时长（秒）
+     */
+    fadeSound(name, level, duration) {
+        const { curve } = this.fadeSettings;
+        
+        if (this.isGenerator(name)
+            || (this.usesAudioGraph() && this.audioGraph.getMediaFader(this.audioElements.get(name)))) {
+            this.audioGraph.setChannelFade(name, level, duration, curve);
+        } else if (this.audioElements.has(name)) {
+            this.setElementLevel(name, this.audioElements.get(name), level, duration, curve);
+        }
+    }
+
+    /**
+     * 将音效增益和主音量应用到正在播放的音效
+     * @param {string} name - 音效名称
+     * @param {number} duration - 斜坡时长（秒）
+     * @param {string} curve - 斜坡曲线，见AudioGraph.rampParam
+     */
+    applySoundLevel(name, duration, curve = 'linear') {
+        if (this.usesAudioGraph()) {
+            this.audioGraph.setChannelGain(name, this.getSoundGain(name), duration, curve);
+        } else if (this.audioElements.has(name)) {
+            if (duration > 0) {
+                this.setElementLevel(name, this.audioElements.get(name), 1, duration, curve);
+            } else {
+                this.setVolume(name, this.getOutputVolume(name));
+            }
+        }
+    }
+
+    /**
+     * 设置指定音效的音量
+     * 接入音频图时作用于该音效的通道GainNode（再乘以主音量），否则直接设置audio.volume
+     * @param {string} name - 音效名称
+     * @param {number} volume - 音量值 (0-1)
+     */
+    setVolume(name, volume) {
+        try {
+            if (!this.audioElements.has(name) && !this.isGenerator(name)) {
+                return false;
+            }
+
+            const normalizedVolume = Math.max(0, Math.min(1, volume));
+            
+            if (this.usesAudioGraph()) {
+                this.audioGraph.setChannelGain(name, normalizedVolume);
+            } else {
+                this.audioElements.get(name).volume = normalizedVolume;
+            }
+            
+            console.log(`设置HLS音效音量 ${name}: ${normalizedVolume}`);
+            return true;
+        } catch (error) {
+            console.error(`设置HLS音量失败 ${name}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * 设置主音量
+     * @param {number} volume - 主音量值 (0-1)
+     * @param {number} duration - 斜坡时长（秒），可选
+     */
+    setMasterVolume(volume, duration) {
+        this.masterVolume = Math.max(0, Math.min(1, volume));
+        
+        if (this.usesAudioGraph()) {
+            this.audioGraph.setMasterVolume(this.masterVolume, duration);
+        } else {
+            // 更新所有正在播放的音效音量
+            for (const [name] of this.activeSources) {
+                this.applySoundLevel(name, duration);
+            }
+        }
+        
+        console.log(`设置HLS主音量: ${this.masterVolume}`);
+    }
+
+    /**
+     * 设置主音量渐弱系数（睡眠定时器渐弱），不改变主音量设置
+     * @param {number} level - 渐弱系数 (0-1)
+     * @param {number} duration - 斜坡时长（秒）
+     */
+    setMasterFade(level, duration = 1) {
+        this.masterFade = Math.max(0, Math.min(1, level));
+        
+        if (this.usesAudioGraph()) {
+            this.audioGraph.setMasterFade(this.masterFade, duration);
+        } else {
+            for (const [name] of this.activeSources) {
+                this.setVolume(name, this.getOutputVolume(name));
+            }
+        }
+    }
+
+    /**
+     * 获取主音量渐弱系数
+     * @returns {number} 渐弱系数 (0-1)
+     */
+    getMasterFade() {
+        return this.masterFade;
+    }
+
+    /**
+     * 设置指定音效的独立增益（混音器）
+     * @param {string} name - 音效名称
+     * @param {number} gain - 增益值 (0-1)，最终音量 = 主音量 × 增益
+     * @param {number} duration - 斜坡时长（秒），可选
+     * @param {string} curve - 斜坡曲线，见AudioGraph.rampParam；'inverse'用于与主音量的线性斜坡相抵
+     */
+    setSoundGain(name, gain, duration, curve = 'linear') {
+        const normalizedGain = Math.max(0, Math.min(1, gain));
+        this.soundGains.set(name, normalizedGain);
+        
+        if (this.activeMacros.has(name)) {
+            this.updateMacroLayers(name, duration, curve);
+        } else if (this.activeSources.has(name)) {
+            this.applySoundLevel(name, duration, curve);
+        }
+    }
+
+    /**
+     * 获取指定音效的独立增益
+     * @param {string} name - 音效名称
+     * @returns {number} 增益值 (0-1)，未设置时为1；由宏音效控制的层返回宏音效决定的增益
+     */
+    getSoundGain(name) {
+        if (this.macroOwners.has(name)) {
+            return this.getMacroLayerGain(this.macroOwners.get(name), name);
+        }
+        return this.soundGains.has(name) ? this.soundGains.get(name) : 1;
+    }
+
+    /**
+     * 记录音效增益，由宏音效控制的层保留其自身的混音器增益
+     * @private
+     * @param {string} name - 音效名称
+     * @param {number} gain - 增益值 (0-1)
+     */
+    storeSoundGain(name, gain) {
+        if (!this.macroOwners.has(name)) {
+            this.soundGains.set(name, Math.max(0, Math.min(1, gain)));
+        }
+    }
+
+    /**
+     * 获取指定音效的实际输出音量
+     * @param {string} name - 音效名称
+     * @returns {number} 主音量 × 渐弱系数 × 音效增益 × 响度归一化增益 × 起伏调制（回退到audio.volume时使用）
+     */
+    getOutputVolume(name) {
+        const modulation = this.modulators.has(name) ? this.modulators.get(name).getGain() : 1;
+        return this.masterVolume * this.masterFade * this.getSoundGain(name) * this.getLoudnessGain(name) * modulation;
+    }
+
+    /**
+     * 设置指定音效的响度归一化增益
+     * 回退模式下audio.volume不能超过1，需要提升的音效最多保持原音量
+     * @param {string} name - 音效名称
+     * @param {number} db - 增益（dB），超出±maxLoudnessGain时截断
+     */
+    setLoudnessGain(name, db) {
+        const gain = Math.max(-this.maxLoudnessGain, Math.min(this.maxLoudnessGain, Number(db) || 0));
+        this.loudnessGains.set(name, gain);
+
+        if (this.usesAudioGraph()) {
+            this.audioGraph.setChannelTrim(name, this.getLoudnessGain(name));
+        } else if (this.activeSources.has(name)) {
+            this.applySoundLevel(name);
+        }
+    }
+
+    /**
+     * 获取指定音效的响度归一化增益
+     * @param {string} name - 音效名称
+     * @returns {number} 线性增益，未设置时为1
+     */
+    getLoudnessGain(name) {
+        return this.loudnessGains.has(name) ? Math.pow(10, this.loudnessGains.get(name) / 20) : 1;
+    }
+
+    /**
+     * 开启或关闭叠加增益补偿
+     * @param {boolean} enabled - 是否开启
+     */
+    setAutoGain(enabled) {
+        this.autoGain = !!enabled;
+        this.updateLayerCompensation(1);
+    }
+
+    /**
+     * 获取正在播放的音效数量（不含正在淡出停止的音效），包括共享音频图中其他管理器播放的缓冲区音源
+     * @returns {number}
+     */
+    getActiveLayerCount() {
+        let count = this.usesAudioGraph() ? this.audioGraph.getExternalLayerCount() : 0;
+        for (const name of this.activeSources.keys()) {
+            if (!this.pendingStops.has(name)) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * 按当前叠加层数更新增益补偿，与淡入淡出同步过渡（需要音频图）
+     * @private
+     * @param {number} duration - 过渡时长（秒）
+     */
+    updateLayerCompensation(duration) {
+        if (!this.usesAudioGraph()) {
+            return;
+        }
+
+        const level = this.autoGain ? AudioGraph.getLayerCompensation(this.getActiveLayerCount()) : 1;
+        this.audioGraph.setLayerCompensation(level, Math.max(this.stopFadeDuration, duration || 0));
+    }
+
+    /**
+     * 获取主输出动态处理的增益衰减量
+     * @returns {number} 衰减量（dB，正数），回退模式下为0
+     */
+    getGainReduction() {
+        return this.usesAudioGraph() ? this.audioGraph.getGainReduction() : 0;
+    }
+
+    /**
+     * 主输出限幅器是否正在工作
+     * @returns {boolean}
+     */
+    isLimiting() {
+        return this.usesAudioGraph() && this.audioGraph.isLimiting();
+    }
+
+    /**
+     * 设置指定音效的均衡器增益（需要音频图，回退模式下无效）
+     * @param {string} name - 音效名称
+     * @param {Array<number>} gains - 各频段增益（dB），见Equalizer.BANDS
+     * @param {number} duration - 过渡时长（秒），可选
+     */
+    setSoundEq(name, gains, duration) {
+        if (this.usesAudioGraph()) {
+            this.audioGraph.setChannelEq(name, gains, duration);
+        }
+    }
+
+    /**
+     * 设置指定音效的空间位置（需要音频图，回退模式下无效）
+     * @param {string} name - 音效名称
+     * @param {Object|null} position - { x, y, drift }，null表示取消空间定位
+     * @param {number} duration - 移动时长（秒），可选
+     */
+    setSoundPosition(name, position, duration) {
+        if (this.usesAudioGraph()) {
+            this.audioGraph.setChannelPosition(name, position, duration);
+        }
+    }
+
+    /**
+     * 设置指定音效的起伏调制
+     * 接入音频图时同时调制增益和低通截止频率；回退模式下没有滤波器，只按步调整audio.volume
+     * @param {string} name - 音效名称
+     * @param {Object|null} settings - { shape, period, depth, filter }，null表示关闭
+     * @param {number} duration - 调制深度的过渡时长（秒），可选
+     */
+    setSoundModulation(name, settings, duration) {
+        if (this.usesAudioGraph()) {
+            this.audioGraph.setChannelModulation(name, settings, duration);
+            return;
+        }
+
+        if (this.modulators.has(name)) {
+            this.modulators.get(name).setSettings(settings, duration);
+        } else if (Modulator.normalizeSettings(settings)) {
+            const modulator = new Modulator(null, null, () => this.applyModulation(name));
+            this.modulators.set(name, modulator);
+            modulator.setSettings(settings, duration);
+        }
+    }
+
+    /**
+     * 回退模式下将起伏调制应用到audio.volume，淡入淡出或停止过程中跳过（由淡变负责）
+     * @private
+     * @param {string} name - 音效名称
+     */
+    applyModulation(name) {
+        const audio = this.audioElements.get(name);
+        if (!audio || !this.activeSources.has(name) || this.pendingStops.has(name) || this.volumeFades.has(audio)) {
+            return;
+        }
+
+        audio.volume = Math.max(0, Math.min(1, this.getOutputVolume(name)));
+    }
+
+    /**
+     * 设置指定音效的混响干湿比（需要音频图，回退模式下无效）
+     * @param {string} name - 音效名称
+     * @param {number} wet - 湿声比例 (0-1)
+     * @param {number} duration - 过渡时长（秒），可选
+     */
+    setSoundReverb(name, wet, duration) {
+        if (this.usesAudioGraph()) {
+            this.audioGraph.setChannelReverb(name, wet, duration);
+        }
+    }
+
+    /**
+     * 切换混响环境（需要音频图，回退模式下无效）
+     * @param {string} preset - 预设名称，见ReverbEnvironment.PRESETS，'none'表示不加混响
+     * @param {number} duration - 交叉淡化时长（秒），可选
+     */
+    setReverbPreset(preset, duration) {
+        if (this.usesAudioGraph()) {
+            this.audioGraph.setReverbPreset(preset, duration);
+        }
+    }
+
+    /**
+     * 设置主滤波器（需要音频图，回退模式下无效）
+     * @param {Object} settings - { muffle (0-1), highpass (Hz) }，可只传部分字段
+     * @param {number} duration - 过渡时长（秒），可选
+     */
+    setMasterFilter(settings, duration) {
+        if (this.usesAudioGraph()) {
+            this.audioGraph.setMasterFilter(settings, duration);
+        }
+    }
+
+    /**
+     * 开启或关闭无缝循环
+     * @param {boolean} enabled - 是否开启
+     */
+    setGaplessLoop(enabled) {
+        this.gaplessLoop = !!enabled;
+        
+        if (this.gaplessLoop) {
+            for (const [name] of this.activeSources) {
+                this.startLoopMonitor(name);
+            }
+        } else {
+            for (const name of Array.from(this.loopStates.keys())) {
+                this.stopLoopMonitor(name);
+            }
+        }
+        
+        console.log(`HLS无缝循环: ${this.gaplessLoop ? '开启' : '关闭'}`);
+    }
+
+    /**
+     * 获取交叉淡化时长，短音频按比例缩短
+     * @param {number} duration - 音频总时长（秒）
+     * @returns {number} 交叉淡化时长（秒）
+     */
+    getLoopCrossfadeDuration(duration) {
+        return Math.min(this.loopCrossfadeDuration, duration / 4);
+    }
+
+    /**
+     * 启动无缝循环监听：接近结尾时交叉淡化到第二个音频元素
+     * 副本未就绪时由audio.loop兜底，与原生和hls.js两种播放路径无关
+     * @param {string} name - 音效名称
+     */
+    startLoopMonitor(name) {
+        if (!this.gaplessLoop || this.loopStates.has(name) || !this.audioElements.has(name)) {
+            return;
+        }
+        
+        const state = {
+            audio: this.audioElements.get(name),
+            fadeInterval: null,
+            onTimeUpdate: null
+        };
+        
+        state.onTimeUpdate = () => {
+            const { audio } = state;
+            if (state.fadeInterval || !isFinite(audio.duration) || audio.duration <= 0) {
+                return;
+            }
+            
+            const crossfade = this.getLoopCrossfadeDuration(audio.duration);
+            if (audio.currentTime >= audio.duration - crossfade) {
+                this.crossfadeLoop(name, crossfade);
+            }
+        };
+        
+        state.audio.addEventListener('timeupdate', state.onTimeUpdate);
+        this.loopStates.set(name, state);
+        
+        // 提前准备第二个音频元素
+        this.prepareLoopPartner(name);
+    }
+
+    /**
+     * 停止无缝循环监听
+     * @param {string} name - 音效名称
+     */
+    stopLoopMonitor(name) {
+        const state = this.loopStates.get(name);
+        if (!state) {
+            return;
+        }
+        
+        state.audio.removeEventListener('timeupdate', state.onTimeUpdate);
+        if (state.fadeInterval) {
+            clearInterval(state.fadeInterval);
+        }
+        state.audio.loop = true;
+        
+        // 停止仍在淡出的另一个元素
+        const partner = this.loopPartners.get(name);
+        if (partner && partner.ready && !partner.audio.paused) {
+            partner.audio.pause();
+            partner.audio.currentTime = 0;
+        }
+        
+        this.loopStates.delete(name);
+    }
+
+    /**
+     * 准备交替播放的第二个音频元素
+     * @param {string} name - 音效名称
+     * @returns {Promise<Object|null>} 副本信息
+     */
+    prepareLoopPartner(name) {
+        if (this.loopPartners.has(name)) {
+            return this.loopPartners.get(name).promise;
+        }
+        
+        const hlsUrl = this.sourceUrls.get(name);
+        if (!hlsUrl) {
+            return Promise.resolve(null);
+        }
+        
+        const partner = { audio: null, hls: null, ready: false, promise: null };
+        partner.promise = this.getLoopSourceUrl(name)
+            .then(url => this.createMediaElement(url).then((element) => {
+                if (url !== hlsUrl) {
+                    this.playlistUrls.set(element.audio, url);
+                }
+                return element;
+            }))
+            .then(({ audio, hls }) => {
+                this.watchLoopWrap(name, audio);
+                partner.audio = audio;
+                partner.hls = hls;
+                partner.ready = true;
+                return partner;
+            })
+            .catch((error) => {
+                console.warn(`无缝循环副本加载失败，使用普通循环: ${name}`, error);
+                this.loopPartners.delete(name);
+                return null;
+            });
+        
+        this.loopPartners.set(name, partner);
+        return partner.promise;
+    }
+
+    /**
+     * 设置音效的防重复选项
+     * @param {string} name - 音效名称
+     * @param {Object} settings - { randomStart, rateDrift, shuffleSegments }，可只传部分字段
+     */
+    setDeRepetition(name, settings = {}) {
+        const current = this.getDeRepetition(name);
+        const next = {
+            randomStart: settings.randomStart !== undefined ? !!settings.randomStart : current.randomStart,
+            rateDrift: settings.rateDrift !== undefined ? !!settings.rateDrift : current.rateDrift,
+            shuffleSegments: settings.shuffleSegments !== undefined ? !!settings.shuffleSegments : current.shuffleSegments
+        };
+        this.deRepetition.set(name, next);
+        
+        // 关闭速率漂移时立即恢复正常速度
+        if (!next.rateDrift && this.audioElements.has(name)) {
+            this.applyRateDrift(name, this.audioElements.get(name));
+        }
+        
+        // 切换切片乱序时按新设置重新加载空闲的循环副本，下一个循环周期即生效
+        if (next.shuffleSegments !== current.shuffleSegments) {
+            this.reshuffleLoopPartner(name);
+        }
+    }
+
+    /**
+     * 获取音效的防重复选项
+     * @param {string} name - 音效名称
+     * @returns {Object} { randomStart, rateDrift, shuffleSegments }，默认全部关闭
+     */
+    getDeRepetition(name) {
+        return { randomStart: false, rateDrift: false, shuffleSegments: false, ...this.deRepetition.get(name) };
+    }
+
+    /**
+     * 是否支持切片乱序：需要hls.js加载运行时生成的播放列表（原生HLS不支持Blob播放列表）
+     * @returns {boolean}
+     */
+    canShuffleSegments() {
+        return !this.canPlayHlsNatively() && !!(window.Hls && window.Hls.isSupported());
+    }
+
+    /**
+     * 计算开始播放的位置
+     * 随机起点避开结尾的交叉淡化区间，避免刚开始就进入循环切换
+     * @param {string} name - 音效名称
+     * @param {HTMLAudioElement} audio - 音频元素
+     * @returns {number} 开始位置（秒）
+     */
+    getStartOffset(name, audio) {
+        if (!this.getDeRepetition(name).randomStart || !isFinite(audio.duration) || audio.duration <= 0) {
+            return 0;
+        }
+        
+        const latest = audio.duration - this.getLoopCrossfadeDuration(audio.duration) - 1;
+        return latest > 0 ? Math.random() * latest : 0;
+    }
+
+    /**
+     * 为一个循环周期设置播放速率：开启速率漂移时随机偏移，音调随之轻微变化
+     * @param {string} name - 音效名称
+     * @param {HTMLAudioElement} audio - 音频元素
+     */
+    applyRateDrift(name, audio) {
+        const drift = this.getDeRepetition(name).rateDrift
+            ? (Math.random() * 2 - 1) * this.rateDriftAmount
+            : 0;
+        
+        // 像磁带一样变速，保持音调会引入时间拉伸的失真
+        audio.preservesPitch = drift === 0;
+        audio.playbackRate = 1 + drift;
+    }
+
+    /**
+     * 监听原生循环回到开头，为新的循环周期重新设置速率漂移
+     * 关闭无缝循环或副本未就绪时由audio.loop循环，不经过crossfadeLoop；循环回到开头时媒体元素会触发seeked
+     * @param {string} name - 音效名称
+     * @param {HTMLAudioElement} audio - 音频元素
+     */
+    watchLoopWrap(name, audio) {
+        audio.addEventListener('seeked', () => {
+            if (audio.loop && audio.currentTime < 1 && this.audioElements.get(name) === audio) {
+                this.applyRateDrift(name, audio);
+            }
+        });
+    }
+
+    /**
+     * 获取循环副本的播放列表地址，开启切片乱序时生成乱序播放列表
+     * @param {string} name - 音效名称
+     * @returns {Promise<string>} 播放列表URL
+     */
+    async getLoopSourceUrl(name) {
+        const hlsUrl = this.sourceUrls.get(name);
+        if (!this.getDeRepetition(name).shuffleSegments || !this.canShuffleSegments()) {
+            return hlsUrl;
+        }
+        
+        try {
+            return await this.createShuffledPlaylist(hlsUrl);
+        } catch (error) {
+            console.warn(`切片乱序失败，保持原顺序: ${name}`, error);
+            return hlsUrl;
+        }
+    }
+
+    /**
+     * 生成切片顺序随机的播放列表
+     * 切片地址解析为绝对地址，切片之间加入EXT-X-DISCONTINUITY以重置时间戳
+     * @param {string} hlsUrl - 原播放列表URL
+     * @returns {Promise<string>} 乱序播放列表的Blob URL
+     */
+    async createShuffledPlaylist(hlsUrl) {
+        const baseUrl = new URL(hlsUrl, window.location.href);
+        const response = await fetch(baseUrl.href);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        const header = [];
+        const segments = [];
+        let pending = [];
+        
+        (await response.text()).split(/\r?\n/).forEach((rawLine) => {
+            const line = rawLine.trim();
+            if (!line || /^#EXT-X-(ENDLIST|MEDIA-SEQUENCE|DISCONTINUITY)/.test(line)) {
+                return; // 这些标签重新生成
+            }
+            
+            if (!line.startsWith('#')) {
+                segments.push([...pending, new URL(line, baseUrl).href]);
+                pending = [];
+            } else if (line.startsWith('#EXTINF') || segments.length > 0 || pending.length > 0) {
+                pending.push(line);
+            } else {
+                header.push(line);
+            }
+        });
+        
+        if (segments.length < 2) {
+            throw new Error('播放列表只有一个切片，无需乱序');
+        }
+        
+        // Fisher-Yates洗牌
+        for (let i = segments.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [segments[i], segments[j]] = [segments[j], segments[i]];
+        }
+        
+        const lines = [...header, '#EXT-X-MEDIA-SEQUENCE:0'];
+        segments.forEach((segment, index) => {
+            if (index > 0) {
+                lines.push('#EXT-X-DISCONTINUITY');
+            }
+            lines.push(...segment);
+        });
+        lines.push('#EXT-X-ENDLIST');
+        
+        const blob = new Blob([lines.join('\n')], { type: 'application/vnd.apple.mpegurl' });
+        return URL.createObjectURL(blob);
+    }
+
+    /**
+     * 按切片乱序设置重新加载空闲的循环副本：开启时换用新的乱序播放列表，关闭时恢复原顺序
+     * 在每次交叉淡化完成和切换乱序设置时调用；加载完成前副本标记为未就绪，期间的循环交给audio.loop
+     * @param {string} name - 音效名称
+     */
+    async reshuffleLoopPartner(name) {
+        const partner = this.loopPartners.get(name);
+        if (!partner || !partner.ready || !partner.hls || !this.canShuffleSegments()) {
+            return;
+        }
+        
+        const hlsUrl = this.sourceUrls.get(name);
+        const url = await this.getLoopSourceUrl(name);
+        
+        // 已是原顺序且无需乱序；或等待期间音效已停止、副本已被使用
+        const unchanged = url === hlsUrl && !this.playlistUrls.has(partner.audio);
+        if (unchanged || this.loopPartners.get(name) !== partner || !partner.audio.paused) {
+            if (url !== hlsUrl) {
+                URL.revokeObjectURL(url);
+            }
+            return;
+        }
+        
+        const audio = partner.audio;
+        partner.ready = false;
+        this.revokePlaylistUrl(audio);
+        if (url !== hlsUrl) {
+            this.playlistUrls.set(audio, url);
+        }
+        audio.addEventListener('canplay', () => {
+            partner.ready = true;
+        }, { once: true });
+        partner.hls.loadSource(url);
+    }
+
+    /**
+     * 释放音频元素使用的乱序播放列表
+     * @param {HTMLAudioElement} audio - 音频元素
+     */
+    revokePlaylistUrl(audio) {
+        if (this.playlistUrls.has(audio)) {
+            URL.revokeObjectURL(this.playlistUrls.get(audio));
+            this.playlistUrls.delete(audio);
+        }
+    }
+
+    /**
+     * 创建并加载一个HLS音频元素（hls.js或原生）
+     * @param {string} hlsUrl - HLS播放列表URL
+     * @returns {Promise<Object>} { audio, hls }
+     */
+    createMediaElement(hlsUrl) {
+        return new Promise((resolve, reject) => {
+            const audio = new Audio();
+            audio.crossOrigin = this.crossOrigin;
+            audio.preload = 'auto';
+            audio.loop = true;
+            
+            let hls = null;
+            
+            const timeout = setTimeout(() => {
+                cleanup();
+                if (hls) {
+                    hls.destroy();
+                }
+                reject(new Error(`音频元素加载超时: ${hlsUrl}`));
+            }, 15000);
+            
+            const onCanPlay = () => {
+                cleanup();
+                resolve({ audio, hls });
+            };
+            
+            const onError = () => {
+                cleanup();
+                if (hls) {
+                    hls.destroy();
+                }
+                reject(new Error(`音频元素加载失败: ${hlsUrl}`));
+            };
+            
+            const cleanup = () => {
+                clearTimeout(timeout);
+                audio.removeEventListener('canplay', onCanPlay);
+                audio.removeEventListener('error', onError);
+            };
+            
+            audio.addEventListener('canplay', onCanPlay);
+            audio.addEventListener('error', onError);
+            
+            if (!this.canPlayHlsNatively() && window.Hls && window.Hls.isSupported()) {
+                hls = new window.Hls(this.getHlsConfig());
+                hls.loadSource(hlsUrl);
+                hls.attachMedia(audio);
+            } else {
+                audio.src = hlsUrl;
+                audio.load();
+            }
+        });
+    }
+
+    /**
+     * 执行一次循环交叉淡化：从头播放副本并等功率淡入，同时淡出当前元素
+     * @param {string} name - 音效名称
+     * @param {number} crossfade - 交叉淡化时长（秒）
+     */
+    async crossfadeLoop(name, crossfade) {
+        const state = this.loopStates.get(name);
+        const partner = this.loopPartners.get(name);
+        
+        // 副本未就绪时交给audio.loop处理
+        if (!state || !partner || !partner.ready) {
+            return;
+        }
+        
+        const outgoing = state.audio;
+        const incoming = partner.audio;
+        
+        // 占位，防止timeupdate重复触发
+        state.fadeInterval = -1;
+        
+        try {
+            outgoing.loop = false;
+            this.routeElement(name, incoming);
+            this.setElementLevel(name, incoming, 0, 0);
+            incoming.currentTime = 0;
+            this.applyRateDrift(name, incoming);
+            await incoming.play();
+        } catch (error) {
+            console.warn(`无缝循环切换失败，使用普通循环: ${name}`, error);
+            outgoing.loop = true;
+            state.fadeInterval = null;
+            return;
+        }
+        
+        // 播放已被停止
+        if (this.loopStates.get(name) !== state) {
+            incoming.pause();
+            return;
+        }
+        
+        // 立即交换主副元素，使音量控制和播放状态作用于新元素
+        const outgoingHls = this.hlsPlayers.get(name) || null;
+        this.audioElements.set(name, incoming);
+        if (partner.hls) {
+            this.hlsPlayers.set(name, partner.hls);
+        } else {
+            this.hlsPlayers.delete(name);
+        }
+        partner.audio = outgoing;
+        partner.hls = outgoingHls;
+        
+        const source = this.activeSources.get(name);
+        if (source) {
+            source.audio = incoming;
+        }
+        
+        outgoing.removeEventListener('timeupdate', state.onTimeUpdate);
+        incoming.addEventListener('timeupdate', state.onTimeUpdate);
+        incoming.loop = true;
+        state.audio = incoming;
+        
+        // 等功率曲线：首尾素材不相关，保持总响度恒定
+        // 接入音频图时每步使用短斜坡，避免阶跃
+        const stepMs = 50;
+        const rampTime = this.usesAudioGraph() ? stepMs / 1000 : 0;
+        const totalSteps = Math.max(1, Math.round((crossfade * 1000) / stepMs));
+        let currentStep = 0;
+        
+        state.fadeInterval = setInterval(() => {
+            currentStep++;
+            const progress = Math.min(1, currentStep / totalSteps);
+            
+            this.setElementLevel(name, incoming, Math.sin(progress * Math.PI / 2), rampTime);
+            this.setElementLevel(name, outgoing, Math.cos(progress * Math.PI / 2), rampTime);
+            
+            if (progress >= 1) {
+                clearInterval(state.fadeInterval);
+                state.fadeInterval = null;
+                outgoing.pause();
+                outgoing.currentTime = 0;
+                outgoing.loop = true;
+                console.log(`HLS无缝循环完成: ${name}`);
+                
+                // 为下一个循环周期重新打乱切片顺序（关闭乱序后恢复原顺序）
+                this.reshuffleLoopPartner(name);
+            }
+        }, stepMs);
+    }
+
+    /**
+     * 停止所有音效
+     * @param {number} fadeOut - 淡出时长（秒），默认使用淡入淡出设置
+     */
+    stopAllSounds(fadeOut = this.fadeSettings.fadeOut) {
+        Array.from(this.activeMacros).forEach(name => {
+            this.stopMacro(name, fadeOut);
+        });
+
+        // 已在淡出中的音效保持原有淡出进度
+        const activeNames = Array.from(this.activeSources.keys())
+            .filter(name => !this.pendingStops.has(name));
+        activeNames.forEach(name => {
+            this.stopSound(name, fadeOut);
+        });
+        console.log('停止所有HLS音效');
+    }
+
+    /**
+     * 检查指定音效是否正在播放
+     * @param {string} name - 音效名称
+     * @returns {boolean} 是否正在播放
+     */
+    isPlaying(name) {
+        if (this.isMacro(name)) {
+            return this.activeMacros.has(name);
+        }
+
+        // 淡出中的音效视为已停止
+        if (this.pendingStops.has(name)) {
+            return false;
+        }
+
+        if (this.isGenerator(name)) {
+            return this.generators.get(name).isRunning();
+        }
+
+        if (!this.audioElements.has(name)) {
+            return false;
+        }
+        
+        const audio = this.audioElements.get(name);
+        return !audio.paused && !audio.ended;
+    }
+
+    /**
+     * 获取当前播放的音效列表
+     * @returns {Array} 正在播放的音效名称数组
+     */
+    getCurrentlyPlaying() {
+        return Array.from(this.activeSources.keys()).filter(name => this.isPlaying(name));
+    }
+
+    /**
+     * 检查音频是否已加载
+     * @param {string} name - 音效名称
+     * @returns {boolean} 是否已加载
+     */
+    isLoaded(name) {
+        if (this.isMacro(name)) {
+            return this.macros.get(name).getLayerNames().every(layer => this.isLoaded(layer));
+        }
+
+        // 程序化音源随时可以播放
+        if (this.isGenerator(name)) {
+            return true;
+        }
+
+        if (!this.audioElements.has(name)) {
+            return false;
+        }
+        
+        const audio = this.audioElements.get(name);
+        return audio.readyState >= 3; // HAVE_FUTURE_DATA or better
+    }
+
+    /**
+     * 获取所有已加载的音效名称
+     * @returns {Array} 已加载的音效名称数组
+     */
+    getLoadedSounds() {
+        const loaded = Array.from(this.generators.keys()).filter(name => this.isGenerator(name));
+        for (const [name, audio] of this.audioElements) {
+            if (audio.readyState >= 3) {
+                loaded.push(name);
+            }
+        }
+        return loaded;
+    }
+
+    /**
+     * 预缓冲指定音效
+     * 这会触发hls.js开始加载音频切片，但不会播放
+     * @param {string} name - 音效名称
+     */
+    prebufferSound(name) {
+        if (!this.audioElements.has(name)) {
+            console.warn(`[预缓冲] 音频尚未加载，无法预缓冲: ${name}`);
+            return;
+        }
+
+        const audio = this.audioElements.get(name);
+        const hls = this.hlsPlayers.get(name);
+
+        // 如果hls实例存在，并且媒体已附加，可以开始加载
+        if (hls && hls.media === audio) {
+            console.log(`[预缓冲] 开始主动加载数据: ${name}`);
+            try {
+                hls.startLoad(); // 明确指令hls.js开始下载切片
+                
+                // 设置音量为0并进行短暂的预加载
+                const originalVolume = audio.volume;
+                audio.volume = 0;
+                
+                // 尝试短暂播放以触发数据加载，然后立即暂停
+                const prebufferPlay = async () => {
+                    try {
+                        await audio.play();
+                        // 等待一个很短的时间让数据开始缓冲
+                        setTimeout(() => {
+                            audio.pause();
+                            audio.currentTime = 0;
+                            audio.volume = originalVolume;
+                            console.log(`[预缓冲] 预加载完成: ${name}`);
+                        }, 100); // 100ms后暂停
+                    } catch (playError) {
+                        // 如果播放失败（比如需要用户交互），就只进行加载操作
+                        audio.volume = originalVolume;
+                        console.log(`[预缓冲] 无法播放，但已触发加载: ${name}`);
+                    }
+                };
+                
+                // 在下一个tick执行，避免阻塞当前执行
+                setTimeout(prebufferPlay, 0);
+                
+            } catch (error) {
+                console.warn(`[预缓冲] hls.startLoad 失败: ${name}`, error);
+            }
+        } else if (this.canPlayHlsNatively()) {
+            // 对于原生支持HLS的浏览器（如Safari），调用load()
+            console.log(`[预缓冲] 使用原生load()加载数据: ${name}`);
+            try {
+                audio.load();
+                
+                // 同样进行短暂的预播放
+                const originalVolume = audio.volume;
+                audio.volume = 0;
+                
+                const prebufferPlay = async () => {
+                    try {
+                        await audio.play();
+                        setTimeout(() => {
+                            audio.pause();
+                            audio.currentTime = 0;
+                            audio.volume = originalVolume;
+                            console.log(`[预缓冲] 原生预加载完成: ${name}`);
+                        }, 100);
+                    } catch (playError) {
+                        audio.volume = originalVolume;
+                        console.log(`[预缓冲] 原生无法播放，但已触发加载: ${name}`);
+                    }
+                };
+                
+                setTimeout(prebufferPlay, 0);
+                
+            } catch (error) {
+                console.warn(`[预缓冲] 原生 load() 失败: ${name}`, error);
+            }
+        }
+    }
+
+    /**
+     * 更新加载状态
+     * @param {string} name - 音频名称
+     * @param {string} status - 状态 ('loading', 'loaded', 'error')
+     */
+    updateLoadingState(name, status) {
+        this.loadingStates.set(name, {
+            status,
+            timestamp: Date.now()
+        });
+        console.log(`HLS音频加载状态更新: ${name} -> ${status}`);
+    }
+
+    /**
+     * 获取内存使用情况
+     * @returns {Object} 内存使用信息
+     */
+    getMemoryInfo() {
+        const info = {
+            loadedSounds: this.audioElements.size,
+            activeSources: this.activeSources.size,
+            isInitialized: this.isInitialized,
+            loadingStates: this.loadingStates.size
+        };
+        
+        return info;
+    }
+
+    /**
+     * 恢复音频上下文（处理自动播放策略）
+     */
+    async resumeContext() {
+        if (!this.usesAudioGraph()) {
+            return;
+        }
+        
+        try {
+            await this.audioGraph.resume();
+        } catch (error) {
+            console.error('恢复AudioContext失败:', error);
+        }
+    }
+
+    /**
+     * 获取上下文状态
+     * @returns {string} AudioContext状态，未使用音频图时始终为'running'
+     */
+    getContextState() {
+        return this.usesAudioGraph() ? this.audioGraph.getState() : 'running';
+    }
+
+    /**
+     * 销毁管理器，释放资源
      */
     destroy() {
         console.log('销毁HlsAudioManager...');
         
         // 停止所有播放
         this.stopAllSounds();
+        for (const timer of this.pendingStops.values()) {
+            clearTimeout(timer);
+        }
+        this.pendingStops.clear();
+        
+        // 停止程序化音源和随机事件
+        for (const generator of this.generators.values()) {
+            generator.stop();
+        }
+        this.generators.clear();
+        for (const layer of this.eventLayers.values()) {
+            layer.destroy();
+        }
+        this.eventLayers.clear();
+        this.macros.clear();
+        this.macroOwners.clear();
+        for (const modulator of this.modulators.values()) {
+            modulator.disconnect();
+        }
+        this.modulators.clear();
+        
+        // 释放无缝循环副本
+        for (const [name, partner] of this.loopPartners) {
+            if (!partner.ready) {
+                continue;
+            }
+            try {
+                if (partner.hls) {
+                    partner.hls.destroy();
+                }
+                partner.audio.pause();
+                partner.audio.src = '';
+            } catch (error) {
+                console.warn(`释放无缝循环副本失败: ${name}`, error);
+            }
+        }
         
         // 释放所有hls.js实例
         for (const [name, hls] of this.hlsPlayers) {
@@ -927,6 +2327,13 @@ class HlsAudioManager {
         this.activeSources.clear();
         this.soundConfigs.clear();
         this.loadingStates.clear();
+        this.loopPartners.clear();
+        this.loopStates.clear();
+        this.sourceUrls.clear();
+        for (const url of this.playlistUrls.values()) {
+            URL.revokeObjectURL(url);
+        }
+        this.playlistUrls.clear();
         this.isInitialized = false;
         
         console.log('HlsAudioManager已销毁，资源已释放');
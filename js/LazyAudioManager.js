@@ -195,7 +195,7 @@ class LazyAudioManager extends AudioManager {
      * @param {number} volume - 音量 (0-1)
      * @returns {Promise<boolean>} 播放是否成功
      */
-    async playSound(name, volume = this.masterVolume) {
+    async playSound(name, volume = this.getSoundGain(name)) {
         try {
             // 如果音频未加载，先进行懒加载
             if (!this.isLoaded(name)) {
@@ -0,0 +1,115 @@
+/**
+ * MacroSound - 宏音效：用一个强度参数 (0-100) 在多个底层音效之间交叉淡化
+ * 定义来自音效清单（audio.hls/index.json），例如"雨势"从小雨过渡到大雨再叠加风声：
+ *   "rain-intensity": {
+ *     "name": "雨势", "icon": "☔", "theme": "rain", "intensity": 40,
+ *     "layers": [
+ *       { "sound": "rain2", "curve": [[0, 1], [50, 0.7], [75, 0]] },
+ *       { "sound": "rain", "curve": [[25, 0], [60, 1]] },
+ *       { "sound": "wind", "curve": [[65, 0], [100, 0.5]] }
+ *     ]
+ *   }
+ * 每层的curve为 [强度, 增益] 折线点，第一个点之前和最后一个点之后保持端点增益
+ * 相邻点之间按功率线性插值，两层在同一区间交叉淡化时总功率不变，不会在中间凹陷
+ */
+class MacroSound {
+    /**
+     * @param {Object} definition - { name, icon, theme, intensity, layers: [{ sound, curve }] }
+     * @throws {Error} 没有有效的层时抛出
+     */
+    constructor(definition) {
+        const { name, icon, theme, intensity, layers } = definition || {};
+
+        this.name = typeof name === 'string' ? name : '';
+        this.icon = typeof icon === 'string' ? icon : '🎚️';
+        this.theme = typeof theme === 'string' ? theme : null;
+        this.defaultIntensity = MacroSound.clampIntensity(Number.isFinite(intensity) ? intensity : MacroSound.DEFAULT_INTENSITY);
+        this.layers = (Array.isArray(layers) ? layers : [])
+            .map(layer => ({
+                sound: layer && typeof layer.sound === 'string' ? layer.sound : '',
+                curve: MacroSound.normalizeCurve(layer && layer.curve)
+            }))
+            .filter(layer => layer.sound && layer.curve.length > 0);
+
+        if (this.layers.length === 0) {
+            throw new Error(`宏音效没有有效的层: ${this.name}`);
+        }
+    }
+
+    /**
+     * 限制强度到0-100的整数
+     * @param {number} value - 原始值
+     * @returns {number}
+     */
+    static clampIntensity(value) {
+        return Math.max(0, Math.min(100, Math.round(Number(value) || 0)));
+    }
+
+    /**
+     * 规范化增益曲线：丢弃无效点，按强度排序，增益限制在0-1
+     * @param {Array} curve - [[强度, 增益], ...]
+     * @returns {Array<Array<number>>}
+     */
+    static normalizeCurve(curve) {
+        if (!Array.isArray(curve)) {
+            return [];
+        }
+
+        return curve
+            .filter(point => Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]))
+            .map(([x, gain]) => [Math.max(0, Math.min(100, x)), Math.max(0, Math.min(1, gain))])
+            .sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * 计算曲线在指定强度处的增益
+     * @param {Array<Array<number>>} curve - 规范化后的曲线
+     * @param {number} intensity - 强度 (0-100)
+     * @returns {number} 增益 (0-1)
+     */
+    static evaluate(curve, intensity) {
+        const first = curve[0];
+        const last = curve[curve.length - 1];
+        if (intensity <= first[0]) {
+            return first[1];
+        }
+        if (intensity >= last[0]) {
+            return last[1];
+        }
+
+        const index = curve.findIndex(([x]) => x > intensity);
+        const [x0, gain0] = curve[index - 1];
+        const [x1, gain1] = curve[index];
+        const t = (intensity - x0) / (x1 - x0);
+        return Math.sqrt(gain0 * gain0 * (1 - t) + gain1 * gain1 * t);
+    }
+
+    /**
+     * 获取底层音效名称
+     * @returns {Array<string>}
+     */
+    getLayerNames() {
+        return this.layers.map(layer => layer.sound);
+    }
+
+    /**
+     * 获取各层在指定强度下的增益
+     * @param {number} intensity - 强度 (0-100)
+     * @returns {Object} { sound: gain }
+     */
+    getLayerGains(intensity) {
+        const value = MacroSound.clampIntensity(intensity);
+        const gains = {};
+        this.layers.forEach(layer => {
+            gains[layer.sound] = MacroSound.evaluate(layer.curve, value);
+        });
+        return gains;
+    }
+}
+
+MacroSound.DEFAULT_INTENSITY = 50;
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.MacroSound = MacroSound;
+}
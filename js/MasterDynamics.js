@@ -0,0 +1,112 @@
+/**
+ * MasterDynamics - 主输出动态处理：压缩器 + 砖墙限幅器
+ *   input -> 压缩器（温和压缩，叠加多个音效时让整体更平稳） -> 限幅器 -> 削波保护 -> output
+ * 限幅器响应不是瞬时的，最后一级波形整形器保证输出采样不超过上限，避免设备削波
+ */
+class MasterDynamics {
+    /**
+     * @param {BaseAudioContext} context - 音频上下文
+     */
+    constructor(context) {
+        this.context = context;
+
+        this.compressor = context.createDynamicsCompressor();
+        MasterDynamics.configure(this.compressor, MasterDynamics.COMPRESSOR);
+
+        this.limiter = context.createDynamicsCompressor();
+        MasterDynamics.configure(this.limiter, MasterDynamics.LIMITER);
+
+        this.clipper = context.createWaveShaper();
+        this.clipper.curve = MasterDynamics.createClipCurve(MasterDynamics.CEILING);
+        this.clipper.oversample = '2x';
+
+        this.compressor.connect(this.limiter);
+        this.limiter.connect(this.clipper);
+        this.input = this.compressor;
+        this.output = this.clipper;
+    }
+
+    /**
+     * 设置DynamicsCompressorNode参数
+     * @private
+     * @param {DynamicsCompressorNode} node - 压缩器节点
+     * @param {Object} settings - { threshold, knee, ratio, attack, release }
+     */
+    static configure(node, settings) {
+        Object.entries(settings).forEach(([key, value]) => {
+            node[key].value = value;
+        });
+    }
+
+    /**
+     * 生成削波保护曲线：上限的90%以下保持线性，之上平滑趋近上限
+     * @param {number} ceiling - 输出上限（线性幅度）
+     * @param {number} points - 采样点数
+     * @returns {Float32Array} 波形整形曲线（输入范围-1到1）
+     */
+    static createClipCurve(ceiling, points = 1024) {
+        const curve = new Float32Array(points);
+        const knee = ceiling * 0.9;
+        const range = ceiling - knee;
+
+        for (let i = 0; i < points; i++) {
+            const x = (i / (points - 1)) * 2 - 1;
+            const magnitude = Math.abs(x);
+            const y = magnitude <= knee
+                ? magnitude
+                : knee + range * Math.tanh((magnitude - knee) / range);
+            curve[i] = Math.sign(x) * y;
+        }
+
+        return curve;
+    }
+
+    /**
+     * 读取节点当前的增益衰减量
+     * 旧版浏览器中reduction为AudioParam，新版为数值
+     * @private
+     * @param {DynamicsCompressorNode} node - 压缩器节点
+     * @returns {number} 衰减量（dB，正数）
+     */
+    static readReduction(node) {
+        const reduction = typeof node.reduction === 'number' ? node.reduction : node.reduction.value;
+        return Math.max(0, -(Number(reduction) || 0));
+    }
+
+    /**
+     * 获取当前总增益衰减量
+     * @returns {number} 压缩器与限幅器的衰减量之和（dB，正数）
+     */
+    getReduction() {
+        return MasterDynamics.readReduction(this.compressor) + MasterDynamics.readReduction(this.limiter);
+    }
+
+    /**
+     * 限幅器是否正在工作
+     * @returns {boolean}
+     */
+    isLimiting() {
+        return MasterDynamics.readReduction(this.limiter) >= MasterDynamics.LIMITING_THRESHOLD;
+    }
+
+    /**
+     * 断开所有节点
+     */
+    disconnect() {
+        this.compressor.disconnect();
+        this.limiter.disconnect();
+        this.clipper.disconnect();
+    }
+}
+
+// 温和压缩：只在多层叠加、整体较响时起作用
+MasterDynamics.COMPRESSOR = { threshold: -12, knee: 6, ratio: 2, attack: 0.02, release: 0.3 };
+// 限幅：高压缩比、快速启动
+MasterDynamics.LIMITER = { threshold: -2, knee: 0, ratio: 20, attack: 0.001, release: 0.1 };
+MasterDynamics.CEILING = 0.95; // 削波保护的输出上限（约-0.5dBFS）
+MasterDynamics.LIMITING_THRESHOLD = 0.5; // 限幅器衰减超过此值（dB）时视为正在限幅
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.MasterDynamics = MasterDynamics;
+}
@@ -0,0 +1,99 @@
+/**
+ * MasterFilter - 主输出的高通/低通滤波器对
+ *   input -> 高通（低切） -> 低通（闷声） -> output
+ * "闷声"为单旋钮宏：0为不处理，越大低通截止频率越低，听感如同隔着窗户或墙壁
+ */
+class MasterFilter {
+    /**
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {Object} settings - { muffle, highpass }，可选
+     */
+    constructor(context, settings = {}) {
+        this.context = context;
+        this.rampTime = 0.1; // 截止频率变化的平滑时间常数（秒）
+        this.muffle = 0;
+        this.highpass = MasterFilter.HIGHPASS_RANGE[0];
+
+        this.highpassFilter = context.createBiquadFilter();
+        this.highpassFilter.type = 'highpass';
+        this.highpassFilter.Q.value = Math.SQRT1_2;
+
+        this.lowpassFilter = context.createBiquadFilter();
+        this.lowpassFilter.type = 'lowpass';
+        this.lowpassFilter.Q.value = Math.SQRT1_2;
+
+        this.highpassFilter.connect(this.lowpassFilter);
+        this.input = this.highpassFilter;
+        this.output = this.lowpassFilter;
+
+        this.setSettings(settings, 0);
+    }
+
+    /**
+     * 将闷声量换算为低通截止频率（按对数均匀分布，旋钮手感更线性）
+     * @param {number} amount - 闷声量 (0-1)
+     * @returns {number} 截止频率（Hz）
+     */
+    static getMuffleFrequency(amount) {
+        const [min, max] = MasterFilter.LOWPASS_RANGE;
+        const a = Math.max(0, Math.min(1, Number(amount) || 0));
+        return max * Math.pow(min / max, a);
+    }
+
+    /**
+     * 更新设置
+     * @param {Object} settings - { muffle (0-1), highpass (Hz) }，可只传部分字段
+     * @param {number} rampTime - 平滑时间常数（秒），0为立即生效
+     */
+    setSettings(settings = {}, rampTime = this.rampTime) {
+        if (settings.muffle !== undefined) {
+            this.muffle = Math.max(0, Math.min(1, Number(settings.muffle) || 0));
+        }
+        if (settings.highpass !== undefined) {
+            const [min, max] = MasterFilter.HIGHPASS_RANGE;
+            this.highpass = Math.max(min, Math.min(max, Number(settings.highpass) || min));
+        }
+
+        this.setFrequency(this.lowpassFilter, MasterFilter.getMuffleFrequency(this.muffle), rampTime);
+        this.setFrequency(this.highpassFilter, this.highpass, rampTime);
+    }
+
+    /**
+     * 获取当前设置
+     * @returns {Object} { muffle, highpass }
+     */
+    getSettings() {
+        return { muffle: this.muffle, highpass: this.highpass };
+    }
+
+    /**
+     * 平滑调整滤波器截止频率
+     * @private
+     * @param {BiquadFilterNode} filter - 滤波器
+     * @param {number} frequency - 目标频率（Hz）
+     * @param {number} rampTime - 平滑时间常数（秒）
+     */
+    setFrequency(filter, frequency, rampTime) {
+        if (rampTime > 0) {
+            filter.frequency.setTargetAtTime(frequency, this.context.currentTime, rampTime);
+        } else {
+            filter.frequency.value = frequency;
+        }
+    }
+
+    /**
+     * 断开滤波器
+     */
+    disconnect() {
+        this.highpassFilter.disconnect();
+        this.lowpassFilter.disconnect();
+    }
+}
+
+MasterFilter.LOWPASS_RANGE = [400, 20000]; // 闷声最大时到不处理时的低通截止频率（Hz）
+MasterFilter.HIGHPASS_RANGE = [20, 300]; // 低切截止频率范围（Hz）
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.MasterFilter = MasterFilter;
+}
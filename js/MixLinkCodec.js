@@ -0,0 +1,353 @@
+/**
+ * MixLinkCodec - 混音分享链接编解码模块
+ * 将混音（各音效音量、主音量、定时器）编码到URL hash中，例如：
+ *   #v=1&mix=rain:60,fire:25&vol=70&timer=30
+ * 可选携带均衡设置、空间位置、混响、起伏调制和宏音效强度（旧版本解析时忽略）：
+ *   &eq=rain:0_0_-3_-6_-9&muffle=40&lowcut=80&pos=fire:0_-60,wind:-50_30_1&room=cabin&wet=fire:30&mod=waves:l_10_35_1&lvl=rain-intensity:70
+ * 位置为百分比坐标 x_y，第三项为1时表示缓慢漂移；wet为各音效的混响湿声百分比，只在选择了环境时携带
+ * 起伏为 形状_周期_深度_音色，形状l为规律（正弦）、r为随机，音色为1时同时调制低通
+ * 未携带版本号的链接按版本1解析
+ */
+class MixLinkCodec {
+    /**
+     * @param {Array<string>} validSounds - 允许出现在链接中的音效名称
+     */
+    constructor(validSounds = []) {
+        this.version = 1;
+        this.validSounds = new Set(validSounds);
+        this.maxTimerMinutes = 480;
+        this.lowCutRange = [20, 300]; // 低切频率范围（Hz），与MasterFilter一致
+        this.modulationShapes = { l: 'lfo', r: 'random' }; // 起伏形状的链接缩写
+    }
+
+    /**
+     * 编码混音为hash字符串（不含#）
+     * @param {Object} state - { sounds: { name: volume }, volume, timer, eq: { name: gains }, muffle, lowCut, positions: { name: { x, y, drift } }, reverb, wet: { name: percent }, modulation: { name: { shape, period, depth, filter } }, intensity: { name: percent } }
+     * @returns {string} 编码后的hash
+     */
+    encode(state) {
+        const { sounds = {}, volume, timer, eq = {}, muffle, lowCut, positions = {}, reverb, wet = {}, modulation = {}, intensity = {} } = state || {};
+        const mixEntries = Object.entries(sounds)
+            .filter(([name]) => this.validSounds.has(name))
+            .map(([name, soundVolume]) => `${encodeURIComponent(name)}:${this.clampPercent(soundVolume)}`);
+
+        const parts = [`v=${this.version}`, `mix=${mixEntries.join(',')}`];
+
+        if (Number.isFinite(volume)) {
+            parts.push(`vol=${this.clampPercent(volume)}`);
+        }
+
+        if (Number.isFinite(timer) && timer > 0) {
+            parts.push(`timer=${Math.min(this.maxTimerMinutes, Math.ceil(timer))}`);
+        }
+
+        const eqEntries = Object.entries(eq)
+            .filter(([name, gains]) => sounds[name] !== undefined && this.validSounds.has(name) && Array.isArray(gains))
+            .map(([name, gains]) => `${encodeURIComponent(name)}:${gains.map(gain => Math.round(Number(gain) || 0)).join('_')}`);
+        if (eqEntries.length > 0) {
+            parts.push(`eq=${eqEntries.join(',')}`);
+        }
+
+        if (Number.isFinite(muffle) && muffle > 0) {
+            parts.push(`muffle=${this.clampPercent(muffle)}`);
+        }
+
+        if (Number.isFinite(lowCut) && lowCut > this.lowCutRange[0]) {
+            parts.push(`lowcut=${this.clampLowCut(lowCut)}`);
+        }
+
+        const positionEntries = Object.entries(positions)
+            .filter(([name, position]) => sounds[name] !== undefined && this.validSounds.has(name) && position)
+            .map(([name, position]) => {
+                const coordinates = [position.x, position.y].map(value => this.clampCoordinate(value * 100));
+                if (position.drift) {
+                    coordinates.push(1);
+                }
+                return `${encodeURIComponent(name)}:${coordinates.join('_')}`;
+            });
+        if (positionEntries.length > 0) {
+            parts.push(`pos=${positionEntries.join(',')}`);
+        }
+
+        if (typeof reverb === 'string' && reverb !== 'none') {
+            parts.push(`room=${encodeURIComponent(reverb)}`);
+
+            const wetEntries = Object.entries(wet)
+                .filter(([name, amount]) => sounds[name] !== undefined && this.validSounds.has(name) && Number.isFinite(amount))
+                .map(([name, amount]) => `${encodeURIComponent(name)}:${this.clampPercent(amount)}`);
+            if (wetEntries.length > 0) {
+                parts.push(`wet=${wetEntries.join(',')}`);
+            }
+        }
+
+        const shapeCodes = Object.fromEntries(Object.entries(this.modulationShapes).map(([code, shape]) => [shape, code]));
+        const modulationEntries = Object.entries(modulation)
+            .filter(([name, settings]) => sounds[name] !== undefined && this.validSounds.has(name) && settings && shapeCodes[settings.shape])
+            .map(([name, settings]) => {
+                const fields = [shapeCodes[settings.shape], Math.round(Number(settings.period) || 0), this.clampPercent(settings.depth), settings.filter === false ? 0 : 1];
+                return `${encodeURIComponent(name)}:${fields.join('_')}`;
+            });
+        if (modulationEntries.length > 0) {
+            parts.push(`mod=${modulationEntries.join(',')}`);
+        }
+
+        const intensityEntries = Object.entries(intensity)
+            .filter(([name, amount]) => sounds[name] !== undefined && this.validSounds.has(name) && Number.isFinite(amount))
+            .map(([name, amount]) => `${encodeURIComponent(name)}:${this.clampPercent(amount)}`);
+        if (intensityEntries.length > 0) {
+            parts.push(`lvl=${intensityEntries.join(',')}`);
+        }
+
+        return parts.join('&');
+    }
+
+    /**
+     * 解析hash字符串
+     * @param {string} hash - location.hash（可带#）
+     * @returns {Object|null} { version, sounds, volume, timer, eq, muffle, lowCut, positions, reverb, wet, modulation, intensity }，无效时返回null
+     */
+    decode(hash) {
+        try {
+            const raw = String(hash || '').replace(/^#/, '');
+            if (!raw) {
+                return null;
+            }
+
+            const params = new URLSearchParams(raw);
+            if (!params.has('mix')) {
+                return null;
+            }
+
+            const version = params.has('v') ? parseInt(params.get('v'), 10) : 1;
+            if (!Number.isInteger(version) || version < 1 || version > this.version) {
+                console.warn(`不支持的分享链接版本: ${params.get('v')}`);
+                return null;
+            }
+
+            const sounds = {};
+            params.get('mix').split(',').forEach(entry => {
+                const [name, volumeText] = entry.split(':');
+                const soundName = (name || '').trim();
+
+                if (!this.validSounds.has(soundName)) {
+                    if (soundName) {
+                        console.warn(`分享链接中包含未知音效，已忽略: ${soundName}`);
+                    }
+                    return;
+                }
+
+                const volume = volumeText === undefined ? 100 : parseInt(volumeText, 10);
+                if (Number.isFinite(volume)) {
+                    sounds[soundName] = this.clampPercent(volume);
+                }
+            });
+
+            if (Object.keys(sounds).length === 0) {
+                return null;
+            }
+
+            const result = { version, sounds };
+
+            const volume = parseInt(params.get('vol'), 10);
+            if (Number.isFinite(volume)) {
+                result.volume = this.clampPercent(volume);
+            }
+
+            const timer = parseInt(params.get('timer'), 10);
+            if (Number.isFinite(timer) && timer > 0) {
+                result.timer = Math.min(this.maxTimerMinutes, timer);
+            }
+
+            // 携带任一均衡参数时，未列出的音效按平直处理
+            if (params.has('eq') || params.has('muffle') || params.has('lowcut')) {
+                result.eq = this.decodeEq(params.get('eq'), sounds);
+
+                const muffle = parseInt(params.get('muffle'), 10);
+                result.muffle = Number.isFinite(muffle) ? this.clampPercent(muffle) : 0;
+
+                const lowCut = parseInt(params.get('lowcut'), 10);
+                result.lowCut = Number.isFinite(lowCut) ? this.clampLowCut(lowCut) : this.lowCutRange[0];
+            }
+
+            // 携带位置参数时，未列出的音效按居中（不定位）处理
+            if (params.has('pos')) {
+                result.positions = this.decodePositions(params.get('pos'), sounds);
+            }
+
+            // 携带环境参数时，未列出的音效使用默认湿声；环境名称不在此校验，由调用方对照可用预设
+            if (params.has('room')) {
+                result.reverb = params.get('room').trim();
+                result.wet = this.decodePercents(params.get('wet'), sounds);
+            }
+
+            // 携带起伏参数时，未列出的音效关闭起伏；周期范围由调用方校验
+            if (params.has('mod')) {
+                result.modulation = this.decodeModulation(params.get('mod'), sounds);
+            }
+
+            // 宏音效强度，未列出的宏音效保持当前强度
+            if (params.has('lvl')) {
+                result.intensity = this.decodePercents(params.get('lvl'), sounds);
+            }
+
+            return result;
+        } catch (error) {
+            console.warn('解析分享链接失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 解析均衡参数，只保留混音中存在的音效
+     * @private
+     * @param {string|null} text - 例如 rain:0_0_-3_-6_-9,fire:2_0_0_0_0
+     * @param {Object} sounds - 已解析的混音音效
+     * @returns {Object} { name: gains }
+     */
+    decodeEq(text, sounds) {
+        const eq = {};
+
+        String(text || '').split(',').forEach(entry => {
+            const [name, gainsText] = entry.split(':');
+            const soundName = (name || '').trim();
+            if (sounds[soundName] === undefined || !gainsText) {
+                return;
+            }
+
+            const gains = gainsText.split('_').map(gain => parseInt(gain, 10));
+            if (gains.every(Number.isFinite)) {
+                eq[soundName] = gains;
+            }
+        });
+
+        return eq;
+    }
+
+    /**
+     * 解析位置参数，只保留混音中存在的音效
+     * @private
+     * @param {string} text - 例如 fire:0_-60,wind:-50_30_1
+     * @param {Object} sounds - 已解析的混音音效
+     * @returns {Object} { name: { x, y, drift } }
+     */
+    decodePositions(text, sounds) {
+        const positions = {};
+
+        String(text || '').split(',').forEach(entry => {
+            const [name, coordinatesText] = entry.split(':');
+            const soundName = (name || '').trim();
+            if (sounds[soundName] === undefined || !coordinatesText) {
+                return;
+            }
+
+            const [x, y, drift] = coordinatesText.split('_').map(value => parseInt(value, 10));
+            if (Number.isFinite(x) && Number.isFinite(y)) {
+                positions[soundName] = {
+                    x: this.clampCoordinate(x) / 100,
+                    y: this.clampCoordinate(y) / 100,
+                    drift: drift === 1
+                };
+            }
+        });
+
+        return positions;
+    }
+
+    /**
+     * 解析百分比参数（混响湿声、宏音效强度），只保留混音中存在的音效
+     * @private
+     * @param {string|null} text - 例如 fire:30,rain:15
+     * @param {Object} sounds - 已解析的混音音效
+     * @returns {Object} { name: percent }
+     */
+    decodePercents(text, sounds) {
+        const values = {};
+
+        String(text || '').split(',').forEach(entry => {
+            const [name, amountText] = entry.split(':');
+            const soundName = (name || '').trim();
+            const amount = parseInt(amountText, 10);
+            if (sounds[soundName] !== undefined && Number.isFinite(amount)) {
+                values[soundName] = this.clampPercent(amount);
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * 解析起伏参数，只保留混音中存在的音效
+     * @private
+     * @param {string} text - 例如 waves:l_10_35_1,wind:r_8_45_0
+     * @param {Object} sounds - 已解析的混音音效
+     * @returns {Object} { name: { shape, period, depth, filter } }
+     */
+    decodeModulation(text, sounds) {
+        const modulation = {};
+
+        String(text || '').split(',').forEach(entry => {
+            const [name, fieldsText] = entry.split(':');
+            const soundName = (name || '').trim();
+            if (sounds[soundName] === undefined || !fieldsText) {
+                return;
+            }
+
+            const [code, periodText, depthText, filterText] = fieldsText.split('_');
+            const period = parseInt(periodText, 10);
+            const depth = parseInt(depthText, 10);
+            if (this.modulationShapes[code] && Number.isFinite(period) && Number.isFinite(depth)) {
+                modulation[soundName] = {
+                    shape: this.modulationShapes[code],
+                    period,
+                    depth: this.clampPercent(depth),
+                    filter: filterText !== '0'
+                };
+            }
+        });
+
+        return modulation;
+    }
+
+    /**
+     * 生成完整的分享链接
+     * @param {Object} state - 混音状态
+     * @param {string} baseUrl - 基础URL，默认为当前页面
+     * @returns {string} 分享链接
+     */
+    buildUrl(state, baseUrl = window.location.href) {
+        return `${baseUrl.split('#')[0]}#${this.encode(state)}`;
+    }
+
+    /**
+     * 限制百分比范围到0-100的整数
+     * @param {number} value - 原始值
+     * @returns {number} 限制后的值
+     */
+    clampPercent(value) {
+        return Math.max(0, Math.min(100, Math.round(Number(value) || 0)));
+    }
+
+    /**
+     * 限制百分比坐标到-100至100的整数
+     * @param {number} value - 原始值
+     * @returns {number} 限制后的值
+     */
+    clampCoordinate(value) {
+        return Math.max(-100, Math.min(100, Math.round(Number(value) || 0)));
+    }
+
+    /**
+     * 限制低切频率范围
+     * @param {number} value - 原始值（Hz）
+     * @returns {number} 限制后的整数频率
+     */
+    clampLowCut(value) {
+        const [min, max] = this.lowCutRange;
+        return Math.max(min, Math.min(max, Math.round(Number(value) || min)));
+    }
+}
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.MixLinkCodec = MixLinkCodec;
+}
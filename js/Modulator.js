@@ -0,0 +1,247 @@
+/**
+ * Modulator - 音效的缓慢起伏（浪涌、阵风）
+ * 控制信号为0-1的电平（1为波峰，即不衰减），由正弦LFO或平滑的随机游走产生，每STEP秒更新一次
+ *   input -> 低通（可选，波谷时更闷） -> 增益（波谷时衰减） -> output
+ * 没有AudioContext时（HTML5音频回退模式）只计算电平，通过onStep回调交给调用方调整audio.volume
+ */
+class Modulator {
+    /**
+     * @param {BaseAudioContext|null} context - 音频上下文，null时不创建音频节点
+     * @param {Object|null} settings - { shape, period, depth, filter }，null表示不调制
+     * @param {Function|null} onStep - 每次更新时回调 (gain) => void，gain为当前增益系数
+     */
+    constructor(context, settings = null, onStep = null) {
+        this.context = context;
+        this.onStep = onStep;
+        this.settings = null;
+        this.motion = null; // 当前驱动电平的设置，关闭调制的过渡期间沿用原设置
+        this.depth = 0; // 当前生效的调制深度 (0-100)
+        this.glide = null; // 深度过渡 { from, to, steps, step }
+        this.timer = null;
+        this.phase = 0; // LFO相位 (0-1)，0为波峰
+        this.walk = 1; // 随机游走的当前值
+        this.level = 1; // 平滑后的控制电平
+
+        if (context) {
+            this.filter = context.createBiquadFilter();
+            this.filter.type = 'lowpass';
+            this.filter.Q.value = Math.SQRT1_2;
+            this.filter.frequency.value = Modulator.CUTOFF_RANGE[1];
+
+            this.gain = context.createGain();
+            this.filter.connect(this.gain);
+            this.input = this.filter;
+            this.output = this.gain;
+        }
+
+        this.setSettings(settings);
+    }
+
+    /**
+     * 规范化调制设置
+     * @param {Object|null} settings - { shape, period (秒), depth (0-100), filter }
+     * @returns {Object|null} 规范化后的设置，关闭（无效或深度为0）时返回null
+     */
+    static normalizeSettings(settings) {
+        if (!settings || typeof settings !== 'object' || !Modulator.SHAPES.includes(settings.shape)) {
+            return null;
+        }
+
+        const depth = Math.max(0, Math.min(100, Math.round(Number(settings.depth) || 0)));
+        if (depth === 0) {
+            return null;
+        }
+
+        const [min, max] = Modulator.PERIOD_RANGE;
+        const period = Math.max(min, Math.min(max, Math.round(Number(settings.period) || Modulator.DEFAULT_PERIOD)));
+
+        return { shape: settings.shape, period, depth, filter: settings.filter !== false };
+    }
+
+    /**
+     * 将控制电平换算为增益系数（按dB均匀衰减，听感更自然）
+     * @param {number} level - 控制电平 (0-1)
+     * @param {number} depth - 调制深度 (0-100)
+     * @returns {number} 增益系数 (0-1]
+     */
+    static getGain(level, depth) {
+        return Math.pow(10, -Modulator.MAX_ATTENUATION * (depth / 100) * (1 - level) / 20);
+    }
+
+    /**
+     * 将控制电平换算为低通截止频率（按对数均匀分布）
+     * @param {number} level - 控制电平 (0-1)
+     * @param {number} depth - 调制深度 (0-100)
+     * @returns {number} 截止频率（Hz）
+     */
+    static getCutoff(level, depth) {
+        const [min, max] = Modulator.CUTOFF_RANGE;
+        return max * Math.pow(min / max, (depth / 100) * (1 - level));
+    }
+
+    /**
+     * 更新设置，关闭时平滑回到不衰减
+     * 指定过渡时长时调制深度在该时长内线性变化，关闭调制则先沿用原来的形状和周期把深度降到0
+     * @param {Object|null} settings - { shape, period, depth, filter }
+     * @param {number} duration - 深度的过渡时长（秒），0为立即生效
+     */
+    setSettings(settings, duration = 0) {
+        this.settings = Modulator.normalizeSettings(settings);
+
+        const steps = Math.round(duration / Modulator.STEP);
+        if (steps > 0 && (this.settings || this.motion)) {
+            this.glide = { from: this.depth, to: this.settings ? this.settings.depth : 0, steps, step: 0 };
+            this.motion = this.settings || this.motion;
+            this.start();
+            return;
+        }
+
+        this.glide = null;
+        if (this.settings) {
+            this.motion = this.settings;
+            this.depth = this.settings.depth;
+            this.start();
+        } else {
+            this.stop();
+        }
+    }
+
+    /**
+     * 获取当前设置
+     * @returns {Object|null}
+     */
+    getSettings() {
+        return this.settings ? { ...this.settings } : null;
+    }
+
+    /**
+     * 获取当前增益系数
+     * @returns {number} 增益系数 (0-1]
+     */
+    getGain() {
+        return this.motion ? Modulator.getGain(this.level, this.depth) : 1;
+    }
+
+    /**
+     * 开始更新控制电平
+     * @private
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.step(), Modulator.STEP * 1000);
+        this.step();
+    }
+
+    /**
+     * 停止更新并回到不衰减
+     * @private
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        this.motion = null;
+        this.depth = 0;
+        this.glide = null;
+        this.phase = 0;
+        this.walk = 1;
+        this.level = 1;
+        this.apply(Modulator.RELEASE_TIME);
+    }
+
+    /**
+     * 计算下一个控制电平，并推进深度过渡
+     * 正弦：按周期推进相位；随机：游走值每步随机偏移并在0-1之间反射，再以周期的1/8为时间常数平滑
+     * @private
+     */
+    step() {
+        const { shape, period } = this.motion;
+
+        if (this.glide) {
+            const { from, to, steps } = this.glide;
+            this.glide.step++;
+            this.depth = from + (to - from) * Math.min(1, this.glide.step / steps);
+
+            if (this.glide.step >= steps) {
+                this.glide = null;
+                if (!this.settings) {
+                    this.stop();
+                    return;
+                }
+            }
+        }
+
+        if (shape === 'lfo') {
+            this.phase = (this.phase + Modulator.STEP / period) % 1;
+            this.level = 0.5 + 0.5 * Math.cos(2 * Math.PI * this.phase);
+        } else {
+            const spread = Math.sqrt(Modulator.STEP / period) * 2;
+            this.walk += (Math.random() * 2 - 1) * spread;
+            this.walk = this.walk > 1 ? 2 - this.walk : this.walk < 0 ? -this.walk : this.walk;
+            this.level += (this.walk - this.level) * (1 - Math.exp(-Modulator.STEP / (period / 8)));
+        }
+
+        this.apply(Modulator.STEP);
+    }
+
+    /**
+     * 将当前电平应用到音频节点，并通知回调
+     * @private
+     * @param {number} duration - 过渡时长（秒）
+     */
+    apply(duration) {
+        const gain = this.getGain();
+        const cutoff = this.motion && this.motion.filter
+            ? Modulator.getCutoff(this.level, this.depth)
+            : Modulator.CUTOFF_RANGE[1];
+
+        if (this.context) {
+            const now = this.context.currentTime;
+            [
+                [this.gain.gain, gain, 'linearRampToValueAtTime'],
+                [this.filter.frequency, cutoff, 'exponentialRampToValueAtTime']
+            ].forEach(([param, value, ramp]) => {
+                param.cancelScheduledValues(now);
+                param.setValueAtTime(param.value, now);
+                param[ramp](value, now + duration);
+            });
+        }
+
+        if (this.onStep) {
+            this.onStep(gain);
+        }
+    }
+
+    /**
+     * 停止更新并断开节点
+     */
+    disconnect() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        if (this.context) {
+            this.filter.disconnect();
+            this.gain.disconnect();
+        }
+    }
+}
+
+Modulator.SHAPES = ['lfo', 'random']; // 正弦（规律起伏，如海浪）/ 随机游走（不规则，如阵风）
+Modulator.STEP = 0.25; // 控制电平的更新间隔（秒）
+Modulator.PERIOD_RANGE = [4, 60]; // 起伏周期范围（秒）
+Modulator.DEFAULT_PERIOD = 10;
+Modulator.MAX_ATTENUATION = 18; // 深度100%时波谷的衰减量（dB）
+Modulator.CUTOFF_RANGE = [1000, 20000]; // 深度100%时波谷到波峰的低通截止频率（Hz）
+Modulator.RELEASE_TIME = 0.5; // 关闭调制时回到原音量的过渡时长（秒）
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.Modulator = Modulator;
+}
@@ -0,0 +1,318 @@
+/**
+ * NoiseGenerator - 程序化彩色噪声音源
+ * 使用AudioWorklet实时合成白、粉红、棕、蓝、紫噪声，不需要任何音频文件，可离线使用
+ * 不支持AudioWorklet的浏览器回退到循环播放预先合成的噪声缓冲区
+ * 输出经过低/高搁架滤波器实现频谱倾斜，再接入共享音频图的音效通道
+ */
+class NoiseGenerator {
+    /**
+     * @param {string} color - 噪声颜色
+     */
+    constructor(color = 'white') {
+        this.color = NoiseGenerator.COLORS.includes(color) ? color : 'white';
+        this.tilt = 0; // 频谱倾斜（dB），正值更明亮，负值更低沉
+        this.context = null;
+        this.source = null;
+        this.lowShelf = null;
+        this.highShelf = null;
+        this.tiltFrequency = 1000; // 倾斜中心频率（Hz）
+        this.bufferSeconds = 10; // 回退模式下噪声缓冲区长度
+    }
+
+    /**
+     * 创建噪声着色函数：输入白噪声采样，输出对应颜色的噪声采样
+     * 此函数同时被内联到AudioWorklet中，只能使用自身作用域内的变量
+     * @param {string} color - 噪声颜色：white / pink / brown / blue / violet
+     * @returns {Function} (white) => sample
+     */
+    static createNoiseShaper(color) {
+        // Paul Kellet粉红噪声滤波器状态（-3dB/倍频程）
+        let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+        let brownState = 0;
+        let lastPink = 0;
+        let lastWhite = 0;
+
+        const pink = (white) => {
+            b0 = 0.99886 * b0 + white * 0.0555179;
+            b1 = 0.99332 * b1 + white * 0.0750759;
+            b2 = 0.96900 * b2 + white * 0.1538520;
+            b3 = 0.86650 * b3 + white * 0.3104856;
+            b4 = 0.55000 * b4 + white * 0.5329522;
+            b5 = -0.7616 * b5 - white * 0.0168980;
+            const out = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+            b6 = white * 0.115926;
+            return out * 0.08;
+        };
+
+        switch (color) {
+            case 'pink':
+                return pink;
+            case 'brown':
+                // 泄漏积分器（-6dB/倍频程）
+                return (white) => {
+                    brownState = (brownState + 0.02 * white) / 1.02;
+                    return brownState * 2.5;
+                };
+            case 'blue':
+                // 粉红噪声差分（+3dB/倍频程）
+                return (white) => {
+                    const current = pink(white);
+                    const out = current - lastPink;
+                    lastPink = current;
+                    return out * 1.75;
+                };
+            case 'violet':
+                // 白噪声差分（+6dB/倍频程）
+                return (white) => {
+                    const out = white - lastWhite;
+                    lastWhite = white;
+                    return out * 0.18;
+                };
+            default:
+                return (white) => white * 0.25;
+        }
+    }
+
+    /**
+     * 检查是否可以使用AudioWorklet
+     * @param {BaseAudioContext} context - 音频上下文
+     * @returns {boolean}
+     */
+    static supportsWorklet(context) {
+        return !!(context && context.audioWorklet && typeof AudioWorkletNode !== 'undefined');
+    }
+
+    /**
+     * 为指定AudioContext加载处理器模块（每个上下文只加载一次）
+     * @param {BaseAudioContext} context - 音频上下文
+     * @returns {Promise<boolean>} 是否可以使用AudioWorklet
+     */
+    static loadModule(context) {
+        if (!NoiseGenerator.supportsWorklet(context)) {
+            return Promise.resolve(false);
+        }
+
+        if (!NoiseGenerator.modulePromises.has(context)) {
+            const blob = new Blob([NoiseGenerator.PROCESSOR_SOURCE], { type: 'application/javascript' });
+            const url = URL.createObjectURL(blob);
+            const promise = context.audioWorklet.addModule(url)
+                .then(() => true)
+                .catch((error) => {
+                    console.warn('噪声AudioWorklet加载失败，使用缓冲区回退:', error);
+                    return false;
+                })
+                .finally(() => URL.revokeObjectURL(url));
+
+            NoiseGenerator.modulePromises.set(context, promise);
+        }
+
+        return NoiseGenerator.modulePromises.get(context);
+    }
+
+    /**
+     * 准备音源（加载AudioWorklet模块）
+     * @param {BaseAudioContext} context - 音频上下文
+     */
+    async prepare(context) {
+        this.context = context;
+        this.useWorklet = await NoiseGenerator.loadModule(context);
+    }
+
+    /**
+     * 是否正在发声
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.source !== null;
+    }
+
+    /**
+     * 开始生成噪声
+     * @param {AudioNode} destination - 输出节点（音效通道入口）
+     */
+    start(destination) {
+        if (!this.context) {
+            throw new Error('NoiseGenerator尚未准备');
+        }
+
+        this.stop();
+
+        this.lowShelf = this.context.createBiquadFilter();
+        this.lowShelf.type = 'lowshelf';
+        this.lowShelf.frequency.value = this.tiltFrequency;
+
+        this.highShelf = this.context.createBiquadFilter();
+        this.highShelf.type = 'highshelf';
+        this.highShelf.frequency.value = this.tiltFrequency;
+
+        this.applyTilt();
+
+        this.source = this.createSource();
+        this.source.connect(this.lowShelf);
+        this.lowShelf.connect(this.highShelf);
+        this.highShelf.connect(destination);
+
+        console.log(`噪声发生器开始: ${this.color}`);
+    }
+
+    /**
+     * 停止生成噪声并释放节点
+     */
+    stop() {
+        if (this.source) {
+            try {
+                if (typeof this.source.stop === 'function') {
+                    this.source.stop();
+                }
+                this.source.disconnect();
+            } catch (error) {
+                console.warn('停止噪声源失败:', error);
+            }
+            this.source = null;
+        }
+
+        [this.lowShelf, this.highShelf].forEach((node) => {
+            if (node) {
+                node.disconnect();
+            }
+        });
+        this.lowShelf = null;
+        this.highShelf = null;
+    }
+
+    /**
+     * 创建噪声源节点
+     * @private
+     * @returns {AudioNode} AudioWorkletNode或循环的AudioBufferSourceNode
+     */
+    createSource() {
+        if (this.useWorklet) {
+            return new AudioWorkletNode(this.context, 'noise-processor', {
+                numberOfInputs: 0,
+                outputChannelCount: [2],
+                processorOptions: { color: this.color }
+            });
+        }
+
+        const source = this.context.createBufferSource();
+        source.buffer = this.createNoiseBuffer();
+        source.loop = true;
+        source.start();
+        return source;
+    }
+
+    /**
+     * 合成噪声缓冲区（AudioWorklet不可用时的回退）
+     * @private
+     * @returns {AudioBuffer} 立体声噪声缓冲区
+     */
+    createNoiseBuffer() {
+        const length = Math.floor(this.context.sampleRate * this.bufferSeconds);
+        const buffer = this.context.createBuffer(2, length, this.context.sampleRate);
+
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const shaper = NoiseGenerator.createNoiseShaper(this.color);
+            const samples = buffer.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                samples[i] = shaper(Math.random() * 2 - 1);
+            }
+        }
+
+        return buffer;
+    }
+
+    /**
+     * 切换噪声颜色，播放中立即生效
+     * @param {string} color - 噪声颜色
+     */
+    setColor(color) {
+        if (!NoiseGenerator.COLORS.includes(color) || color === this.color) {
+            return;
+        }
+
+        this.color = color;
+
+        if (!this.source) {
+            return;
+        }
+
+        if (this.useWorklet) {
+            this.source.port.postMessage({ color });
+        } else {
+            // 缓冲区回退：替换为新颜色的缓冲区
+            const next = this.createSource();
+            next.connect(this.lowShelf);
+            this.source.stop();
+            this.source.disconnect();
+            this.source = next;
+        }
+    }
+
+    /**
+     * 设置频谱倾斜
+     * @param {number} db - 倾斜量（dB），低频和高频各调整一半
+     */
+    setTilt(db) {
+        this.tilt = Math.max(-NoiseGenerator.MAX_TILT, Math.min(NoiseGenerator.MAX_TILT, Number(db) || 0));
+        this.applyTilt();
+    }
+
+    /**
+     * 将倾斜量应用到搁架滤波器
+     * @private
+     */
+    applyTilt() {
+        if (!this.lowShelf || !this.highShelf) {
+            return;
+        }
+
+        const now = this.context.currentTime;
+        this.lowShelf.gain.setTargetAtTime(-this.tilt / 2, now, 0.05);
+        this.highShelf.gain.setTargetAtTime(this.tilt / 2, now, 0.05);
+    }
+}
+
+NoiseGenerator.COLORS = ['white', 'pink', 'brown', 'blue', 'violet'];
+NoiseGenerator.MAX_TILT = 12;
+NoiseGenerator.modulePromises = new WeakMap();
+
+// AudioWorklet处理器源码，通过Blob URL加载，不需要额外的网络请求；着色函数以静态方法的源码内联
+NoiseGenerator.PROCESSOR_SOURCE = `
+const createNoiseShaper = function ${NoiseGenerator.createNoiseShaper.toString()};
+
+class NoiseProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.setColor(options.processorOptions.color);
+        this.port.onmessage = (event) => {
+            if (event.data && event.data.color) {
+                this.setColor(event.data.color);
+            }
+        };
+    }
+
+    setColor(color) {
+        // 左右声道独立生成，声场更开阔
+        this.shapers = [createNoiseShaper(color), createNoiseShaper(color)];
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0];
+        for (let channel = 0; channel < output.length; channel++) {
+            const shaper = this.shapers[channel % this.shapers.length];
+            const samples = output[channel];
+            for (let i = 0; i < samples.length; i++) {
+                samples[i] = shaper(Math.random() * 2 - 1);
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('noise-processor', NoiseProcessor);
+`;
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.NoiseGenerator = NoiseGenerator;
+}
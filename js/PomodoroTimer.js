@@ -0,0 +1,432 @@
+/**
+ * PomodoroTimer - 番茄钟调度模块
+ * 专注与休息交替进行：每完成一个专注阶段进入短休息，完成cycles个专注阶段后进入长休息，然后开始新一轮
+ * 与AlarmScheduler一样在TimerManager倒计时之上按时钟时间调度，阶段终点记录为时间戳，
+ * 因此页面隐藏、系统休眠和刷新页面后都按实际经过的时间校准；进行中的状态和完成记录持久化到localStorage
+ */
+class PomodoroTimer {
+    constructor(storageKey = 'whiteNoisePomodoro', historyKey = 'whiteNoisePomodoroHistory') {
+        this.storageKey = storageKey;
+        this.historyKey = historyKey;
+        this.timer = new TimerManager();
+        this.settings = PomodoroTimer.normalizeSettings();
+        this.phase = 'idle'; // idle / work / shortBreak / longBreak
+        this.completed = 0; // 已完成的专注阶段数
+        this.phaseDuration = 0; // 当前阶段时长（毫秒），包含延长的时间
+        this.phaseEnd = null; // 当前阶段结束时间（毫秒时间戳），暂停时为null
+        this.pausedRemaining = 0; // 暂停时的剩余时间（毫秒）
+        this.history = []; // 已完成的阶段 [{ phase, minutes, completedAt }]
+        this.onPhase = null; // 进入新阶段时回调 (phase, previousPhase)
+        this.onUpdate = null; // 状态更新回调 (status)
+
+        this.loadHistory();
+    }
+
+    /**
+     * 规范化番茄钟设置
+     * @param {Object} settings - { work, shortBreak, longBreak, cycles }，时长单位为分钟
+     * @returns {Object} 规范化后的设置，无效字段使用默认值
+     */
+    static normalizeSettings(settings = {}) {
+        const result = {};
+        Object.entries(PomodoroTimer.RANGES).forEach(([field, [min, max]]) => {
+            const value = Math.round(Number(settings && settings[field]));
+            result[field] = Number.isFinite(value) && value > 0
+                ? Math.max(min, Math.min(max, value))
+                : PomodoroTimer.DEFAULTS[field];
+        });
+        return result;
+    }
+
+    /**
+     * 设置回调函数
+     * @param {Object} callbacks - { onPhase, onUpdate }
+     */
+    setCallbacks(callbacks = {}) {
+        this.onPhase = callbacks.onPhase || null;
+        this.onUpdate = callbacks.onUpdate || null;
+    }
+
+    /**
+     * 开始番茄钟，从第一个专注阶段开始
+     * @param {Object} settings - { work, shortBreak, longBreak, cycles }
+     */
+    start(settings) {
+        this.timer.cancel();
+        this.settings = PomodoroTimer.normalizeSettings(settings);
+        this.completed = 0;
+        this.enterPhase('work', Date.now());
+        this.resync();
+
+        console.log('番茄钟已开始:', this.settings);
+    }
+
+    /**
+     * 停止番茄钟
+     * @returns {boolean} 是否停止了进行中的番茄钟
+     */
+    stop() {
+        const wasActive = this.isActive();
+
+        this.timer.cancel();
+        this.phase = 'idle';
+        this.completed = 0;
+        this.phaseDuration = 0;
+        this.phaseEnd = null;
+        this.pausedRemaining = 0;
+        this.persist();
+
+        if (wasActive) {
+            console.log('番茄钟已停止');
+            this.notifyUpdate();
+        }
+
+        return wasActive;
+    }
+
+    /**
+     * 暂停当前阶段
+     * @returns {boolean} 是否成功暂停
+     */
+    pause() {
+        if (!this.isActive() || this.isPaused()) {
+            return false;
+        }
+
+        this.pausedRemaining = this.getRemainingTime();
+        this.phaseEnd = null;
+        this.timer.cancel();
+        this.persist();
+        this.notifyUpdate();
+        return true;
+    }
+
+    /**
+     * 继续暂停的阶段
+     * @returns {boolean} 是否成功继续
+     */
+    resume() {
+        if (!this.isPaused()) {
+            return false;
+        }
+
+        this.phaseEnd = Date.now() + this.pausedRemaining;
+        this.pausedRemaining = 0;
+        this.resync();
+        return true;
+    }
+
+    /**
+     * 延长当前阶段
+     * @param {number} minutes - 延长的分钟数
+     * @returns {boolean} 是否成功延长
+     */
+    extend(minutes) {
+        if (!this.isActive() || !(minutes > 0)) {
+            return false;
+        }
+
+        const additionalMs = minutes * 60 * 1000;
+        this.phaseDuration += additionalMs;
+        if (this.isPaused()) {
+            this.pausedRemaining += additionalMs;
+            this.persist();
+            this.notifyUpdate();
+        } else {
+            this.phaseEnd += additionalMs;
+            this.resync();
+        }
+        return true;
+    }
+
+    /**
+     * 是否正在进行（包括暂停）
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.phase !== 'idle';
+    }
+
+    /**
+     * 是否已暂停
+     * @returns {boolean}
+     */
+    isPaused() {
+        return this.isActive() && this.phaseEnd === null;
+    }
+
+    /**
+     * 获取当前阶段的剩余时间
+     * @returns {number} 毫秒
+     */
+    getRemainingTime() {
+        if (!this.isActive()) {
+            return 0;
+        }
+        return this.isPaused() ? this.pausedRemaining : Math.max(0, this.phaseEnd - Date.now());
+    }
+
+    /**
+     * 获取一轮（cycles个专注和休息，含长休息）的总时长
+     * @returns {number} 毫秒
+     */
+    getCycleLength() {
+        const { work, shortBreak, longBreak, cycles } = this.settings;
+        return (work * cycles + shortBreak * (cycles - 1) + longBreak) * 60 * 1000;
+    }
+
+    /**
+     * 从localStorage恢复进行中的番茄钟，按关闭页面期间经过的时间推进阶段
+     * 关闭时间超过一整轮时视为已结束
+     * @returns {boolean} 是否恢复了进行中的番茄钟
+     */
+    restore() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (!saved || !PomodoroTimer.PHASES.includes(saved.phase)) {
+                return false;
+            }
+
+            this.settings = PomodoroTimer.normalizeSettings(saved.settings);
+            this.phase = saved.phase;
+            this.completed = Math.max(0, Math.floor(Number(saved.completed) || 0));
+            this.phaseDuration = Math.max(0, Number(saved.phaseDuration) || 0);
+            this.phaseEnd = Number.isFinite(saved.phaseEnd) ? saved.phaseEnd : null;
+            this.pausedRemaining = Math.max(0, Number(saved.pausedRemaining) || 0);
+        } catch (error) {
+            console.warn('读取番茄钟状态失败:', error);
+            return false;
+        }
+
+        if (this.phaseEnd !== null && Date.now() - this.phaseEnd > this.getCycleLength()) {
+            this.stop();
+            return false;
+        }
+
+        if (this.isPaused()) {
+            this.notifyUpdate();
+        } else {
+            this.resync();
+        }
+        return true;
+    }
+
+    /**
+     * 按当前时钟时间校准阶段和倒计时，已过阶段终点时依次进入后续阶段
+     * 页面重新可见或定时器可能被推迟时调用
+     */
+    resync() {
+        if (!this.isActive() || this.isPaused()) {
+            return;
+        }
+
+        const previousPhase = this.phase;
+        const now = Date.now();
+        let advanced = false;
+        while (now >= this.phaseEnd) {
+            this.advance();
+            advanced = true;
+        }
+
+        this.timer.start(
+            (this.phaseEnd - now) / 60000,
+            () => this.resync(),
+            () => this.handleTick()
+        );
+        this.persist();
+
+        if (advanced && this.onPhase) {
+            try {
+                this.onPhase(this.phase, previousPhase);
+            } catch (error) {
+                console.error('番茄钟阶段回调执行失败:', error);
+            }
+        }
+
+        this.notifyUpdate();
+    }
+
+    /**
+     * 每秒更新：系统休眠会暂停setTimeout，以时钟时间检查是否已错过阶段终点
+     * @private
+     */
+    handleTick() {
+        if (this.phaseEnd !== null && Date.now() >= this.phaseEnd) {
+            this.resync();
+        } else {
+            this.notifyUpdate();
+        }
+    }
+
+    /**
+     * 结束当前阶段并进入下一阶段，下一阶段紧接上一阶段的终点开始
+     * @private
+     */
+    advance() {
+        this.recordHistory({
+            phase: this.phase,
+            minutes: Math.round(this.phaseDuration / 60000),
+            completedAt: this.phaseEnd
+        });
+
+        let next = 'work';
+        if (this.phase === 'work') {
+            this.completed++;
+            next = this.completed % this.settings.cycles === 0 ? 'longBreak' : 'shortBreak';
+        }
+        this.enterPhase(next, this.phaseEnd);
+    }
+
+    /**
+     * 进入指定阶段
+     * @private
+     * @param {string} phase - work / shortBreak / longBreak
+     * @param {number} startTime - 阶段开始时间（毫秒时间戳）
+     */
+    enterPhase(phase, startTime) {
+        this.phase = phase;
+        this.phaseDuration = this.settings[phase] * 60 * 1000;
+        this.phaseEnd = startTime + this.phaseDuration;
+        this.pausedRemaining = 0;
+    }
+
+    /**
+     * 将进行中的状态写入localStorage
+     * @private
+     */
+    persist() {
+        try {
+            if (this.isActive()) {
+                localStorage.setItem(this.storageKey, JSON.stringify({
+                    settings: this.settings,
+                    phase: this.phase,
+                    completed: this.completed,
+                    phaseDuration: this.phaseDuration,
+                    phaseEnd: this.phaseEnd,
+                    pausedRemaining: this.pausedRemaining
+                }));
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('保存番茄钟状态失败:', error);
+        }
+    }
+
+    /**
+     * 从localStorage读取完成记录
+     * @private
+     */
+    loadHistory() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.historyKey) || '[]');
+            this.history = Array.isArray(saved)
+                ? saved.filter(entry => entry
+                    && PomodoroTimer.PHASES.includes(entry.phase)
+                    && Number.isFinite(entry.completedAt))
+                : [];
+        } catch (error) {
+            console.warn('读取番茄钟记录失败:', error);
+            this.history = [];
+        }
+    }
+
+    /**
+     * 追加一条完成记录，超出上限时丢弃最早的记录
+     * @private
+     * @param {Object} entry - { phase, minutes, completedAt }
+     */
+    recordHistory(entry) {
+        this.history.push(entry);
+        if (this.history.length > PomodoroTimer.MAX_HISTORY) {
+            this.history.splice(0, this.history.length - PomodoroTimer.MAX_HISTORY);
+        }
+
+        try {
+            localStorage.setItem(this.historyKey, JSON.stringify(this.history));
+        } catch (error) {
+            console.warn('保存番茄钟记录失败:', error);
+        }
+    }
+
+    /**
+     * 获取完成记录
+     * @param {number} since - 只返回此时间之后完成的记录（毫秒时间戳），可选
+     * @returns {Array} 记录副本 [{ phase, minutes, completedAt }]，按完成时间排序
+     */
+    getHistory(since = 0) {
+        return this.history.filter(entry => entry.completedAt >= since).map(entry => ({ ...entry }));
+    }
+
+    /**
+     * 清空完成记录
+     */
+    clearHistory() {
+        this.history = [];
+        try {
+            localStorage.removeItem(this.historyKey);
+        } catch (error) {
+            console.warn('清空番茄钟记录失败:', error);
+        }
+    }
+
+    /**
+     * 通知状态更新
+     * @private
+     */
+    notifyUpdate() {
+        if (!this.onUpdate) {
+            return;
+        }
+
+        try {
+            this.onUpdate(this.getStatus());
+        } catch (error) {
+            console.error('番茄钟状态更新失败:', error);
+        }
+    }
+
+    /**
+     * 获取番茄钟状态，字段与TimerManager.getStatus一致，可直接用于定时器显示
+     * @returns {Object} 状态信息对象，另含 phase、cycle（本轮第几个专注）和 cycles
+     */
+    getStatus() {
+        const remainingTime = this.getRemainingTime();
+        const totalSeconds = Math.ceil(remainingTime / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        // 休息阶段属于刚完成的专注
+        const finished = this.phase === 'work' ? this.completed : Math.max(0, this.completed - 1);
+
+        return {
+            isActive: this.isActive() && !this.isPaused(),
+            isPaused: this.isPaused(),
+            phase: this.isActive() ? this.phase : null,
+            cycle: finished % this.settings.cycles + 1,
+            cycles: this.settings.cycles,
+            remainingTime,
+            remainingTimeFormatted: `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`,
+            totalDuration: this.phaseDuration,
+            progress: this.phaseDuration > 0 ? Math.min(100, (1 - remainingTime / this.phaseDuration) * 100) : 0
+        };
+    }
+
+    /**
+     * 销毁调度器（保留持久化的状态，刷新页面后可恢复）
+     */
+    destroy() {
+        this.onPhase = null;
+        this.onUpdate = null;
+        this.timer.destroy();
+    }
+}
+
+PomodoroTimer.PHASES = ['work', 'shortBreak', 'longBreak'];
+PomodoroTimer.DEFAULTS = { work: 25, shortBreak: 5, longBreak: 15, cycles: 4 };
+PomodoroTimer.RANGES = { work: [1, 120], shortBreak: [1, 60], longBreak: [1, 60], cycles: [1, 12] }; // 分钟 / 次
+PomodoroTimer.MAX_HISTORY = 500;
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.PomodoroTimer = PomodoroTimer;
+}
@@ -0,0 +1,171 @@
+/**
+ * PresetManager - 混音预设管理模块
+ * 负责命名混音预设的保存、读取、重命名和删除，数据持久化到localStorage
+ */
+class PresetManager {
+    constructor(storageKey = 'whiteNoisePresets') {
+        this.storageKey = storageKey;
+        this.maxNameLength = 20;
+        this.presets = [];
+
+        this.load();
+    }
+
+    /**
+     * 从localStorage读取预设列表
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            const parsed = saved ? JSON.parse(saved) : [];
+            this.presets = Array.isArray(parsed)
+                ? parsed.filter(preset => this.isValidPreset(preset))
+                : [];
+        } catch (error) {
+            console.warn('读取混音预设失败:', error);
+            this.presets = [];
+        }
+    }
+
+    /**
+     * 将预设列表写入localStorage
+     * @returns {boolean} 是否保存成功
+     */
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.presets));
+            return true;
+        } catch (error) {
+            console.warn('保存混音预设失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 校验预设数据结构
+     * @param {Object} preset - 预设对象
+     * @returns {boolean} 是否有效
+     */
+    isValidPreset(preset) {
+        return !!preset
+            && typeof preset.id === 'string'
+            && typeof preset.name === 'string'
+            && !!preset.mix
+            && typeof preset.mix.sounds === 'object';
+    }
+
+    /**
+     * 规范化预设名称
+     * @param {string} name - 原始名称
+     * @returns {string} 去除首尾空白并截断后的名称
+     */
+    normalizeName(name) {
+        return String(name || '').trim().slice(0, this.maxNameLength);
+    }
+
+    /**
+     * 获取所有预设（按更新时间倒序）
+     * @returns {Array} 预设列表副本
+     */
+    getAll() {
+        return [...this.presets].sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * 获取指定预设
+     * @param {string} id - 预设ID
+     * @returns {Object|null} 预设对象
+     */
+    get(id) {
+        return this.presets.find(preset => preset.id === id) || null;
+    }
+
+    /**
+     * 保存当前混音为预设，同名预设会被覆盖
+     * @param {string} name - 预设名称
+     * @param {Object} mix - 混音数据 { volume, sounds: { name: volume } }
+     * @returns {Object|null} 保存后的预设，失败返回null
+     */
+    save(name, mix) {
+        const presetName = this.normalizeName(name);
+        if (!presetName) {
+            console.error('预设名称不能为空');
+            return null;
+        }
+
+        if (!mix || !mix.sounds || Object.keys(mix.sounds).length === 0) {
+            console.error('没有可保存的混音');
+            return null;
+        }
+
+        const now = Date.now();
+        const existing = this.presets.find(preset => preset.name === presetName);
+        const snapshot = JSON.parse(JSON.stringify(mix));
+
+        let preset;
+        if (existing) {
+            existing.mix = snapshot;
+            existing.updatedAt = now;
+            preset = existing;
+        } else {
+            preset = {
+                id: `preset-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+                name: presetName,
+                mix: snapshot,
+                createdAt: now,
+                updatedAt: now
+            };
+            this.presets.push(preset);
+        }
+
+        this.persist();
+        console.log(`混音预设已保存: ${presetName}`);
+        return preset;
+    }
+
+    /**
+     * 重命名预设
+     * @param {string} id - 预设ID
+     * @param {string} newName - 新名称
+     * @returns {boolean} 是否成功重命名
+     */
+    rename(id, newName) {
+        const preset = this.get(id);
+        const presetName = this.normalizeName(newName);
+
+        if (!preset || !presetName) {
+            return false;
+        }
+
+        if (this.presets.some(other => other.id !== id && other.name === presetName)) {
+            console.error(`预设名称已存在: ${presetName}`);
+            return false;
+        }
+
+        preset.name = presetName;
+        preset.updatedAt = Date.now();
+        this.persist();
+        return true;
+    }
+
+    /**
+     * 删除预设
+     * @param {string} id - 预设ID
+     * @returns {boolean} 是否成功删除
+     */
+    remove(id) {
+        const index = this.presets.findIndex(preset => preset.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        this.presets.splice(index, 1);
+        this.persist();
+        return true;
+    }
+}
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.PresetManager = PresetManager;
+}
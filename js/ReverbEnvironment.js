@@ -0,0 +1,212 @@
+/**
+ * ReverbEnvironment - 卷积混响"环境"（帐篷、木屋、大厅、旷野）
+ * 脉冲响应在运行时程序化生成（指数衰减的噪声 + 随时间加深的高频阻尼），不需要任何音频文件
+ *   input -> 卷积器 -> output（选择"无"时input直接连到output）
+ * 各音效按干湿比分流：干声直达，湿声送入本节点，二者线性交叉，"无"环境时两路相加即为原声
+ */
+class ReverbEnvironment {
+    /**
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {string} preset - 预设名称，默认'none'
+     */
+    constructor(context, preset = 'none') {
+        this.context = context;
+        this.switchTime = 0.3; // 切换环境时的交叉淡化时长（秒）
+        this.preset = 'none';
+        this.impulses = new Map(); // 预设名称 -> AudioBuffer，每个预设只生成一次
+
+        this.input = context.createGain();
+        this.output = context.createGain();
+
+        this.direct = context.createGain();
+        this.input.connect(this.direct);
+        this.direct.connect(this.output);
+
+        this.convolver = null;
+        this.wet = null;
+
+        this.setPreset(preset, 0);
+    }
+
+    /**
+     * 生成脉冲响应
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {Object} preset - { decay, predelay, density, brightness, darkness, early }
+     * @returns {AudioBuffer} 立体声脉冲响应，总能量归一化为1
+     */
+    static createImpulseResponse(context, preset) {
+        const sampleRate = context.sampleRate;
+        const predelay = Math.floor(preset.predelay * sampleRate);
+        const length = predelay + Math.floor(preset.decay * sampleRate);
+        const buffer = context.createBuffer(2, length, sampleRate);
+        const decayFactor = Math.exp(-Math.log(1000) / (preset.decay * sampleRate)); // decay秒后衰减60dB
+        const twoPi = 2 * Math.PI / sampleRate;
+        const blockSize = 128; // 滤波系数按块更新，避免逐采样计算指数
+        let energy = 0;
+
+        for (let channel = 0; channel < 2; channel++) {
+            const samples = buffer.getChannelData(channel);
+            let filtered = 0;
+            let envelope = 1;
+            let coefficient = 0;
+
+            for (let i = predelay; i < length; i++) {
+                if ((i - predelay) % blockSize === 0) {
+                    const t = (i - predelay) / (length - predelay);
+                    // 截止频率从brightness按指数下降到darkness：尾部越来越闷
+                    const cutoff = preset.brightness * Math.pow(preset.darkness / preset.brightness, t);
+                    coefficient = 1 - Math.exp(-twoPi * cutoff);
+                }
+                const noise = Math.random() < preset.density ? Math.random() * 2 - 1 : 0;
+
+                filtered += coefficient * (noise - filtered);
+                samples[i] = filtered * envelope;
+                envelope *= decayFactor;
+            }
+
+            // 早期反射：左右声道时间略有差异，增加空间感
+            preset.early.forEach(([time, gain], index) => {
+                const position = predelay + Math.floor(time * sampleRate * (channel === index % 2 ? 1 : 1.07));
+                if (position < length) {
+                    samples[position] += gain;
+                }
+            });
+
+            for (let i = 0; i < length; i++) {
+                energy += samples[i] * samples[i];
+            }
+        }
+
+        const scale = energy > 0 ? 1 / Math.sqrt(energy / 2) : 0;
+        for (let channel = 0; channel < 2; channel++) {
+            const samples = buffer.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                samples[i] *= scale;
+            }
+        }
+
+        return buffer;
+    }
+
+    /**
+     * 计算干湿两路的增益（线性交叉）
+     * @param {number} wet - 湿声比例 (0-1)
+     * @returns {Object} { dry, wet }
+     */
+    static getMix(wet) {
+        const amount = Math.max(0, Math.min(1, Number(wet) || 0));
+        return { dry: 1 - amount, wet: amount };
+    }
+
+    /**
+     * 获取预设的脉冲响应（首次使用时生成）
+     * @private
+     * @param {string} preset - 预设名称
+     * @returns {AudioBuffer}
+     */
+    getImpulse(preset) {
+        if (!this.impulses.has(preset)) {
+            this.impulses.set(preset, ReverbEnvironment.createImpulseResponse(this.context, ReverbEnvironment.PRESETS[preset]));
+        }
+        return this.impulses.get(preset);
+    }
+
+    /**
+     * 切换环境，新旧环境交叉淡化
+     * @param {string} preset - 预设名称，'none'表示不加混响
+     * @param {number} duration - 交叉淡化时长（秒）
+     */
+    setPreset(preset, duration = this.switchTime) {
+        const next = ReverbEnvironment.PRESETS[preset] ? preset : 'none';
+        if (next === this.preset && (next === 'none' || this.convolver)) {
+            return;
+        }
+
+        const now = this.context.currentTime;
+        const fade = (param, value) => {
+            param.cancelScheduledValues(now);
+            param.setValueAtTime(param.value, now);
+            param.linearRampToValueAtTime(value, now + Math.max(0.01, duration));
+        };
+
+        // 淡出当前的卷积器，淡化结束后断开
+        if (this.convolver) {
+            const { convolver, wet } = this;
+            fade(wet.gain, 0);
+            setTimeout(() => {
+                convolver.disconnect();
+                wet.disconnect();
+            }, (duration + 0.1) * 1000);
+            this.convolver = null;
+            this.wet = null;
+        }
+
+        if (next === 'none') {
+            fade(this.direct.gain, 1);
+        } else {
+            this.convolver = this.context.createConvolver();
+            this.convolver.normalize = false;
+            this.convolver.buffer = this.getImpulse(next);
+            this.wet = this.context.createGain();
+            this.wet.gain.value = 0;
+
+            this.input.connect(this.convolver);
+            this.convolver.connect(this.wet);
+            this.wet.connect(this.output);
+
+            fade(this.wet.gain, 1);
+            fade(this.direct.gain, 0);
+        }
+
+        this.preset = next;
+    }
+
+    /**
+     * 获取当前预设名称
+     * @returns {string}
+     */
+    getPreset() {
+        return this.preset;
+    }
+
+    /**
+     * 断开所有节点
+     */
+    disconnect() {
+        [this.input, this.direct, this.convolver, this.wet, this.output].forEach((node) => {
+            if (node) {
+                node.disconnect();
+            }
+        });
+    }
+}
+
+// 环境预设：decay为衰减60dB的时长（秒），predelay为预延迟（秒），density为噪声密度（越低越稀疏，像远处零星回声）
+// brightness/darkness为脉冲响应开头/结尾的低通截止频率（Hz），early为早期反射 [时间（秒）, 增益]
+ReverbEnvironment.PRESETS = {
+    tent: {
+        name: '帐篷',
+        decay: 0.35, predelay: 0.001, density: 1, brightness: 4000, darkness: 1500,
+        early: [[0.003, 0.4], [0.005, 0.3], [0.008, 0.2]]
+    },
+    cabin: {
+        name: '木屋',
+        decay: 0.9, predelay: 0.004, density: 1, brightness: 6000, darkness: 1200,
+        early: [[0.007, 0.35], [0.011, 0.3], [0.017, 0.2], [0.023, 0.15]]
+    },
+    hall: {
+        name: '大厅',
+        decay: 3.2, predelay: 0.025, density: 1, brightness: 8000, darkness: 1800,
+        early: [[0.021, 0.2], [0.034, 0.15], [0.047, 0.12], [0.062, 0.1]]
+    },
+    field: {
+        name: '旷野',
+        decay: 1.6, predelay: 0.012, density: 0.01, brightness: 3000, darkness: 600,
+        early: [[0.006, 0.1]] // 地面反射
+    }
+};
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.ReverbEnvironment = ReverbEnvironment;
+}
@@ -0,0 +1,207 @@
+/**
+ * RoutineManager - 睡前流程管理模块
+ * 流程由若干步骤依次组成，例如"15分钟海浪+α脑波，再45分钟棕色噪音逐渐减弱，然后停止"
+ * 每个步骤保存一份混音快照、时长和进入该步骤时的过渡方式，数据持久化到localStorage
+ *   { label, mix, minutes, transition: 'crossfade' | 'cut', fadeOut }
+ * fadeOut为true时，该步骤的音效在步骤时长内逐渐降到静音
+ */
+class RoutineManager {
+    constructor(storageKey = 'whiteNoiseRoutines') {
+        this.storageKey = storageKey;
+        this.maxNameLength = 20;
+        this.routines = [];
+
+        this.load();
+    }
+
+    /**
+     * 规范化步骤
+     * @param {Object} step - { label, mix, minutes, transition, fadeOut }
+     * @returns {Object|null} 规范化后的步骤，混音无效时返回null
+     */
+    static normalizeStep(step) {
+        if (!step || !step.mix || !step.mix.sounds || typeof step.mix.sounds !== 'object') {
+            return null;
+        }
+
+        const [min, max] = RoutineManager.STEP_MINUTES_RANGE;
+        const minutes = Math.round(Number(step.minutes) || RoutineManager.DEFAULT_STEP_MINUTES);
+
+        return {
+            label: typeof step.label === 'string' ? step.label : '',
+            mix: JSON.parse(JSON.stringify(step.mix)),
+            minutes: Math.max(min, Math.min(max, minutes)),
+            transition: RoutineManager.TRANSITIONS.includes(step.transition) ? step.transition : 'crossfade',
+            fadeOut: step.fadeOut === true
+        };
+    }
+
+    /**
+     * 计算流程总时长
+     * @param {Object} routine - 流程对象
+     * @returns {number} 分钟
+     */
+    static getTotalMinutes(routine) {
+        return routine.steps.reduce((total, step) => total + step.minutes, 0);
+    }
+
+    /**
+     * 定位指定时刻所在的步骤
+     * @param {Object} routine - 流程对象
+     * @param {number} minutes - 流程开始后经过的分钟数
+     * @returns {Object|null} { index, elapsed, remaining }（分钟），流程已结束时返回null
+     */
+    static locate(routine, minutes) {
+        let start = 0;
+        for (let index = 0; index < routine.steps.length; index++) {
+            const end = start + routine.steps[index].minutes;
+            if (minutes < end) {
+                return { index, elapsed: Math.max(0, minutes - start), remaining: end - Math.max(start, minutes) };
+            }
+            start = end;
+        }
+        return null;
+    }
+
+    /**
+     * 从localStorage读取流程列表
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            const parsed = saved ? JSON.parse(saved) : [];
+            this.routines = Array.isArray(parsed)
+                ? parsed.filter(routine => this.isValidRoutine(routine))
+                : [];
+        } catch (error) {
+            console.warn('读取睡前流程失败:', error);
+            this.routines = [];
+        }
+    }
+
+    /**
+     * 将流程列表写入localStorage
+     * @returns {boolean} 是否保存成功
+     */
+    persist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.routines));
+            return true;
+        } catch (error) {
+            console.warn('保存睡前流程失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 校验流程数据结构
+     * @param {Object} routine - 流程对象
+     * @returns {boolean} 是否有效
+     */
+    isValidRoutine(routine) {
+        return !!routine
+            && typeof routine.id === 'string'
+            && typeof routine.name === 'string'
+            && Array.isArray(routine.steps)
+            && routine.steps.length > 0
+            && routine.steps.every(step => RoutineManager.normalizeStep(step) !== null);
+    }
+
+    /**
+     * 规范化流程名称
+     * @param {string} name - 原始名称
+     * @returns {string} 去除首尾空白并截断后的名称
+     */
+    normalizeName(name) {
+        return String(name || '').trim().slice(0, this.maxNameLength);
+    }
+
+    /**
+     * 获取所有流程（按更新时间倒序）
+     * @returns {Array} 流程列表副本
+     */
+    getAll() {
+        return [...this.routines].sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * 获取指定流程
+     * @param {string} id - 流程ID
+     * @returns {Object|null} 流程对象
+     */
+    get(id) {
+        return this.routines.find(routine => routine.id === id) || null;
+    }
+
+    /**
+     * 保存流程，同名流程会被覆盖
+     * @param {string} name - 流程名称
+     * @param {Array} steps - 步骤列表 [{ label, mix, minutes, transition, fadeOut }]
+     * @returns {Object|null} 保存后的流程，失败返回null
+     */
+    save(name, steps) {
+        const routineName = this.normalizeName(name);
+        if (!routineName) {
+            console.error('流程名称不能为空');
+            return null;
+        }
+
+        const normalizedSteps = (Array.isArray(steps) ? steps : [])
+            .map(step => RoutineManager.normalizeStep(step))
+            .filter(Boolean)
+            .slice(0, RoutineManager.MAX_STEPS);
+        if (normalizedSteps.length === 0) {
+            console.error('流程没有有效的步骤');
+            return null;
+        }
+
+        const now = Date.now();
+        const existing = this.routines.find(routine => routine.name === routineName);
+
+        let routine;
+        if (existing) {
+            existing.steps = normalizedSteps;
+            existing.updatedAt = now;
+            routine = existing;
+        } else {
+            routine = {
+                id: `routine-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+                name: routineName,
+                steps: normalizedSteps,
+                createdAt: now,
+                updatedAt: now
+            };
+            this.routines.push(routine);
+        }
+
+        this.persist();
+        console.log(`睡前流程已保存: ${routineName}`);
+        return routine;
+    }
+
+    /**
+     * 删除流程
+     * @param {string} id - 流程ID
+     * @returns {boolean} 是否成功删除
+     */
+    remove(id) {
+        const index = this.routines.findIndex(routine => routine.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        this.routines.splice(index, 1);
+        this.persist();
+        return true;
+    }
+}
+
+RoutineManager.TRANSITIONS = ['crossfade', 'cut']; // 交叉淡化 / 直接切换
+RoutineManager.MAX_STEPS = 10;
+RoutineManager.STEP_MINUTES_RANGE = [1, 240];
+RoutineManager.DEFAULT_STEP_MINUTES = 15;
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.RoutineManager = RoutineManager;
+}
@@ -0,0 +1,161 @@
+/**
+ * SceneTimeline - 随时间演变的声音场景（例如雷雨过境）
+ * 场景由若干关键帧组成，按时间在相邻关键帧之间线性插值，定义来自 audio.hls/scenes.json：
+ *   "storm": {
+ *     "name": "雷雨过境", "duration": 90,
+ *     "keyframes": [
+ *       { "at": 0, "sounds": { "rain2": 60 }, "muffle": 30 },
+ *       { "at": 20, "sounds": { "rain": 80, "wind": 50 }, "muffle": 0 },
+ *       { "at": 60, "sounds": { "forest": 45 }, "muffle": 40 }
+ *     ]
+ *   }
+ * at为分钟；sounds为该时刻各音效的音量 (0-100)，未列出的音效为静音，相邻关键帧之间因此自然淡入淡出
+ * muffle（闷声量 0-100）、lowCut（低切频率 Hz）和intensity（宏音效强度）只在列出它的关键帧之间插值，
+ * 第一次出现之前保持该值，从未出现时场景不改变这项设置
+ * duration为配合定时器使用的总时长（分钟），最后一个关键帧之后保持最后的声音
+ */
+class SceneTimeline {
+    /**
+     * @param {Object} definition - { name, duration, keyframes: [{ at, sounds, muffle, lowCut, intensity }] }
+     * @throws {Error} 没有有效的关键帧时抛出
+     */
+    constructor(definition) {
+        const { name, duration, keyframes } = definition || {};
+
+        this.name = typeof name === 'string' ? name : '';
+        this.keyframes = (Array.isArray(keyframes) ? keyframes : [])
+            .map(keyframe => SceneTimeline.normalizeKeyframe(keyframe))
+            .filter(Boolean)
+            .sort((a, b) => a.at - b.at);
+
+        if (this.keyframes.length === 0) {
+            throw new Error(`场景没有有效的关键帧: ${this.name}`);
+        }
+
+        const end = this.getEnd();
+        this.duration = Number.isFinite(duration) && duration > end ? duration : Math.max(1, end);
+    }
+
+    /**
+     * 规范化关键帧
+     * @param {Object} keyframe - { at, sounds, muffle, lowCut, intensity }
+     * @returns {Object|null} { at, sounds, muffle, lowCut, intensity }，时间无效时返回null
+     */
+    static normalizeKeyframe(keyframe) {
+        if (!keyframe || !Number.isFinite(keyframe.at) || keyframe.at < 0) {
+            return null;
+        }
+
+        const normalizePercents = (values) => {
+            const result = {};
+            if (values && typeof values === 'object') {
+                Object.entries(values).forEach(([name, value]) => {
+                    if (Number.isFinite(value)) {
+                        result[name] = Math.max(0, Math.min(100, value));
+                    }
+                });
+            }
+            return result;
+        };
+
+        return {
+            at: keyframe.at,
+            sounds: normalizePercents(keyframe.sounds),
+            muffle: Number.isFinite(keyframe.muffle) ? Math.max(0, Math.min(100, keyframe.muffle)) : null,
+            lowCut: Number.isFinite(keyframe.lowCut) && keyframe.lowCut > 0 ? keyframe.lowCut : null,
+            intensity: normalizePercents(keyframe.intensity)
+        };
+    }
+
+    /**
+     * 在折线上线性插值，第一个点之前和最后一个点之后保持端点值
+     * @param {Array<Array<number>>} points - 按时间排序的 [时间, 值]
+     * @param {number} time - 时间
+     * @returns {number}
+     */
+    static interpolate(points, time) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (time <= first[0]) {
+            return first[1];
+        }
+        if (time >= last[0]) {
+            return last[1];
+        }
+
+        const index = points.findIndex(([at]) => at > time);
+        const [t0, value0] = points[index - 1];
+        const [t1, value1] = points[index];
+        return value0 + (value1 - value0) * (time - t0) / (t1 - t0);
+    }
+
+    /**
+     * 获取场景中出现过的所有音效
+     * @returns {Array<string>}
+     */
+    getSounds() {
+        const names = new Set();
+        this.keyframes.forEach(keyframe => Object.keys(keyframe.sounds).forEach(name => names.add(name)));
+        return Array.from(names);
+    }
+
+    /**
+     * 获取最后一个关键帧的时间（分钟）
+     * @returns {number}
+     */
+    getEnd() {
+        return this.keyframes[this.keyframes.length - 1].at;
+    }
+
+    /**
+     * 获取场景总时长（分钟）
+     * @returns {number}
+     */
+    getDuration() {
+        return this.duration;
+    }
+
+    /**
+     * 计算指定时刻的声音状态
+     * @param {number} minutes - 场景开始后经过的分钟数
+     * @returns {Object} { sounds: { name: volume }, muffle, lowCut, intensity: { name: percent } }，
+     *   sounds包含场景中的所有音效（静音为0），muffle和lowCut未被场景控制时省略
+     */
+    getStateAt(minutes) {
+        const state = { sounds: {}, intensity: {} };
+
+        this.getSounds().forEach(name => {
+            state.sounds[name] = SceneTimeline.interpolate(
+                this.keyframes.map(keyframe => [keyframe.at, keyframe.sounds[name] || 0]),
+                minutes
+            );
+        });
+
+        ['muffle', 'lowCut'].forEach(field => {
+            const points = this.keyframes
+                .filter(keyframe => keyframe[field] !== null)
+                .map(keyframe => [keyframe.at, keyframe[field]]);
+            if (points.length > 0) {
+                state[field] = SceneTimeline.interpolate(points, minutes);
+            }
+        });
+
+        const macros = new Set();
+        this.keyframes.forEach(keyframe => Object.keys(keyframe.intensity).forEach(name => macros.add(name)));
+        macros.forEach(name => {
+            state.intensity[name] = SceneTimeline.interpolate(
+                this.keyframes
+                    .filter(keyframe => keyframe.intensity[name] !== undefined)
+                    .map(keyframe => [keyframe.at, keyframe.intensity[name]]),
+                minutes
+            );
+        });
+
+        return state;
+    }
+}
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.SceneTimeline = SceneTimeline;
+}
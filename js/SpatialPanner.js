@@ -0,0 +1,179 @@
+/**
+ * SpatialPanner - 音效在听者周围的二维方位
+ * 位置为俯视平面上的 { x, y }（单位圆内，x向右、y向后，听者位于原点面朝前方）
+ * 方向决定HRTF方位，到原点的距离决定电平（反比距离模型，最远处约-12dB）
+ * 未设置位置时使用等功率模型放在正前方，立体声信号原样通过
+ */
+class SpatialPanner {
+    /**
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {Object|null} position - { x, y, drift }，可选
+     */
+    constructor(context, position = null) {
+        this.context = context;
+        this.rampTime = 0.05; // 拖动时位置变化的平滑时长（秒）
+        this.position = null;
+        this.driftTimer = null;
+
+        this.panner = context.createPanner();
+        this.panner.distanceModel = 'inverse';
+        this.panner.refDistance = 1;
+        this.panner.rolloffFactor = 1;
+        this.panner.maxDistance = 10000;
+
+        this.input = this.panner;
+        this.output = this.panner;
+
+        this.setPosition(position, 0);
+    }
+
+    /**
+     * 规范化位置：超出单位圆时缩放到圆周上
+     * @param {Object|null} position - { x, y, drift }
+     * @returns {Object|null} 规范化后的位置，无效时返回null
+     */
+    static normalizePosition(position) {
+        if (!position || typeof position !== 'object') {
+            return null;
+        }
+
+        let x = Number(position.x);
+        let y = Number(position.y);
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            return null;
+        }
+
+        const radius = Math.hypot(x, y);
+        if (radius > 1) {
+            x /= radius;
+            y /= radius;
+        }
+
+        return {
+            x: Math.round(x * 100) / 100,
+            y: Math.round(y * 100) / 100,
+            drift: position.drift === true
+        };
+    }
+
+    /**
+     * 将平面位置换算为PannerNode坐标（前方为-z）
+     * 单位圆半径映射到1至MAX_DISTANCE的距离，圆心处保持正前方、原始电平
+     * @param {Object} position - { x, y }
+     * @returns {Object} { x, y, z }
+     */
+    static toCartesian(position) {
+        const length = Math.hypot(position.x, position.y);
+        const distance = 1 + Math.min(1, length) * (SpatialPanner.MAX_DISTANCE - 1);
+        const dirX = length > 0 ? position.x / length : 0;
+        const dirY = length > 0 ? position.y / length : -1;
+
+        return { x: dirX * distance, y: 0, z: dirY * distance };
+    }
+
+    /**
+     * 设置位置
+     * @param {Object|null} position - { x, y, drift }，null表示取消空间定位
+     * @param {number} duration - 过渡时长（秒）
+     */
+    setPosition(position, duration = this.rampTime) {
+        this.position = SpatialPanner.normalizePosition(position);
+        this.panner.panningModel = this.position ? 'HRTF' : 'equalpower';
+        this.moveTo(this.position || { x: 0, y: 0 }, duration);
+
+        if (this.position && this.position.drift) {
+            this.startDrift();
+        } else {
+            this.stopDrift();
+        }
+    }
+
+    /**
+     * 获取当前位置
+     * @returns {Object|null} { x, y, drift }，未定位时返回null
+     */
+    getPosition() {
+        return this.position ? { ...this.position } : null;
+    }
+
+    /**
+     * 将声源移动到平面位置
+     * @private
+     * @param {Object} position - { x, y }
+     * @param {number} duration - 过渡时长（秒）
+     */
+    moveTo(position, duration) {
+        const target = SpatialPanner.toCartesian(position);
+
+        // 旧版Safari没有positionX等AudioParam，只能立即设置
+        if (!this.panner.positionX) {
+            this.panner.setPosition(target.x, target.y, target.z);
+            return;
+        }
+
+        const now = this.context.currentTime;
+        [
+            [this.panner.positionX, target.x],
+            [this.panner.positionY, target.y],
+            [this.panner.positionZ, target.z]
+        ].forEach(([param, value]) => {
+            param.cancelScheduledValues(now);
+            if (duration > 0) {
+                param.setValueAtTime(param.value, now);
+                param.linearRampToValueAtTime(value, now + duration);
+            } else {
+                param.setValueAtTime(value, now);
+            }
+        });
+    }
+
+    /**
+     * 开始缓慢漂移：每个周期围绕所设位置随机偏移方位和距离，并线性过渡过去
+     * @private
+     */
+    startDrift() {
+        if (this.driftTimer) {
+            return;
+        }
+
+        const step = () => {
+            const { x, y } = this.position;
+            const radius = Math.hypot(x, y);
+            const angle = Math.atan2(y, x) + (Math.random() * 2 - 1) * SpatialPanner.DRIFT_ANGLE;
+            const distance = Math.max(0, Math.min(1, radius + (Math.random() * 2 - 1) * SpatialPanner.DRIFT_DISTANCE));
+            this.moveTo({ x: Math.cos(angle) * distance, y: Math.sin(angle) * distance }, SpatialPanner.DRIFT_PERIOD);
+        };
+
+        step();
+        this.driftTimer = setInterval(step, SpatialPanner.DRIFT_PERIOD * 1000);
+    }
+
+    /**
+     * 停止漂移
+     * @private
+     */
+    stopDrift() {
+        if (this.driftTimer) {
+            clearInterval(this.driftTimer);
+            this.driftTimer = null;
+        }
+    }
+
+    /**
+     * 停止漂移并断开节点
+     */
+    disconnect() {
+        this.stopDrift();
+        this.panner.disconnect();
+    }
+}
+
+SpatialPanner.MAX_DISTANCE = 4; // 单位圆边缘对应的距离，反比模型下约-12dB
+SpatialPanner.DRIFT_PERIOD = 6; // 漂移周期（秒）
+SpatialPanner.DRIFT_ANGLE = Math.PI / 6; // 漂移的最大方位偏移（±30°）
+SpatialPanner.DRIFT_DISTANCE = 0.1; // 漂移的最大距离偏移
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.SpatialPanner = SpatialPanner;
+}
@@ -6,7 +6,8 @@ class TimerManager {
     constructor() {
         this.activeTimer = null;
         this.startTime = null;
-        this.duration = 0; // 持续时间（毫秒）
+        this.duration = 0; // 持续时间（毫秒），暂停时为剩余时间
+        this.totalDuration = 0; // 总时长（毫秒），包含延长的时间，不受暂停影响
         this.callback = null;
         this.updateInterval = null;
         this.onUpdate = null; // 更新回调函数
@@ -37,6 +38,7 @@ class TimerManager {
 
             // 设置定时器参数
             this.duration = minutes * 60 * 1000; // 转换为毫秒
+            this.totalDuration = this.duration;
             this.startTime = Date.now();
             this.callback = callback;
             this.onUpdate = onUpdate;
@@ -54,6 +56,7 @@ class TimerManager {
             }
 
             console.log(`定时器已启动: ${minutes}分钟`);
+            this.updateStatus();
             return true;
 
         } catch (error) {
@@ -68,7 +71,7 @@ class TimerManager {
      */
     cancel() {
         try {
-            let wasCancelled = false;
+            let wasCancelled = this.isPaused();
 
             // 清除主定时器
             if (this.activeTimer) {
@@ -86,6 +89,7 @@ class TimerManager {
             // 重置状态
             this.startTime = null;
             this.duration = 0;
+            this.totalDuration = 0;
             this.callback = null;
             this.onUpdate = null;
 
@@ -109,11 +113,23 @@ class TimerManager {
         return this.activeTimer !== null;
     }
 
+    /**
+     * 检查定时器是否处于暂停状态
+     * @returns {boolean} 定时器是否已暂停
+     */
+    isPaused() {
+        return this.activeTimer === null && this.startTime === null && this.duration > 0 && !!this.callback;
+    }
+
     /**
      * 获取剩余时间（毫秒）
-     * @returns {number} 剩余时间，如果定时器未活动返回0
+     * @returns {number} 剩余时间，暂停时返回暂停时的剩余时间，未活动返回0
      */
     getRemainingTime() {
+        if (this.isPaused()) {
+            return this.duration;
+        }
+
         if (!this.isActive() || !this.startTime) {
             return 0;
         }
@@ -139,22 +155,22 @@ class TimerManager {
 
     /**
      * 获取已经过的时间（毫秒）
-     * @returns {number} 已过时间，如果定时器未活动返回0
+     * @returns {number} 已过时间（不含暂停时间），如果定时器未活动返回0
      */
     getElapsedTime() {
-        if (!this.isActive() || !this.startTime) {
+        if (!this.isActive() && !this.isPaused()) {
             return 0;
         }
 
-        return Date.now() - this.startTime;
+        return Math.max(0, this.totalDuration - this.getRemainingTime());
     }
 
     /**
      * 获取总时长（毫秒）
-     * @returns {number} 总时长
+     * @returns {number} 总时长，包含延长的时间
      */
     getTotalDuration() {
-        return this.duration;
+        return this.totalDuration;
     }
 
     /**
@@ -162,12 +178,12 @@ class TimerManager {
      * @returns {number} 进度百分比 (0-100)
      */
     getProgress() {
-        if (!this.isActive() || this.duration === 0) {
+        if ((!this.isActive() && !this.isPaused()) || this.totalDuration === 0) {
             return 0;
         }
 
         const elapsed = this.getElapsedTime();
-        return Math.min(100, (elapsed / this.duration) * 100);
+        return Math.min(100, (elapsed / this.totalDuration) * 100);
     }
 
     /**
@@ -177,6 +193,7 @@ class TimerManager {
     getStatus() {
         return {
             isActive: this.isActive(),
+            isPaused: this.isPaused(),
             remainingTime: this.getRemainingTime(),
             remainingTimeFormatted: this.getRemainingTimeFormatted(),
             elapsedTime: this.getElapsedTime(),
@@ -225,6 +242,7 @@ class TimerManager {
             this.updateInterval = null;
 
             console.log('定时器已暂停');
+            this.updateStatus();
             return true;
 
         } catch (error) {
@@ -258,6 +276,7 @@ class TimerManager {
             }
 
             console.log('定时器已恢复');
+            this.updateStatus();
             return true;
 
         } catch (error) {
@@ -272,13 +291,21 @@ class TimerManager {
      * @returns {boolean} 是否成功延长
      */
     extend(additionalMinutes) {
-        if (!this.isActive() || additionalMinutes <= 0) {
+        if ((!this.isActive() && !this.isPaused()) || additionalMinutes <= 0) {
             return false;
         }
 
         try {
             const additionalMs = additionalMinutes * 60 * 1000;
             this.duration += additionalMs;
+            this.totalDuration += additionalMs;
+
+            // 暂停中只增加剩余时间，恢复时生效
+            if (this.isPaused()) {
+                console.log(`定时器已延长 ${additionalMinutes} 分钟`);
+                this.updateStatus();
+                return true;
+            }
 
             // 重新设置定时器
             clearTimeout(this.activeTimer);
@@ -289,6 +316,7 @@ class TimerManager {
             }, remaining);
 
             console.log(`定时器已延长 ${additionalMinutes} 分钟`);
+            this.updateStatus();
             return true;
 
         } catch (error) {
@@ -324,7 +352,7 @@ class TimerManager {
      * @private
      */
     updateStatus() {
-        if (this.onUpdate && this.isActive()) {
+        if (this.onUpdate && (this.isActive() || this.isPaused())) {
             try {
                 this.onUpdate(this.getStatus());
             } catch (error) {
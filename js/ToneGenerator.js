@@ -0,0 +1,225 @@
+/**
+ * ToneGenerator - 双耳节拍与等时脉冲音调音源
+ * 双耳节拍：左右声道分别播放 载波 ∓ 节拍/2 的正弦波，需佩戴耳机
+ * 等时脉冲：单一载波按节拍频率做柔和的开关调制，外放也有效
+ * 与NoiseGenerator接口一致（prepare/start/stop/isRunning），经音效通道接入共享音频图
+ */
+class ToneGenerator {
+    /**
+     * @param {Object} settings - { mode, carrier, beat }
+     */
+    constructor(settings = {}) {
+        this.settings = ToneGenerator.normalizeSettings(settings);
+        this.context = null;
+        this.destination = null;
+        this.nodes = null; // 当前音频节点 { oscillators, output, ... }
+        this.outputLevel = 0.25; // 纯音比噪声刺耳，降低输出电平
+        this.pulseDepth = 0.45; // 等时脉冲调制深度（保持在0.5以内，避免增益反相）
+        this.rampTime = 0.05; // 频率变化的平滑时间常数（秒）
+    }
+
+    /**
+     * 规范化音调设置，超出范围时截断，缺失时使用alpha预设
+     * @param {Object} settings - { mode, carrier, beat }
+     * @returns {Object} { mode, carrier, beat }
+     */
+    static normalizeSettings(settings = {}) {
+        const fallback = ToneGenerator.PRESETS.alpha;
+        const clamp = (value, [min, max], defaultValue) => {
+            const number = Number(value);
+            return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : defaultValue;
+        };
+
+        return {
+            mode: ToneGenerator.MODES.includes(settings.mode) ? settings.mode : 'binaural',
+            carrier: clamp(settings.carrier, ToneGenerator.CARRIER_RANGE, fallback.carrier),
+            beat: clamp(settings.beat, ToneGenerator.BEAT_RANGE, fallback.beat)
+        };
+    }
+
+    /**
+     * 查找与设置匹配的预设
+     * @param {Object} settings - { carrier, beat }
+     * @returns {string|null} 预设名称，自定义时返回null
+     */
+    static findPreset(settings) {
+        const match = Object.entries(ToneGenerator.PRESETS).find(([, preset]) =>
+            preset.carrier === settings.carrier && preset.beat === settings.beat);
+        return match ? match[0] : null;
+    }
+
+    /**
+     * 准备音源
+     * @param {BaseAudioContext} context - 音频上下文
+     */
+    async prepare(context) {
+        this.context = context;
+    }
+
+    /**
+     * 是否正在发声
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.nodes !== null;
+    }
+
+    /**
+     * 当前模式是否需要耳机
+     * @returns {boolean}
+     */
+    requiresHeadphones() {
+        return this.settings.mode === 'binaural';
+    }
+
+    /**
+     * 获取当前设置
+     * @returns {Object} { mode, carrier, beat }
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * 开始发声
+     * @param {AudioNode} destination - 输出节点（音效通道入口）
+     */
+    start(destination) {
+        if (!this.context) {
+            throw new Error('ToneGenerator尚未准备');
+        }
+
+        this.stop();
+        this.destination = destination;
+
+        const output = this.context.createGain();
+        output.gain.value = this.outputLevel;
+        output.connect(destination);
+
+        this.nodes = this.settings.mode === 'binaural'
+            ? this.createBinauralNodes(output)
+            : this.createIsochronicNodes(output);
+        this.nodes.output = output;
+        this.nodes.oscillators.forEach(oscillator => oscillator.start());
+
+        console.log(`音调发生器开始: ${this.settings.mode} ${this.settings.carrier}Hz / ${this.settings.beat}Hz`);
+    }
+
+    /**
+     * 停止发声并释放节点
+     */
+    stop() {
+        if (!this.nodes) {
+            return;
+        }
+
+        this.nodes.oscillators.forEach((oscillator) => {
+            try {
+                oscillator.stop();
+                oscillator.disconnect();
+            } catch (error) {
+                console.warn('停止振荡器失败:', error);
+            }
+        });
+        this.nodes.output.disconnect();
+        this.nodes = null;
+    }
+
+    /**
+     * 创建双耳节拍节点：左右声道频率相差节拍频率
+     * @private
+     * @param {GainNode} output - 输出节点
+     * @returns {Object} 节点集合
+     */
+    createBinauralNodes(output) {
+        const { carrier, beat } = this.settings;
+        const merger = this.context.createChannelMerger(2);
+        const left = this.context.createOscillator();
+        const right = this.context.createOscillator();
+
+        left.frequency.value = carrier - beat / 2;
+        right.frequency.value = carrier + beat / 2;
+        left.connect(merger, 0, 0);
+        right.connect(merger, 0, 1);
+        merger.connect(output);
+
+        return { oscillators: [left, right], left, right };
+    }
+
+    /**
+     * 创建等时脉冲节点：低频振荡器调制载波的增益
+     * 调制波形为只含前三个奇次谐波的方波，边沿柔和，不会产生咔嗒声
+     * @private
+     * @param {GainNode} output - 输出节点
+     * @returns {Object} 节点集合
+     */
+    createIsochronicNodes(output) {
+        const { carrier, beat } = this.settings;
+        const tone = this.context.createOscillator();
+        const pulse = this.context.createGain();
+        const lfo = this.context.createOscillator();
+        const depth = this.context.createGain();
+
+        tone.frequency.value = carrier;
+        pulse.gain.value = 0.5;
+        tone.connect(pulse);
+        pulse.connect(output);
+
+        const real = new Float32Array([0, 0, 0, 0, 0, 0]);
+        const imag = new Float32Array([0, 1, 0, 1 / 3, 0, 1 / 5]);
+        lfo.setPeriodicWave(this.context.createPeriodicWave(real, imag));
+        lfo.frequency.value = beat;
+        depth.gain.value = this.pulseDepth;
+        lfo.connect(depth);
+        depth.connect(pulse.gain);
+
+        return { oscillators: [tone, lfo], tone, lfo };
+    }
+
+    /**
+     * 更新设置，播放中平滑生效；切换模式时重建节点
+     * @param {Object} settings - { mode, carrier, beat }，可只传部分字段
+     */
+    setSettings(settings = {}) {
+        const previousMode = this.settings.mode;
+        this.settings = ToneGenerator.normalizeSettings({ ...this.settings, ...settings });
+
+        if (!this.nodes) {
+            return;
+        }
+
+        if (this.settings.mode !== previousMode) {
+            this.start(this.destination);
+            return;
+        }
+
+        const { carrier, beat } = this.settings;
+        const now = this.context.currentTime;
+        const glide = (param, value) => param.setTargetAtTime(value, now, this.rampTime);
+
+        if (this.settings.mode === 'binaural') {
+            glide(this.nodes.left.frequency, carrier - beat / 2);
+            glide(this.nodes.right.frequency, carrier + beat / 2);
+        } else {
+            glide(this.nodes.tone.frequency, carrier);
+            glide(this.nodes.lfo.frequency, beat);
+        }
+    }
+}
+
+ToneGenerator.MODES = ['binaural', 'isochronic'];
+ToneGenerator.CARRIER_RANGE = [60, 600]; // 载波频率范围（Hz）
+ToneGenerator.BEAT_RANGE = [0.5, 40]; // 节拍频率范围（Hz）
+
+// 脑波频段预设
+ToneGenerator.PRESETS = {
+    delta: { name: 'δ 深度睡眠', carrier: 150, beat: 2 },
+    theta: { name: 'θ 放松冥想', carrier: 200, beat: 6 },
+    alpha: { name: 'α 平静专注', carrier: 200, beat: 10 },
+    beta: { name: 'β 集中注意', carrier: 250, beat: 18 }
+};
+
+// 暴露到全局作用域
+if (typeof window !== 'undefined') {
+    window.ToneGenerator = ToneGenerator;
+}
@@ -5,7 +5,14 @@
 
 // 全局变量
 let audioManager;
+let audioGraph;
 let timerManager;
+let alarmScheduler;
+let pomodoroTimer;
+let eventSampleLoader;
+let presetManager;
+let routineManager;
+let mixLinkCodec;
 let skeletonManager;
 let loadingOrchestrator;
 let errorRecoveryManager;
@@ -37,12 +44,17 @@ window.initBackgroundSlideshow = initBackgroundSlideshow;
 window.warmupFrequentlyUsedSounds = warmupFrequentlyUsedSounds;
 window.loadAudioFiles = loadAudioFiles;
 
+// 混音的程序化接口，供外部脚本读取当前混音和渐变到其他混音
+window.getCurrentMix = getCurrentMix;
+window.morphToMix = morphToMix;
+
 // 音效配置 - 使用HLS流媒体
 const soundConfig = {
   waves: {
     path: "audio.hls/waves/playlist.m3u8",
     name: "海浪声",
     icon: "🌊",
+    modulation: { shape: "lfo", period: 10, depth: 35 }, // 开启起伏时的建议值
   },
   fire: {
     path: "audio.hls/fire/playlist.m3u8",
@@ -60,7 +72,9 @@ const soundConfig = {
     icon: "☕",
   },
   "white-noise": {
-    path: "audio.hls/white-noise/playlist.m3u8",
+    path: "audio.hls/white-noise/playlist.m3u8", // 不支持Web Audio时回退到录音
+    generator: "white",
+    loudness: -10.7,
     name: "白噪音",
     icon: "🎧",
   },
@@ -68,6 +82,8 @@ const soundConfig = {
     path: "audio.hls/wind/playlist.m3u8",
     name: "风声",
     icon: "💨",
+    spatialDrift: true, // 首次在声场中放置时默认缓慢漂移
+    modulation: { shape: "random", period: 8, depth: 45 },
   },
   rain: {
     path: "audio.hls/rain/playlist.m3u8",
@@ -79,6 +95,93 @@ const soundConfig = {
     name: "雨声2",
     icon: "🌦️",
   },
+  // 程序化噪声：实时合成，无需音频文件
+  // loudness为合成输出的综合响度（LUFS），由 node measure_loudness.js --generators 测得；录音的响度来自index.json
+  "noise-pink": {
+    generator: "pink",
+    loudness: -14.4,
+    name: "粉红噪音",
+    icon: "🌸",
+    theme: "white-noise",
+  },
+  "noise-brown": {
+    generator: "brown",
+    loudness: -15.4,
+    name: "棕色噪音",
+    icon: "🟤",
+    theme: "white-noise",
+  },
+  "noise-blue": {
+    generator: "blue",
+    loudness: -10.3,
+    name: "蓝色噪音",
+    icon: "🔷",
+    theme: "white-noise",
+  },
+  "noise-violet": {
+    generator: "violet",
+    loudness: -10.3,
+    name: "紫色噪音",
+    icon: "🟣",
+    theme: "white-noise",
+  },
+  // 双耳节拍/等时脉冲音调，参数在设置面板中调整
+  tones: {
+    generator: "tone",
+    loudness: -13, // 默认α预设的双耳节拍
+    name: "脑波音调",
+    icon: "🧠",
+  },
+};
+
+// 随机单次事件：只在父音效播放时出现，叠加在循环之上
+// 提供samples（音频文件路径数组）时通过LazyAudioManager加载，否则使用synth合成（加载失败时同样回退到synth）
+const eventConfig = {
+  gusts: {
+    name: "阵风",
+    icon: "🌬️",
+    parents: ["wind"],
+    // 取自风声录音中风势最强的几段，两端淡入淡出
+    samples: [
+      "audio.hls/events/wind-gust-1.mp3",
+      "audio.hls/events/wind-gust-2.mp3",
+      "audio.hls/events/wind-gust-3.mp3",
+    ],
+    density: 0.6,
+    volumeMin: 0.3,
+    volumeMax: 0.7,
+    spread: 0.8,
+  },
+  thunder: {
+    name: "雷声",
+    icon: "⛈️",
+    parents: ["rain", "rain2"],
+    synth: "thunder",
+    density: 0.5, // 平均每分钟次数
+    volumeMin: 0.4,
+    volumeMax: 0.9,
+    spread: 0.5, // 声像随机范围 (0-1)
+  },
+  birds: {
+    name: "鸟鸣",
+    icon: "🐦",
+    parents: ["forest"],
+    synth: "birds",
+    density: 3,
+    volumeMin: 0.15,
+    volumeMax: 0.5,
+    spread: 0.9,
+  },
+  clinks: {
+    name: "杯碟声",
+    icon: "🍵",
+    parents: ["cafe"],
+    synth: "clink",
+    density: 2,
+    volumeMin: 0.1,
+    volumeMax: 0.35,
+    spread: 0.8,
+  },
 };
 
 // 应用状态
@@ -86,11 +189,107 @@ const defaultState = {
   isPlaying: false,
   playingSounds: new Set(), // 改为Set来支持多音效播放
   volume: 70,
+  soundVolumes: {}, // 各音效独立音量（0-100），与主音量相乘
+  resumeSession: false, // 打开页面时恢复上次播放
+  gaplessLoop: true, // HLS音效无缝循环
+  autoGain: true, // 按同时播放的音效数量自动降低增益，避免叠加后过响
+  fadeIn: 0, // 播放时淡入时长（秒）
+  fadeOut: 0, // 停止时淡出时长（秒）
+  fadeCurve: "linear", // 淡变曲线：linear / equal-power
+  sleepFadeMinutes: 0, // 定时器结束前逐渐降低主音量的分钟数，0为关闭
+  morphSeconds: 0, // 载入预设时交叉淡化到新混音的时长（秒），0为立即切换
+  pauseTimerWithPlayback: false, // 暂停播放时同时暂停定时器
+  alarmTime: "07:00", // 唤醒闹钟时间
+  alarmWindow: 10, // 唤醒渐强时长（分钟）
+  alarmVolume: 60, // 唤醒目标音量（0-100）
+  alarmSounds: ["forest", "waves"], // 唤醒时渐强的音效
+  // 番茄钟：各阶段时长（分钟）、每轮专注次数，以及专注/休息时的混音 { label, mix }，null为不切换声音
+  pomodoro: { ...PomodoroTimer.DEFAULTS, workMix: null, breakMix: null },
+  noiseTilt: 0, // 程序化噪声的频谱倾斜（dB），正值更明亮
+  toneSettings: { mode: "binaural", carrier: 200, beat: 10 }, // 脑波音调：模式、载波频率、节拍频率（Hz）
+  eventSettings: {}, // 随机事件设置 { id: { density, volumeMin, volumeMax, spread } }，未设置时使用eventConfig
+  deRepetition: {}, // 各音效防重复选项 { name: { randomStart, rateDrift, shuffleSegments } }
+  soundEq: {}, // 各音效均衡器增益 { name: [dB, ...] }，见Equalizer.BANDS，未设置时为平直
+  muffle: 0, // 主输出闷声量（0-100），越大低通截止频率越低
+  lowCut: 20, // 主输出低切频率（Hz）
+  soundPositions: {}, // 各音效在声场中的位置 { name: { x, y, drift } }，未设置时居中不定位
+  reverbPreset: "none", // 混响环境，见ReverbEnvironment.PRESETS
+  soundReverb: {}, // 各音效混响湿声比例 { name: 0-100 }，未设置时为DEFAULT_REVERB_WET
+  soundModulation: {}, // 各音效起伏调制 { name: { shape, period, depth, filter } }，未设置时不调制
   timerActive: false,
   timerDuration: 0,
   settingsPanelVisible: false,
 };
 
+// 混音器中音效的默认独立音量
+const DEFAULT_SOUND_VOLUME = 100;
+
+// 音效的默认混响湿声比例（环境为"无"时湿声原样通过，不影响音色）
+const DEFAULT_REVERB_WET = 30;
+
+// 淡入淡出的最大时长（秒）
+const MAX_FADE_SECONDS = 60;
+
+// 噪声频谱倾斜的调节范围（±dB）
+const MAX_NOISE_TILT = 12;
+
+// 限幅指示器的刷新间隔（毫秒）和满格对应的衰减量（dB）
+const LIMITER_METER_INTERVAL = 100;
+const LIMITER_METER_RANGE = 12;
+
+// 音效清单（各录音的综合响度和宏音效定义），以及响度归一化的目标响度（LUFS）
+const SOUND_MANIFEST_URL = "audio.hls/index.json";
+
+// 场景定义（随时间演变的混音），与音效清单放在一起
+const SCENES_URL = "audio.hls/scenes.json";
+const TARGET_LOUDNESS = -20;
+
+// 通过分享链接打开时待播放的混音
+let pendingSharedMix = null;
+
+// 录音音效的综合响度 { name: LUFS }，从音效清单读取
+let loudnessCatalog = {};
+
+// 可用场景 { id: SceneTimeline }，以及正在进行的场景 { id, timeline, offset, volumes }
+// offset为场景开始时定时器的已过时间（毫秒），场景进度 = 已过时间 - offset
+// volumes为场景当前给各音效的音量，只作用于音频和显示，不写入用户保存的混音器音量
+let scenes = {};
+let activeScene = null;
+let sceneUpdating = false;
+
+// 睡前流程：编辑中的步骤，以及正在进行的流程 { routine, offset, stepIndex }
+// offset与场景相同，为流程开始时定时器的已过时间（毫秒）；stepIndex为已应用的步骤，-1表示尚未开始
+let routineDraft = [];
+let activeRoutine = null;
+let routineUpdating = false;
+
+// 睡前流程步骤之间交叉淡化的时长（秒）
+const ROUTINE_CROSSFADE_SECONDS = 10;
+
+// 番茄钟切换阶段时交叉淡化到新混音的时长（秒），以及各阶段的显示名称
+const POMODORO_CROSSFADE_SECONDS = 5;
+const POMODORO_PHASE_NAMES = { work: "专注", shortBreak: "短休息", longBreak: "长休息" };
+
+// 限幅指示器刷新定时器
+let limiterMeterInterval = null;
+
+// 声场中选中的音效和正在拖动的音效
+let selectedSpatialSound = null;
+let draggingSpatialSound = null;
+
+// 声场中用方向键移动音效图标的步长（单位圆半径的比例）
+const SPATIAL_KEY_STEP = 0.05;
+
+// 待恢复的上次会话 { sounds: { name: volume }, timerRemaining }
+let pendingSessionResume = null;
+
+// 唤醒渐强开始前的快照 { volume, sounds: { name: volume }, started }，渐强途中取消闹钟时据此还原
+// sounds为当时正在播放的音效和唤醒音效的混音器音量，started为闹钟启动的唤醒音效
+let wakeSnapshot = null;
+
+// 上次页面中已设定的闹钟 { targetTime, wake }，恢复设置时重新设定
+let pendingAlarm = null;
+
 // DOM元素引用
 const elements = {};
 
@@ -130,9 +329,16 @@ async function initApp() {
       console.error("骨架屏初始化失败:", error);
     }
 
+    // 读取音效清单和场景：宏音效需要在恢复设置和解析分享链接之前加入音效配置
+    await Promise.all([loadSoundManifest(), loadScenes()]);
+
     // 初始化状态
     initAppState();
 
+    // 解析分享链接（#mix=...），在恢复用户设置时提示播放
+    mixLinkCodec = new MixLinkCodec(Object.keys(soundConfig));
+    pendingSharedMix = mixLinkCodec.decode(window.location.hash);
+
     // 使用加载编排器管理加载流程
     await loadingOrchestrator.startLoading({
       onProgressUpdate: updateLoadingProgress,
@@ -165,7 +371,19 @@ async function initApp() {
  * 初始化应用状态
  */
 function initAppState() {
-  appState = { ...defaultState };
+  appState = {
+    ...defaultState,
+    playingSounds: new Set(),
+    soundVolumes: {},
+    toneSettings: { ...defaultState.toneSettings },
+    eventSettings: {},
+    deRepetition: {},
+    soundEq: {},
+    soundPositions: {},
+    soundReverb: {},
+    soundModulation: {},
+    macroIntensity: {},
+  };
 
   // 从localStorage恢复设置
   const savedSettings = localStorage.getItem("whiteNoiseSettings");
@@ -176,6 +394,138 @@ function initAppState() {
       if (settings.playingSounds && Array.isArray(settings.playingSounds)) {
         appState.playingSounds = new Set(settings.playingSounds);
       }
+      if (settings.soundVolumes && typeof settings.soundVolumes === "object") {
+        Object.entries(settings.soundVolumes).forEach(([name, volume]) => {
+          if (soundConfig[name] && Number.isFinite(volume)) {
+            appState.soundVolumes[name] = Math.max(0, Math.min(100, volume));
+          }
+        });
+      }
+      appState.resumeSession = settings.resumeSession === true;
+      appState.gaplessLoop = settings.gaplessLoop !== false;
+      appState.autoGain = settings.autoGain !== false;
+      if (Number.isFinite(settings.fadeIn)) {
+        appState.fadeIn = Math.max(0, Math.min(MAX_FADE_SECONDS, settings.fadeIn));
+      }
+      if (Number.isFinite(settings.fadeOut)) {
+        appState.fadeOut = Math.max(0, Math.min(MAX_FADE_SECONDS, settings.fadeOut));
+      }
+      if (settings.fadeCurve === "linear" || settings.fadeCurve === "equal-power") {
+        appState.fadeCurve = settings.fadeCurve;
+      }
+      if (Number.isFinite(settings.sleepFadeMinutes)) {
+        appState.sleepFadeMinutes = Math.max(0, settings.sleepFadeMinutes);
+      }
+      if (Number.isFinite(settings.morphSeconds)) {
+        appState.morphSeconds = Math.max(0, Math.min(MAX_FADE_SECONDS, settings.morphSeconds));
+      }
+      appState.pauseTimerWithPlayback = settings.pauseTimerWithPlayback === true;
+      if (AlarmScheduler.getNextOccurrence(settings.alarmTime)) {
+        appState.alarmTime = settings.alarmTime;
+      }
+      if (Number.isFinite(settings.alarmWindow) && settings.alarmWindow > 0) {
+        appState.alarmWindow = settings.alarmWindow;
+      }
+      if (Number.isFinite(settings.alarmVolume)) {
+        appState.alarmVolume = Math.max(0, Math.min(100, settings.alarmVolume));
+      }
+      if (Array.isArray(settings.alarmSounds)) {
+        appState.alarmSounds = settings.alarmSounds.filter((name) => soundConfig[name]);
+      }
+      if (settings.alarmSchedule && Number.isFinite(settings.alarmSchedule.targetTime)) {
+        pendingAlarm = settings.alarmSchedule;
+      }
+      if (settings.pomodoro && typeof settings.pomodoro === "object") {
+        appState.pomodoro = {
+          ...PomodoroTimer.normalizeSettings(settings.pomodoro),
+          workMix: normalizePomodoroMix(settings.pomodoro.workMix),
+          breakMix: normalizePomodoroMix(settings.pomodoro.breakMix),
+        };
+      }
+      if (Number.isFinite(settings.noiseTilt)) {
+        appState.noiseTilt = Math.max(-MAX_NOISE_TILT, Math.min(MAX_NOISE_TILT, settings.noiseTilt));
+      }
+      if (settings.toneSettings && typeof settings.toneSettings === "object") {
+        appState.toneSettings = ToneGenerator.normalizeSettings(settings.toneSettings);
+      }
+      if (settings.deRepetition && typeof settings.deRepetition === "object") {
+        Object.entries(settings.deRepetition).forEach(([name, options]) => {
+          if (soundConfig[name] && options && typeof options === "object") {
+            appState.deRepetition[name] = {
+              randomStart: options.randomStart === true,
+              rateDrift: options.rateDrift === true,
+              shuffleSegments: options.shuffleSegments === true,
+            };
+          }
+        });
+      }
+      if (settings.soundEq && typeof settings.soundEq === "object") {
+        Object.entries(settings.soundEq).forEach(([name, gains]) => {
+          if (soundConfig[name] && !Equalizer.isFlat(gains)) {
+            appState.soundEq[name] = Equalizer.normalizeGains(gains);
+          }
+        });
+      }
+      if (settings.soundPositions && typeof settings.soundPositions === "object") {
+        Object.entries(settings.soundPositions).forEach(([name, position]) => {
+          const normalized = SpatialPanner.normalizePosition(position);
+          if (soundConfig[name] && normalized) {
+            appState.soundPositions[name] = normalized;
+          }
+        });
+      }
+      if (settings.soundModulation && typeof settings.soundModulation === "object") {
+        Object.entries(settings.soundModulation).forEach(([name, modulation]) => {
+          const normalized = Modulator.normalizeSettings(modulation);
+          if (soundConfig[name] && normalized) {
+            appState.soundModulation[name] = normalized;
+          }
+        });
+      }
+      if (typeof settings.reverbPreset === "string") {
+        appState.reverbPreset = normalizeReverbPreset(settings.reverbPreset);
+      }
+      if (settings.macroIntensity && typeof settings.macroIntensity === "object") {
+        Object.entries(settings.macroIntensity).forEach(([name, intensity]) => {
+          if (isMacroSound(name) && Number.isFinite(intensity)) {
+            appState.macroIntensity[name] = MacroSound.clampIntensity(intensity);
+          }
+        });
+      }
+      if (settings.soundReverb && typeof settings.soundReverb === "object") {
+        Object.entries(settings.soundReverb).forEach(([name, wet]) => {
+          if (soundConfig[name] && Number.isFinite(wet)) {
+            appState.soundReverb[name] = Math.max(0, Math.min(100, Math.round(wet)));
+          }
+        });
+      }
+      if (Number.isFinite(settings.muffle)) {
+        appState.muffle = Math.max(0, Math.min(100, settings.muffle));
+      }
+      if (Number.isFinite(settings.lowCut)) {
+        appState.lowCut = normalizeLowCut(settings.lowCut);
+      }
+      if (settings.eventSettings && typeof settings.eventSettings === "object") {
+        Object.entries(settings.eventSettings).forEach(([id, eventSettings]) => {
+          if (eventConfig[id]) {
+            appState.eventSettings[id] = EventLayer.normalizeSettings(eventSettings);
+          }
+        });
+      }
+
+      // 记录上次会话，等待首次用户交互后恢复
+      if (appState.resumeSession && appState.playingSounds.size > 0) {
+        const sounds = {};
+        appState.playingSounds.forEach((name) => {
+          if (soundConfig[name]) {
+            sounds[name] = getSoundVolume(name);
+          }
+        });
+        pendingSessionResume = {
+          sounds,
+          timerRemaining: Math.max(0, Number(settings.timerRemaining) || 0),
+        };
+      }
     } catch (error) {
       console.warn("恢复用户设置失败:", error);
     }
@@ -188,8 +538,113 @@ function initAppState() {
 function initDOMElements() {
   elements.playPauseBtn = document.getElementById("play-pause-btn");
   elements.soundSelector = document.getElementById("sound-selector");
+  renderMacroButtons();
   elements.soundButtons = document.querySelectorAll(".sound-btn");
+  elements.macroSliders = document.querySelectorAll(".macro-intensity");
   elements.settingsBtn = document.getElementById("settings-btn");
+  elements.settingsPanel = document.getElementById("settings-panel");
+  elements.closeSettings = document.getElementById("close-settings");
+  elements.mixerList = document.getElementById("mixer-list");
+  elements.mixerEmpty = document.getElementById("mixer-empty");
+  elements.room = document.getElementById("room");
+  elements.roomEmpty = document.getElementById("room-empty");
+  elements.spatialSelected = document.getElementById("spatial-selected");
+  elements.spatialDrift = document.getElementById("spatial-drift");
+  elements.spatialReset = document.getElementById("spatial-reset");
+  elements.spatialUnavailable = document.getElementById("spatial-unavailable");
+  elements.reverbPreset = document.getElementById("reverb-preset");
+  elements.reverbSound = document.getElementById("reverb-sound");
+  elements.reverbWet = document.getElementById("reverb-wet");
+  elements.reverbWetValue = document.getElementById("reverb-wet-value");
+  elements.reverbUnavailable = document.getElementById("reverb-unavailable");
+  elements.modSound = document.getElementById("mod-sound");
+  elements.modShape = document.getElementById("mod-shape");
+  elements.modPeriod = document.getElementById("mod-period");
+  elements.modPeriodValue = document.getElementById("mod-period-value");
+  elements.modDepth = document.getElementById("mod-depth");
+  elements.modDepthValue = document.getElementById("mod-depth-value");
+  elements.modFilter = document.getElementById("mod-filter");
+  elements.modFilterUnavailable = document.getElementById("mod-filter-unavailable");
+  elements.presetName = document.getElementById("preset-name");
+  elements.savePreset = document.getElementById("save-preset");
+  elements.presetList = document.getElementById("preset-list");
+  elements.presetEmpty = document.getElementById("preset-empty");
+  elements.presetMorph = document.getElementById("preset-morph");
+  elements.presetMorphValue = document.getElementById("preset-morph-value");
+  elements.routineSteps = document.getElementById("routine-steps");
+  elements.addRoutineStep = document.getElementById("add-routine-step");
+  elements.routineName = document.getElementById("routine-name");
+  elements.saveRoutine = document.getElementById("save-routine");
+  elements.routineList = document.getElementById("routine-list");
+  elements.routineEmpty = document.getElementById("routine-empty");
+  elements.copyShareLink = document.getElementById("copy-share-link");
+  elements.resumeSessionToggle = document.getElementById("resume-session-toggle");
+  elements.gaplessLoopToggle = document.getElementById("gapless-loop-toggle");
+  elements.autoGainToggle = document.getElementById("auto-gain-toggle");
+  elements.limiterMeter = document.getElementById("limiter-meter");
+  elements.limiterMeterFill = document.getElementById("limiter-meter-fill");
+  elements.fadeInDuration = document.getElementById("fade-in-duration");
+  elements.fadeInValue = document.getElementById("fade-in-value");
+  elements.fadeOutDuration = document.getElementById("fade-out-duration");
+  elements.fadeOutValue = document.getElementById("fade-out-value");
+  elements.fadeCurve = document.getElementById("fade-curve");
+  elements.sleepFadeMinutes = document.getElementById("sleep-fade-minutes");
+  elements.pauseTimerWithPlaybackToggle = document.getElementById("pause-timer-with-playback");
+  elements.alarmTime = document.getElementById("alarm-time");
+  elements.alarmWindow = document.getElementById("alarm-window");
+  elements.alarmVolume = document.getElementById("alarm-volume");
+  elements.alarmVolumeValue = document.getElementById("alarm-volume-value");
+  elements.alarmSounds = document.getElementById("alarm-sounds");
+  elements.alarmToggle = document.getElementById("alarm-toggle");
+  elements.alarmStatus = document.getElementById("alarm-status");
+  elements.sceneSelect = document.getElementById("scene-select");
+  elements.sceneToggle = document.getElementById("scene-toggle");
+  elements.sceneStatus = document.getElementById("scene-status");
+  elements.pomodoroWork = document.getElementById("pomodoro-work");
+  elements.pomodoroShortBreak = document.getElementById("pomodoro-short-break");
+  elements.pomodoroLongBreak = document.getElementById("pomodoro-long-break");
+  elements.pomodoroCycles = document.getElementById("pomodoro-cycles");
+  elements.pomodoroWorkMix = document.getElementById("pomodoro-work-mix");
+  elements.pomodoroBreakMix = document.getElementById("pomodoro-break-mix");
+  elements.pomodoroToggle = document.getElementById("pomodoro-toggle");
+  elements.pomodoroStatus = document.getElementById("pomodoro-status");
+  elements.pomodoroHistory = document.getElementById("pomodoro-history");
+  elements.clearPomodoroHistory = document.getElementById("clear-pomodoro-history");
+  elements.noiseTilt = document.getElementById("noise-tilt");
+  elements.noiseTiltValue = document.getElementById("noise-tilt-value");
+  elements.tonePreset = document.getElementById("tone-preset");
+  elements.toneMode = document.getElementById("tone-mode");
+  elements.toneCarrier = document.getElementById("tone-carrier");
+  elements.toneCarrierValue = document.getElementById("tone-carrier-value");
+  elements.toneBeat = document.getElementById("tone-beat");
+  elements.toneBeatValue = document.getElementById("tone-beat-value");
+  elements.toneHeadphonesWarning = document.getElementById("tone-headphones-warning");
+  elements.derepSound = document.getElementById("derep-sound");
+  elements.derepRandomStart = document.getElementById("derep-random-start");
+  elements.derepRateDrift = document.getElementById("derep-rate-drift");
+  elements.derepShuffle = document.getElementById("derep-shuffle");
+  elements.derepShuffleHint = document.getElementById("derep-shuffle-hint");
+  elements.eqSound = document.getElementById("eq-sound");
+  elements.eqBands = document.querySelectorAll(".eq-band");
+  elements.eqUnavailable = document.getElementById("eq-unavailable");
+  elements.muffle = document.getElementById("muffle");
+  elements.muffleValue = document.getElementById("muffle-value");
+  elements.lowCut = document.getElementById("low-cut");
+  elements.lowCutValue = document.getElementById("low-cut-value");
+  elements.eventType = document.getElementById("event-type");
+  elements.eventDensity = document.getElementById("event-density");
+  elements.eventDensityValue = document.getElementById("event-density-value");
+  elements.eventVolumeMin = document.getElementById("event-volume-min");
+  elements.eventVolumeMinValue = document.getElementById("event-volume-min-value");
+  elements.eventVolumeMax = document.getElementById("event-volume-max");
+  elements.eventVolumeMaxValue = document.getElementById("event-volume-max-value");
+  elements.eventSpread = document.getElementById("event-spread");
+  elements.eventSpreadValue = document.getElementById("event-spread-value");
+  elements.startPrompt = document.getElementById("start-prompt");
+  elements.startPromptBtn = document.getElementById("start-prompt-btn");
+  elements.startPromptTitle = document.getElementById("start-prompt-title");
+  elements.startPromptDetail = document.getElementById("start-prompt-detail");
+  elements.dismissStartPrompt = document.getElementById("dismiss-start-prompt");
   elements.volumeSlider = document.getElementById("volume-slider");
   elements.volumeDisplay = document.getElementById("volume-display");
   elements.timerButtons = document.querySelectorAll(".timer-btn");
@@ -199,7 +654,10 @@ function initDOMElements() {
   elements.setCustomTimer = document.getElementById("set-custom-timer");
   elements.timerStatus = document.getElementById("timer-status");
   elements.timerDisplay = document.getElementById("timer-display");
+  elements.timerDetail = document.getElementById("timer-detail");
   elements.cancelTimer = document.getElementById("cancel-timer");
+  elements.pauseTimer = document.getElementById("pause-timer");
+  elements.extendTimerButtons = document.querySelectorAll(".timer-extend-btn");
   elements.errorMessage = document.getElementById("error-message");
   elements.errorText = document.getElementById("error-text");
   elements.closeError = document.getElementById("close-error");
@@ -217,8 +675,40 @@ function initDOMElements() {
  * 初始化管理器
  */
 async function initManagers() {
+  // 创建共享Web Audio音频图，所有音源经由同一个AudioContext输出
+  audioGraph = new AudioGraph();
+
   // 创建 HlsAudioManager 实例
   audioManager = new HlsAudioManager();
+  if (audioGraph.isSupported()) {
+    audioManager.setAudioGraph(audioGraph);
+
+    // 程序化音源（噪声、脑波音调）直接接入音频图
+    Object.entries(soundConfig).forEach(([name, config]) => {
+      if (config.generator) {
+        audioManager.registerGenerator(name, createSoundGenerator(config));
+      }
+    });
+
+    // 随机事件层：事件音频文件由LazyAudioManager解码为AudioBuffer
+    eventSampleLoader = new LazyAudioManager();
+    eventSampleLoader.setAudioGraph(audioGraph);
+    Object.keys(soundConfig).forEach((name) => {
+      const events = Object.keys(eventConfig)
+        .filter((id) => eventConfig[id].parents.includes(name))
+        .map((id) => ({ ...eventConfig[id], ...getEventSettings(id), id }));
+      if (events.length > 0) {
+        audioManager.setEventLayer(name, new EventLayer(name, events, eventSampleLoader));
+      }
+    });
+  }
+
+  // 宏音效由强度控制各底层音效，回退模式下同样可用
+  Object.entries(soundConfig).forEach(([name, config]) => {
+    if (config.macro) {
+      audioManager.registerMacro(name, config.macro);
+    }
+  });
   await audioManager.init();
   
   // 设置音频配置
@@ -249,6 +739,18 @@ async function initManagers() {
 
   // 初始化TimerManager
   timerManager = new TimerManager();
+
+  // 初始化唤醒闹钟调度器
+  alarmScheduler = new AlarmScheduler();
+
+  // 初始化番茄钟（回调在恢复进行中的状态后设置）
+  pomodoroTimer = new PomodoroTimer();
+
+  // 初始化混音预设管理器
+  presetManager = new PresetManager();
+
+  // 初始化睡前流程管理器
+  routineManager = new RoutineManager();
 }
 
 /**
@@ -381,10 +883,227 @@ function bindEventListeners() {
   elements.soundButtons.forEach((button) => {
     button.addEventListener("click", handleSoundButtonClick);
   });
+  elements.macroSliders.forEach((slider) => {
+    slider.addEventListener("input", handleMacroIntensityInput);
+    slider.addEventListener("change", saveUserSettings);
+  });
 
   // 音量控制
   elements.volumeSlider.addEventListener("input", handleVolumeChange);
 
+  // 设置面板
+  if (elements.settingsBtn && elements.settingsPanel) {
+    elements.settingsBtn.addEventListener("click", toggleSettingsPanel);
+    elements.settingsPanel.addEventListener("click", handleSettingsPanelClick);
+  }
+  if (elements.closeSettings) {
+    elements.closeSettings.addEventListener("click", hideSettingsPanel);
+  }
+
+  // 混音器（事件委托，行会随播放列表重新渲染）
+  if (elements.mixerList) {
+    elements.mixerList.addEventListener("input", handleMixerInput);
+  }
+
+  // 声场（事件委托，音效图标会随播放列表重新渲染）
+  if (elements.room) {
+    elements.room.addEventListener("pointerdown", handleRoomPointerDown);
+    elements.room.addEventListener("pointermove", handleRoomPointerMove);
+    elements.room.addEventListener("pointerup", handleRoomPointerUp);
+    elements.room.addEventListener("pointercancel", handleRoomPointerUp);
+    elements.room.addEventListener("keydown", handleRoomKeydown);
+  }
+  if (elements.spatialDrift) {
+    elements.spatialDrift.addEventListener("change", handleSpatialDriftToggle);
+  }
+  if (elements.spatialReset) {
+    elements.spatialReset.addEventListener("click", handleSpatialReset);
+  }
+
+  // 混响
+  if (elements.reverbPreset) {
+    elements.reverbPreset.addEventListener("change", handleReverbPresetChange);
+  }
+  if (elements.reverbSound) {
+    elements.reverbSound.addEventListener("change", updateReverbControls);
+  }
+  if (elements.reverbWet) {
+    elements.reverbWet.addEventListener("input", handleReverbWetInput);
+    elements.reverbWet.addEventListener("change", saveUserSettings);
+  }
+
+  // 起伏调制
+  if (elements.modSound) {
+    elements.modSound.addEventListener("change", updateModulationControls);
+  }
+  if (elements.modShape) {
+    elements.modShape.addEventListener("change", handleModulationShapeChange);
+  }
+  [elements.modPeriod, elements.modDepth, elements.modFilter].forEach((control) => {
+    if (control) {
+      control.addEventListener("input", handleModulationInput);
+      control.addEventListener("change", saveUserSettings);
+    }
+  });
+
+  // 混音预设
+  if (elements.savePreset && elements.presetName) {
+    elements.savePreset.addEventListener("click", handleSavePreset);
+    elements.presetName.addEventListener("keypress", (event) => {
+      if (event.key === "Enter") {
+        handleSavePreset();
+      }
+    });
+  }
+  if (elements.presetList) {
+    elements.presetList.addEventListener("click", handlePresetListClick);
+  }
+  if (elements.presetMorph) {
+    elements.presetMorph.addEventListener("input", handlePresetMorphInput);
+    elements.presetMorph.addEventListener("change", saveUserSettings);
+  }
+
+  // 睡前流程
+  if (elements.routineSteps) {
+    elements.routineSteps.addEventListener("change", handleRoutineStepChange);
+    elements.routineSteps.addEventListener("click", handleRoutineStepClick);
+  }
+  if (elements.addRoutineStep) {
+    elements.addRoutineStep.addEventListener("click", handleAddRoutineStep);
+  }
+  if (elements.saveRoutine && elements.routineName) {
+    elements.saveRoutine.addEventListener("click", handleSaveRoutine);
+    elements.routineName.addEventListener("keypress", (event) => {
+      if (event.key === "Enter") {
+        handleSaveRoutine();
+      }
+    });
+  }
+  if (elements.routineList) {
+    elements.routineList.addEventListener("click", handleRoutineListClick);
+  }
+
+  // 播放偏好
+  if (elements.resumeSessionToggle) {
+    elements.resumeSessionToggle.addEventListener("change", handleResumeSessionToggle);
+  }
+  if (elements.autoGainToggle) {
+    elements.autoGainToggle.addEventListener("change", handleAutoGainToggle);
+  }
+  if (elements.gaplessLoopToggle) {
+    elements.gaplessLoopToggle.addEventListener("change", handleGaplessLoopToggle);
+  }
+  [elements.fadeInDuration, elements.fadeOutDuration, elements.fadeCurve].forEach((control) => {
+    if (control) {
+      control.addEventListener("input", handleFadeSettingInput);
+      control.addEventListener("change", saveUserSettings);
+    }
+  });
+  if (elements.sleepFadeMinutes) {
+    elements.sleepFadeMinutes.addEventListener("change", handleSleepFadeChange);
+  }
+  if (elements.pauseTimerWithPlaybackToggle) {
+    elements.pauseTimerWithPlaybackToggle.addEventListener("change", handlePauseTimerWithPlaybackToggle);
+  }
+
+  // 唤醒闹钟
+  [elements.alarmTime, elements.alarmWindow, elements.alarmVolume, elements.alarmSounds].forEach((control) => {
+    if (control) {
+      control.addEventListener("input", handleAlarmSettingInput);
+      control.addEventListener("change", handleAlarmSettingChange);
+    }
+  });
+  if (elements.alarmToggle) {
+    elements.alarmToggle.addEventListener("click", handleAlarmToggle);
+  }
+
+  // 场景
+  if (elements.sceneToggle) {
+    elements.sceneToggle.addEventListener("click", handleSceneToggle);
+  }
+
+  // 番茄钟
+  [elements.pomodoroWork, elements.pomodoroShortBreak, elements.pomodoroLongBreak, elements.pomodoroCycles].forEach((control) => {
+    if (control) {
+      control.addEventListener("change", handlePomodoroSettingChange);
+    }
+  });
+  [elements.pomodoroWorkMix, elements.pomodoroBreakMix].forEach((control) => {
+    if (control) {
+      control.addEventListener("change", handlePomodoroMixChange);
+    }
+  });
+  if (elements.pomodoroToggle) {
+    elements.pomodoroToggle.addEventListener("click", handlePomodoroToggle);
+  }
+  if (elements.clearPomodoroHistory) {
+    elements.clearPomodoroHistory.addEventListener("click", handleClearPomodoroHistory);
+  }
+
+  // 程序化噪声
+  if (elements.noiseTilt) {
+    elements.noiseTilt.addEventListener("input", handleNoiseTiltInput);
+    elements.noiseTilt.addEventListener("change", saveUserSettings);
+  }
+
+  // 均衡
+  if (elements.eqSound) {
+    elements.eqSound.addEventListener("change", updateEqControls);
+  }
+  elements.eqBands.forEach((slider) => {
+    slider.addEventListener("input", handleEqBandInput);
+    slider.addEventListener("change", saveUserSettings);
+  });
+  [elements.muffle, elements.lowCut].forEach((control) => {
+    if (control) {
+      control.addEventListener("input", handleMasterFilterInput);
+      control.addEventListener("change", saveUserSettings);
+    }
+  });
+
+  // 防重复
+  if (elements.derepSound) {
+    elements.derepSound.addEventListener("change", updateDeRepetitionControls);
+  }
+  [elements.derepRandomStart, elements.derepRateDrift, elements.derepShuffle].forEach((control) => {
+    if (control) {
+      control.addEventListener("change", handleDeRepetitionToggle);
+    }
+  });
+
+  // 随机事件
+  if (elements.eventType) {
+    elements.eventType.addEventListener("change", updateEventControls);
+  }
+  [elements.eventDensity, elements.eventVolumeMin, elements.eventVolumeMax, elements.eventSpread].forEach((control) => {
+    if (control) {
+      control.addEventListener("input", handleEventSettingInput);
+      control.addEventListener("change", saveUserSettings);
+    }
+  });
+
+  // 脑波音调
+  [elements.tonePreset, elements.toneMode, elements.toneCarrier, elements.toneBeat].forEach((control) => {
+    if (control) {
+      control.addEventListener("input", handleToneSettingInput);
+      control.addEventListener("change", saveUserSettings);
+    }
+  });
+
+  // 分享链接
+  if (elements.copyShareLink) {
+    elements.copyShareLink.addEventListener("click", handleCopyShareLink);
+  }
+  window.addEventListener("hashchange", handleHashChange);
+
+  // 开始播放提示
+  if (elements.startPromptBtn) {
+    elements.startPromptBtn.addEventListener("click", handleStartPromptClick);
+  }
+  if (elements.dismissStartPrompt) {
+    elements.dismissStartPrompt.addEventListener("click", hideStartPrompt);
+  }
+
   // 定时器按钮
   elements.timerButtons.forEach((button) => {
     if (button.id !== "custom-timer-btn") {
@@ -402,6 +1121,12 @@ function bindEventListeners() {
 
   // 取消定时器
   elements.cancelTimer.addEventListener("click", handleCancelTimer);
+  if (elements.pauseTimer) {
+    elements.pauseTimer.addEventListener("click", handlePauseTimerClick);
+  }
+  elements.extendTimerButtons.forEach((btn) => {
+    btn.addEventListener("click", handleExtendTimerClick);
+  });
 
   // 错误消息关闭
   elements.closeError.addEventListener("click", hideErrorMessage);
@@ -425,8 +1150,11 @@ function bindEventListeners() {
  */
 async function loadAudioFiles() {
   try {
+    // 音效清单已在启动时读取，读取失败时录音保持原始电平
+    applyLoudnessNormalization();
+
     // 设置超时机制，防止无限加载
-    const loadPromise = audioManager.loadSounds(soundConfig);
+    const loadPromise = audioManager.loadSounds(getAvailableSoundConfig());
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => reject(new Error("音频加载超时")), 15000); // 15秒超时
     });
@@ -450,6 +1178,87 @@ async function loadAudioFiles() {
   }
 }
 
+/**
+ * 读取音效清单：各录音的综合响度（由measure_loudness.js写入）和宏音效定义
+ * 录音条目为 { path, loudness }，旧格式（值为路径字符串）没有响度信息；带layers的条目为宏音效，见MacroSound
+ */
+async function loadSoundManifest() {
+  try {
+    const response = await fetch(SOUND_MANIFEST_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const manifest = await response.json();
+    loudnessCatalog = {};
+    Object.entries(manifest).forEach(([name, entry]) => {
+      if (entry && Array.isArray(entry.layers)) {
+        registerMacroSound(name, entry);
+      } else if (soundConfig[name] && entry && Number.isFinite(entry.loudness)) {
+        loudnessCatalog[name] = entry.loudness;
+      }
+    });
+  } catch (error) {
+    console.warn("读取音效清单失败，录音按原始电平播放:", error);
+  }
+}
+
+/**
+ * 将清单中的宏音效加入音效配置，层引用了未知音效或与已有音效重名时忽略
+ * @param {string} name - 宏音效名称
+ * @param {Object} definition - 清单条目 { name, icon, theme, intensity, layers }
+ */
+function registerMacroSound(name, definition) {
+  try {
+    if (soundConfig[name]) {
+      throw new Error("与已有音效重名");
+    }
+
+    const macro = new MacroSound(definition);
+    const unknown = macro.getLayerNames().filter((layer) => !soundConfig[layer] || soundConfig[layer].macro);
+    if (unknown.length > 0) {
+      throw new Error(`未知的层: ${unknown.join(", ")}`);
+    }
+
+    const firstLayer = macro.getLayerNames()[0];
+    soundConfig[name] = {
+      macro,
+      name: macro.name || name,
+      icon: macro.icon,
+      theme: macro.theme || soundConfig[firstLayer].theme || firstLayer,
+    };
+  } catch (error) {
+    console.warn(`忽略无效的宏音效 ${name}:`, error);
+  }
+}
+
+/**
+ * 获取音效的综合响度：程序化音源使用配置中的值，录音使用清单中的测量值
+ * @param {string} name - 音效名称
+ * @returns {number|undefined} LUFS，未知时返回undefined
+ */
+function getSoundLoudness(name) {
+  return audioManager.isGenerator(name) ? soundConfig[name].loudness : loudnessCatalog[name];
+}
+
+/**
+ * 按目标响度为每个音效设置补偿增益，使同一音量下各音效听感响度一致
+ */
+function applyLoudnessNormalization() {
+  // 录音没有测量值时只调整程序化音源反而加大两者的差距，全部按原始电平播放
+  if (Object.keys(loudnessCatalog).length === 0) {
+    console.warn("音效清单中没有响度信息，跳过响度归一化");
+    return;
+  }
+
+  Object.keys(soundConfig).forEach((name) => {
+    const loudness = getSoundLoudness(name);
+    if (Number.isFinite(loudness)) {
+      audioManager.setLoudnessGain(name, TARGET_LOUDNESS - loudness);
+    }
+  });
+}
+
 /**
  * 确保指定音效已加载（按需加载）
  * @param {string} name - 音效名称
@@ -459,6 +1268,12 @@ async function ensureSoundLoaded(name) {
     if (!audioManager) return;
     if (audioManager.isLoaded && audioManager.isLoaded(name)) return;
 
+    // 宏音效本身没有音频，加载其各层
+    if (isMacroSound(name)) {
+      await Promise.all(getSoundSources(name).map(ensureSoundLoaded));
+      return;
+    }
+
     const cfg = soundConfig ? soundConfig[name] : null;
 
     // 优先使用懒加载接口（如果可用）
@@ -512,8 +1327,77 @@ function restoreUserSettings() {
   updateVolumeDisplay(appState.volume);
   audioManager.setMasterVolume(appState.volume / 100);
 
-  // 恢复音效激活状态（但不自动播放）
+  // 恢复各音效的独立音量和宏音效强度
+  Object.entries(appState.soundVolumes).forEach(([name, volume]) => {
+    audioManager.setSoundGain(name, volume / 100);
+  });
+  applyMacroIntensities();
+
+  // 隐藏当前环境无法播放的音效，恢复激活状态（但不自动播放）
+  updateSoundAvailability();
   updateSoundButtonsState();
+
+  // 渲染已保存的混音预设和睡前流程
+  renderPresetList();
+  updatePresetMorphControls();
+  renderRoutineList();
+
+  // 恢复播放偏好开关
+  if (elements.resumeSessionToggle) {
+    elements.resumeSessionToggle.checked = appState.resumeSession;
+  }
+  if (elements.gaplessLoopToggle) {
+    elements.gaplessLoopToggle.checked = appState.gaplessLoop;
+  }
+  if (typeof audioManager.setGaplessLoop === "function") {
+    audioManager.setGaplessLoop(appState.gaplessLoop);
+  }
+  if (elements.autoGainToggle) {
+    elements.autoGainToggle.checked = appState.autoGain;
+  }
+  audioManager.setAutoGain(appState.autoGain);
+  startLimiterMeter();
+  updateFadeControls();
+  applyFadeSettings();
+  if (elements.sleepFadeMinutes) {
+    elements.sleepFadeMinutes.value = String(appState.sleepFadeMinutes);
+  }
+  if (elements.pauseTimerWithPlaybackToggle) {
+    elements.pauseTimerWithPlaybackToggle.checked = appState.pauseTimerWithPlayback;
+  }
+  updateNoiseControls();
+  applyNoiseTilt();
+  updateToneControls();
+  applyEqualizer();
+  renderEqControls();
+  applySoundPositions();
+  applyReverb();
+  renderReverbControls();
+  applyModulation();
+  renderModulationControls();
+  applyDeRepetition();
+  renderDeRepetitionControls();
+  renderEventControls();
+  renderAlarmControls();
+  restoreAlarm();
+  renderSceneControls();
+
+  // 恢复进行中的番茄钟，之后再设置回调：关闭页面期间经过的阶段切换不补放提示音
+  const pomodoroRestored = pomodoroTimer.restore();
+  pomodoroTimer.setCallbacks({ onPhase: handlePomodoroPhase, onUpdate: handlePomodoroUpdate });
+  renderPomodoroControls();
+  if (pomodoroRestored) {
+    handlePomodoroUpdate(pomodoroTimer.getStatus());
+  }
+
+  // 通过分享链接打开：展示混音并等待用户点击开始
+  if (pendingSharedMix) {
+    presentSharedMix(pendingSharedMix);
+  } else if (pomodoroRestored) {
+    promptPomodoroResume();
+  } else if (pendingSessionResume) {
+    armSessionResume();
+  }
 }
 
 /**
@@ -523,6 +1407,43 @@ function saveUserSettings() {
   const settings = {
     volume: appState.volume,
     playingSounds: Array.from(appState.playingSounds),
+    soundVolumes: appState.soundVolumes,
+    resumeSession: appState.resumeSession,
+    gaplessLoop: appState.gaplessLoop,
+    autoGain: appState.autoGain,
+    fadeIn: appState.fadeIn,
+    fadeOut: appState.fadeOut,
+    fadeCurve: appState.fadeCurve,
+    sleepFadeMinutes: appState.sleepFadeMinutes,
+    morphSeconds: appState.morphSeconds,
+    pauseTimerWithPlayback: appState.pauseTimerWithPlayback,
+    noiseTilt: appState.noiseTilt,
+    toneSettings: appState.toneSettings,
+    eventSettings: appState.eventSettings,
+    deRepetition: appState.deRepetition,
+    soundEq: appState.soundEq,
+    muffle: appState.muffle,
+    lowCut: appState.lowCut,
+    soundPositions: appState.soundPositions,
+    reverbPreset: appState.reverbPreset,
+    soundReverb: appState.soundReverb,
+    soundModulation: appState.soundModulation,
+    macroIntensity: appState.macroIntensity,
+    alarmTime: appState.alarmTime,
+    alarmWindow: appState.alarmWindow,
+    alarmVolume: appState.alarmVolume,
+    alarmSounds: appState.alarmSounds,
+    // 已设定的闹钟和渐强前的快照，刷新页面或标签页被回收后重新设定
+    alarmSchedule:
+      alarmScheduler && alarmScheduler.isScheduled()
+        ? { targetTime: alarmScheduler.getStatus().targetTime, wake: wakeSnapshot }
+        : null,
+    pomodoro: appState.pomodoro,
+    // 定时器剩余时间（毫秒），供下次打开页面时恢复
+    timerRemaining:
+      timerManager && (timerManager.isActive() || timerManager.isPaused())
+        ? timerManager.getRemainingTime()
+        : 0,
   };
 
   try {
@@ -639,6 +1560,32 @@ function showRecoveryNotification(recoveryInfo) {
   }, 3000);
 }
 
+/**
+ * 显示普通提示通知
+ * @param {string} icon - 图标
+ * @param {string} text - 提示文字
+ */
+function showInfoNotification(icon, text) {
+  const notification = document.createElement('div');
+  notification.className = 'info-notification';
+  notification.innerHTML = `
+    <div class="notification-content">
+      <span class="notification-icon">${icon}</span>
+      <span class="notification-text"></span>
+    </div>
+  `;
+  notification.querySelector('.notification-text').textContent = text;
+
+  document.body.appendChild(notification);
+
+  // 自动隐藏通知
+  setTimeout(() => {
+    if (notification.parentElement) {
+      notification.remove();
+    }
+  }, 3000);
+}
+
 /**
  * 获取上下文类型的显示名称
  * @param {string} contextType - 上下文类型
@@ -771,25 +1718,2949 @@ function updateSoundButtonsState() {
       button.classList.remove("playing");
     }
   });
+
+  // 混音器行和声场图标与播放列表保持同步
+  renderMixer();
+  renderRoom();
+  updateBreathingEffects();
 }
 
 /**
- * 更新音效按钮的加载状态（已移除UI显示）
+ * 获取音效的独立音量（0-100）
  * @param {string} soundName - 音效名称
- * @param {string} status - 加载状态
+ * @returns {number} 独立音量
  */
-function updateSoundButtonLoadingState(soundName, status) {
-  // 不再更新UI，也不记录日志
+function getSoundVolume(soundName) {
+  // 场景进行中显示场景当前的音量
+  const volume = activeScene && Number.isFinite(activeScene.volumes[soundName])
+    ? activeScene.volumes[soundName]
+    : appState.soundVolumes[soundName];
+  return Number.isFinite(volume) ? volume : DEFAULT_SOUND_VOLUME;
 }
 
 /**
- * 更新音效按钮的加载进度（已移除UI显示）
- * @param {string} soundName - 音效名称
- * @param {number} progress - 进度百分比
+ * 渲染混音器：为每个正在播放的音效生成一行音量滑块
  */
-function updateSoundButtonProgress(soundName, progress) {
-  // 不再更新UI，也不记录日志
-}
+function renderMixer() {
+  if (!elements.mixerList) return;
+
+  elements.mixerList.innerHTML = "";
+
+  appState.playingSounds.forEach((soundName) => {
+    const config = soundConfig[soundName];
+    if (!config) return;
+
+    const volume = getSoundVolume(soundName);
+    const row = document.createElement("div");
+    row.className = "mixer-row";
+    row.dataset.sound = soundName;
+    row.innerHTML = `
+      <span class="mixer-label">${config.icon} ${config.name}</span>
+      <input type="range" class="volume-slider mixer-slider" min="0" max="100" value="${volume}" aria-label="${config.name}音量">
+      <span class="mixer-value">${volume}%</span>
+    `;
+    elements.mixerList.appendChild(row);
+  });
+
+  if (elements.mixerEmpty) {
+    elements.mixerEmpty.style.display =
+      appState.playingSounds.size === 0 ? "block" : "none";
+  }
+}
+
+/**
+ * 刷新混音器各行的音量数值（不重建行，正在拖动的滑块除外）
+ */
+function updateMixerValues() {
+  if (!elements.mixerList) return;
+
+  elements.mixerList.querySelectorAll(".mixer-row").forEach((row) => {
+    const slider = row.querySelector(".mixer-slider");
+    if (slider === document.activeElement) return;
+
+    const volume = getSoundVolume(row.dataset.sound);
+    slider.value = volume;
+    row.querySelector(".mixer-value").textContent = `${volume}%`;
+  });
+}
+
+/**
+ * 获取当前混音快照
+ * @returns {Object} 混音数据 { volume, sounds: { name: volume }, eq: { name: gains }, muffle, lowCut, positions, reverb, wet, modulation, intensity, tone }，
+ *   tone为脑波音调设置，仅在脑波音调播放时包含
+ */
+function getCurrentMix() {
+  const sounds = {};
+  const eq = {};
+  const positions = {};
+  const wet = {};
+  const modulation = {};
+  const intensity = {};
+  appState.playingSounds.forEach((soundName) => {
+    sounds[soundName] = getSoundVolume(soundName);
+
+    // 宏音效没有自己的通道，均衡、位置等设置属于它的各层
+    if (isMacroSound(soundName)) {
+      intensity[soundName] = getMacroIntensity(soundName);
+      return;
+    }
+
+    wet[soundName] = getSoundReverb(soundName);
+    if (appState.soundModulation[soundName]) {
+      modulation[soundName] = { ...appState.soundModulation[soundName] };
+    }
+    if (appState.soundEq[soundName]) {
+      eq[soundName] = [...appState.soundEq[soundName]];
+    }
+    if (appState.soundPositions[soundName]) {
+      positions[soundName] = { ...appState.soundPositions[soundName] };
+    }
+  });
+
+  const mix = {
+    volume: appState.volume,
+    sounds,
+    eq,
+    muffle: appState.muffle,
+    lowCut: appState.lowCut,
+    positions,
+    reverb: appState.reverbPreset,
+    wet,
+    modulation,
+    intensity,
+  };
+
+  if (Object.keys(sounds).some((name) => soundConfig[name].generator === "tone")) {
+    mix.tone = { ...appState.toneSettings };
+  }
+
+  return mix;
+}
+
+/**
+ * 应用主音量（同步滑块、显示和音频管理器）
+ * @param {number} volume - 主音量（0-100）
+ * @param {number} duration - 斜坡时长（秒），可选
+ */
+function applyMasterVolume(volume, duration) {
+  appState.volume = Math.max(0, Math.min(100, Math.round(volume)));
+  elements.volumeSlider.value = appState.volume;
+  updateVolumeDisplay(appState.volume);
+  audioManager.setMasterVolume(appState.volume / 100, duration);
+}
+
+/**
+ * 应用混音：载入混音会替换场景和睡前流程控制的音效，先退出二者
+ * @param {Object} mix - 混音数据，见playMix
+ * @returns {Promise<boolean>} 是否至少有一个音效在播放
+ */
+async function applyMix(mix) {
+  stopScene();
+  stopRoutine();
+  return playMix(mix);
+}
+
+/**
+ * 渐变到目标混音：只在当前混音中的音效淡出，新音效淡入，共有的音效斜坡到新音量，
+ * 主音量、主输出滤波、均衡、声场位置、混响、起伏深度和宏音效强度同样在该时长内过渡
+ * @param {Object} mix - 目标混音，格式同getCurrentMix
+ * @param {number} duration - 渐变时长（秒），0为直接切换
+ * @returns {Promise<boolean>} 是否至少有一个音效在播放
+ */
+async function morphToMix(mix, duration) {
+  const seconds = Math.max(0, Math.min(MAX_FADE_SECONDS, Number(duration) || 0));
+  stopScene();
+  stopRoutine();
+  return playMix(mix, seconds);
+}
+
+/**
+ * 播放混音：停止不在混音中的音效，按需加载并播放其余音效
+ * @param {Object} mix - 混音数据 { volume, sounds: { name: volume }, eq, muffle, lowCut, positions, reverb, wet, modulation, intensity, tone }，均衡、位置、混响、起伏、强度和音调字段可选
+ * @param {number} transition - 过渡时长（秒），省略时按淡入淡出设置启停音效；
+ *   指定时离开的音效在该时长内淡出，新音效从静音渐强，保留的音效斜坡到新音量，
+ *   各项音色参数也在该时长内过渡，0为直接切换
+ * @returns {Promise<boolean>} 是否至少有一个音效在播放
+ */
+async function playMix(mix, transition) {
+  if (!mix || !mix.sounds) return false;
+
+  const targetSounds = Object.keys(mix.sounds).filter((name) => soundConfig[name]);
+  const channelSounds = targetSounds.filter((name) => !isMacroSound(name));
+
+  if (Number.isFinite(mix.volume)) {
+    applyMasterVolume(mix.volume, transition);
+  }
+
+  // 早期保存的预设不含均衡字段，此时保留当前均衡设置
+  if (mix.eq && typeof mix.eq === "object") {
+    channelSounds.forEach((soundName) => {
+      setSoundEq(soundName, mix.eq[soundName], transition);
+    });
+  }
+  if (Number.isFinite(mix.muffle)) {
+    appState.muffle = Math.max(0, Math.min(100, mix.muffle));
+  }
+  if (Number.isFinite(mix.lowCut)) {
+    appState.lowCut = normalizeLowCut(mix.lowCut);
+  }
+  audioManager.setMasterFilter(getMasterFilterSettings(), transition);
+  updateEqControls();
+  if (mix.positions && typeof mix.positions === "object") {
+    channelSounds.forEach((soundName) => {
+      setSoundPosition(soundName, mix.positions[soundName], transition);
+    });
+  }
+  if (typeof mix.reverb === "string") {
+    appState.reverbPreset = normalizeReverbPreset(mix.reverb);
+    audioManager.setReverbPreset(appState.reverbPreset, transition);
+    const wet = mix.wet && typeof mix.wet === "object" ? mix.wet : {};
+    channelSounds.forEach((soundName) => {
+      setSoundReverb(soundName, wet[soundName], transition);
+    });
+    updateReverbControls();
+  }
+  if (mix.modulation && typeof mix.modulation === "object") {
+    channelSounds.forEach((soundName) => {
+      setSoundModulation(soundName, mix.modulation[soundName], transition);
+    });
+    updateModulationControls();
+  }
+  if (mix.intensity && typeof mix.intensity === "object") {
+    targetSounds.forEach((soundName) => {
+      if (isMacroSound(soundName) && Number.isFinite(mix.intensity[soundName])) {
+        setMacroIntensity(soundName, mix.intensity[soundName], transition);
+      }
+    });
+  }
+  if (mix.tone && typeof mix.tone === "object") {
+    setToneSettings(mix.tone);
+  }
+
+  // 停止不在目标混音中的音效
+  Array.from(appState.playingSounds).forEach((soundName) => {
+    if (!targetSounds.includes(soundName)) {
+      audioManager.stopSound(soundName, transition);
+      appState.playingSounds.delete(soundName);
+    }
+  });
+
+  // 设置独立音量并播放目标音效
+  for (const soundName of targetSounds) {
+    const volume = Math.max(0, Math.min(100, Number(mix.sounds[soundName]) || 0));
+    appState.soundVolumes[soundName] = volume;
+
+    if (audioManager.isPlaying(soundName)) {
+      audioManager.setSoundGain(soundName, volume / 100, transition);
+      appState.playingSounds.add(soundName);
+      continue;
+    }
+
+    stopConflictingSounds(soundName);
+    await ensureSoundLoaded(soundName);
+    audioManager.setSoundGain(soundName, transition > 0 ? 0 : volume / 100);
+    if (await audioManager.playSound(soundName)) {
+      appState.playingSounds.add(soundName);
+      if (transition > 0) {
+        audioManager.setSoundGain(soundName, volume / 100, transition);
+      }
+    } else {
+      audioManager.setSoundGain(soundName, volume / 100);
+      appState.playingSounds.delete(soundName);
+    }
+  }
+
+  appState.isPlaying = appState.playingSounds.size > 0;
+  if (appState.isPlaying) {
+    switchBackgroundTheme(Array.from(appState.playingSounds)[0]);
+  } else {
+    resetBackgroundTheme();
+  }
+
+  updatePlayButtonState();
+  updateSoundButtonsState();
+  saveUserSettings();
+
+  return appState.isPlaying;
+}
+
+/**
+ * 渲染混音预设列表
+ */
+function renderPresetList() {
+  if (!elements.presetList || !presetManager) return;
+
+  const presets = presetManager.getAll();
+  elements.presetList.innerHTML = "";
+
+  presets.forEach((preset) => {
+    const summary = Object.entries(preset.mix.sounds)
+      .filter(([name]) => soundConfig[name])
+      .map(([name, volume]) => `${soundConfig[name].icon}${volume}`)
+      .join(" ");
+
+    const item = document.createElement("li");
+    item.className = "preset-item";
+    item.dataset.id = preset.id;
+    item.innerHTML = `
+      <button class="preset-load" data-action="load" title="载入预设">
+        <span class="preset-name"></span>
+        <span class="preset-summary">${summary}</span>
+      </button>
+      <button class="preset-action" data-action="rename" aria-label="重命名">✎</button>
+      <button class="preset-action" data-action="delete" aria-label="删除">×</button>
+    `;
+    // 名称为用户输入，使用textContent避免注入
+    item.querySelector(".preset-name").textContent = preset.name;
+    elements.presetList.appendChild(item);
+  });
+
+  if (elements.presetEmpty) {
+    elements.presetEmpty.style.display = presets.length === 0 ? "block" : "none";
+  }
+
+  // 流程步骤和番茄钟可以选择预设作为混音，预设变化时同步选项
+  renderRoutineDraft();
+  renderPomodoroControls();
+}
+
+/**
+ * 处理保存预设
+ */
+function handleSavePreset() {
+  try {
+    const name = elements.presetName.value.trim();
+    if (!name) {
+      showErrorMessage("请输入预设名称");
+      return;
+    }
+
+    const mix = getCurrentMix();
+    if (Object.keys(mix.sounds).length === 0) {
+      showErrorMessage("请先播放至少一个音效");
+      return;
+    }
+
+    if (presetManager.save(name, mix)) {
+      elements.presetName.value = "";
+      renderPresetList();
+    } else {
+      showErrorMessage("保存预设失败，请重试");
+    }
+  } catch (error) {
+    console.error("保存预设失败:", error);
+    showErrorMessage("保存预设失败，请重试");
+  }
+}
+
+/**
+ * 同步预设渐变时长控件的显示
+ */
+function updatePresetMorphControls() {
+  if (!elements.presetMorph) return;
+
+  elements.presetMorph.value = appState.morphSeconds;
+  elements.presetMorphValue.textContent = appState.morphSeconds > 0 ? `${appState.morphSeconds}秒` : "立即";
+}
+
+/**
+ * 处理预设渐变时长变化（松开后保存）
+ */
+function handlePresetMorphInput(event) {
+  appState.morphSeconds = Math.max(0, Math.min(MAX_FADE_SECONDS, parseInt(event.target.value, 10) || 0));
+  updatePresetMorphControls();
+}
+
+/**
+ * 处理预设列表点击（载入、重命名、删除）
+ */
+async function handlePresetListClick(event) {
+  const button = event.target.closest("[data-action]");
+  const item = event.target.closest(".preset-item");
+  if (!button || !item) return;
+
+  const preset = presetManager.get(item.dataset.id);
+  if (!preset) return;
+
+  try {
+    switch (button.dataset.action) {
+      case "load": {
+        item.classList.add("loading");
+        const loaded = appState.morphSeconds > 0
+          ? await morphToMix(preset.mix, appState.morphSeconds)
+          : await applyMix(preset.mix);
+        if (!loaded) {
+          showErrorMessage("预设播放失败，请重试");
+        }
+        item.classList.remove("loading");
+        break;
+      }
+
+      case "rename":
+        startPresetRename(item, preset);
+        break;
+
+      case "delete":
+        if (window.confirm(`删除预设“${preset.name}”？`)) {
+          presetManager.remove(preset.id);
+          renderPresetList();
+        }
+        break;
+    }
+  } catch (error) {
+    console.error("预设操作失败:", error);
+    showErrorMessage("预设操作失败，请重试");
+    item.classList.remove("loading");
+  }
+}
+
+/**
+ * 进入预设重命名状态（行内输入框，回车确认、Esc取消）
+ * @param {HTMLElement} item - 预设列表项
+ * @param {Object} preset - 预设对象
+ */
+function startPresetRename(item, preset) {
+  const loadButton = item.querySelector(".preset-load");
+  if (!loadButton || item.querySelector(".preset-rename-input")) return;
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "settings-input preset-rename-input";
+  input.maxLength = presetManager.maxNameLength;
+  input.value = preset.name;
+  loadButton.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let finished = false;
+  const finish = (commit) => {
+    if (finished) return;
+    finished = true;
+
+    if (commit && input.value.trim() && input.value.trim() !== preset.name) {
+      if (!presetManager.rename(preset.id, input.value)) {
+        showErrorMessage("重命名失败，名称可能已存在");
+      }
+    }
+    renderPresetList();
+  };
+
+  input.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") {
+      finish(true);
+    } else if (event.key === "Escape") {
+      event.stopPropagation();
+      finish(false);
+    }
+  });
+  input.addEventListener("blur", () => finish(true));
+}
+
+/**
+ * 展示分享链接中的混音，等待用户点击开始播放
+ * @param {Object} sharedMix - MixLinkCodec解析结果
+ */
+function presentSharedMix(sharedMix) {
+  const names = Object.keys(sharedMix.sounds)
+    .map((name) => `${soundConfig[name].icon} ${soundConfig[name].name}`)
+    .join("、");
+  const detail = sharedMix.timer ? `${names}（定时${sharedMix.timer}分钟）` : names;
+
+  showStartPrompt("轻触开始播放分享的混音", detail, async () => {
+    pendingSharedMix = null;
+    clearShareHash();
+
+    if (!(await applyMix(sharedMix))) {
+      showErrorMessage("分享的混音播放失败，请重试");
+      return;
+    }
+
+    if (sharedMix.timer) {
+      startTimer(sharedMix.timer);
+      elements.timerButtons.forEach((btn) => btn.classList.remove("active"));
+      const presetButton = document.querySelector(
+        `.timer-btn[data-minutes="${sharedMix.timer}"]`
+      );
+      (presetButton || elements.customTimerBtn).classList.add("active");
+    }
+  });
+}
+
+/**
+ * 等待首次用户交互后恢复上次会话（浏览器自动播放策略要求用户手势）
+ */
+function armSessionResume() {
+  const onFirstGesture = (event) => {
+    // Tab、方向键、修饰键等不构成用户激活，继续等待
+    if (event.type === "keydown" && event.key.length > 1 && event.key !== "Enter") {
+      return;
+    }
+
+    document.removeEventListener("pointerdown", onFirstGesture, true);
+    document.removeEventListener("keydown", onFirstGesture, true);
+
+    const session = pendingSessionResume;
+    pendingSessionResume = null;
+    if (!session) return;
+
+    // 首次交互是明确的操作（点击控件或快捷键）时，尊重用户选择，放弃自动恢复
+    const isControl =
+      event.type === "pointerdown" &&
+      event.target.closest("button, input, label, a, .settings-panel");
+    const isShortcut = event.type === "keydown" && event.key !== "Enter";
+    if (isControl || isShortcut) return;
+
+    resumeLastSession(session);
+  };
+
+  document.addEventListener("pointerdown", onFirstGesture, true);
+  document.addEventListener("keydown", onFirstGesture, true);
+
+  showInfoNotification("⏯", "轻触页面空白处恢复上次播放");
+}
+
+/**
+ * 恢复上次会话的音效和定时器
+ * @param {Object} session - { sounds, timerRemaining }
+ */
+async function resumeLastSession(session) {
+  try {
+    if (!(await applyMix({ sounds: session.sounds }))) {
+      showErrorMessage("恢复上次播放失败，请手动选择音效");
+      return;
+    }
+
+    if (session.timerRemaining > 0) {
+      startTimer(session.timerRemaining / 60000);
+      elements.timerButtons.forEach((btn) => btn.classList.remove("active"));
+      elements.customTimerBtn.classList.add("active");
+    }
+  } catch (error) {
+    console.error("恢复上次播放失败:", error);
+    showErrorMessage("恢复上次播放失败，请手动选择音效");
+  }
+}
+
+/**
+ * 处理“恢复上次播放”开关
+ */
+function handleResumeSessionToggle(event) {
+  appState.resumeSession = event.target.checked;
+  saveUserSettings();
+}
+
+/**
+ * 处理“无缝循环”开关
+ */
+function handleGaplessLoopToggle(event) {
+  appState.gaplessLoop = event.target.checked;
+  if (typeof audioManager.setGaplessLoop === "function") {
+    audioManager.setGaplessLoop(appState.gaplessLoop);
+  }
+  saveUserSettings();
+}
+
+/**
+ * 处理“自动增益补偿”开关
+ */
+function handleAutoGainToggle(event) {
+  appState.autoGain = event.target.checked;
+  audioManager.setAutoGain(appState.autoGain);
+  saveUserSettings();
+}
+
+/**
+ * 启动限幅指示器的定时刷新（回退模式下没有动态处理，不显示）
+ */
+function startLimiterMeter() {
+  if (!elements.limiterMeter || limiterMeterInterval || !audioManager.usesAudioGraph()) return;
+
+  elements.limiterMeter.hidden = false;
+  limiterMeterInterval = setInterval(updateLimiterMeter, LIMITER_METER_INTERVAL);
+}
+
+/**
+ * 刷新限幅指示器：长度为主输出的增益衰减量，限幅器工作时高亮
+ */
+function updateLimiterMeter() {
+  if (document.hidden) return;
+
+  const reduction = audioManager.getGainReduction();
+  const percent = Math.min(100, (reduction / LIMITER_METER_RANGE) * 100);
+  elements.limiterMeterFill.style.width = `${percent}%`;
+  elements.limiterMeter.classList.toggle("limiting", audioManager.isLimiting());
+  elements.limiterMeter.title = reduction > 0.1 ? `主输出衰减 ${reduction.toFixed(1)}dB` : "主输出未衰减";
+}
+
+/**
+ * 将淡入淡出设置应用到音频管理器
+ */
+function applyFadeSettings() {
+  if (typeof audioManager.setFadeSettings === "function") {
+    audioManager.setFadeSettings({
+      fadeIn: appState.fadeIn,
+      fadeOut: appState.fadeOut,
+      curve: appState.fadeCurve,
+    });
+  }
+}
+
+/**
+ * 同步淡入淡出控件的显示
+ */
+function updateFadeControls() {
+  if (elements.fadeInDuration) {
+    elements.fadeInDuration.value = appState.fadeIn;
+    elements.fadeInValue.textContent = `${appState.fadeIn}秒`;
+  }
+  if (elements.fadeOutDuration) {
+    elements.fadeOutDuration.value = appState.fadeOut;
+    elements.fadeOutValue.textContent = `${appState.fadeOut}秒`;
+  }
+  if (elements.fadeCurve) {
+    elements.fadeCurve.value = appState.fadeCurve;
+  }
+}
+
+/**
+ * 处理淡入淡出设置变化（拖动时实时生效，松开后保存）
+ */
+function handleFadeSettingInput(event) {
+  const control = event.target;
+
+  if (control === elements.fadeCurve) {
+    appState.fadeCurve = control.value === "equal-power" ? "equal-power" : "linear";
+  } else {
+    const seconds = Math.max(0, Math.min(MAX_FADE_SECONDS, parseInt(control.value, 10) || 0));
+    if (control === elements.fadeInDuration) {
+      appState.fadeIn = seconds;
+    } else {
+      appState.fadeOut = seconds;
+    }
+  }
+
+  updateFadeControls();
+  applyFadeSettings();
+}
+
+/**
+ * 音效在当前环境是否可以播放（有录音文件，或可以通过音频图合成）
+ * @param {string} name - 音效名称
+ * @returns {boolean}
+ */
+function isSoundAvailable(name) {
+  const config = soundConfig[name];
+  if (!config) return false;
+
+  return !!config.path || (typeof audioManager.isGenerator === "function" && audioManager.isGenerator(name));
+}
+
+/**
+ * 获取当前环境可以播放的音效配置
+ * @returns {Object} 过滤后的音效配置
+ */
+function getAvailableSoundConfig() {
+  return Object.fromEntries(
+    Object.entries(soundConfig).filter(([name]) => isSoundAvailable(name))
+  );
+}
+
+/**
+ * 隐藏当前环境无法播放的音效按钮（不支持Web Audio时的程序化噪声）
+ * 宏音效的各层都可以播放时才显示，强度滑块随按钮一起隐藏
+ */
+function updateSoundAvailability() {
+  elements.soundButtons.forEach((button) => {
+    const soundName = button.dataset.sound;
+    const item = button.closest(".macro-sound") || button;
+    item.hidden = isMacroSound(soundName)
+      ? !getSoundSources(soundName).every(isSoundAvailable)
+      : !isSoundAvailable(soundName);
+  });
+}
+
+/**
+ * 检查是否为宏音效（来自音效清单，由强度控制多个底层音效）
+ * @param {string} name - 音效名称
+ * @returns {boolean}
+ */
+function isMacroSound(name) {
+  return !!(soundConfig[name] && soundConfig[name].macro);
+}
+
+/**
+ * 获取音效实际播放的录音或音源：宏音效为其各层，其余为自身
+ * @param {string} name - 音效名称
+ * @returns {Array<string>}
+ */
+function getSoundSources(name) {
+  return isMacroSound(name) ? soundConfig[name].macro.getLayerNames() : [name];
+}
+
+/**
+ * 停止与指定音效共用录音的其他音效（宏音效与它的层、共用某一层的宏音效不能同时播放）
+ * @param {string} soundName - 即将播放的音效
+ * @returns {Array<string>} 被停止的音效名称
+ */
+function stopConflictingSounds(soundName) {
+  const sources = getSoundSources(soundName);
+  const stopped = Array.from(appState.playingSounds).filter((name) =>
+    name !== soundName && getSoundSources(name).some((source) => sources.includes(source))
+  );
+
+  stopped.forEach((name) => {
+    audioManager.stopSound(name);
+    appState.playingSounds.delete(name);
+  });
+  return stopped;
+}
+
+/**
+ * 获取宏音效的强度（0-100）
+ * @param {string} name - 宏音效名称
+ * @returns {number} 强度，未设置时为清单中的默认值
+ */
+function getMacroIntensity(name) {
+  return Number.isFinite(appState.macroIntensity[name])
+    ? appState.macroIntensity[name]
+    : soundConfig[name].macro.defaultIntensity;
+}
+
+/**
+ * 设置宏音效的强度，正在播放时各层随之交叉淡化
+ * @param {string} name - 宏音效名称
+ * @param {number} intensity - 强度（0-100）
+ * @param {number} duration - 过渡时长（秒），可选
+ */
+function setMacroIntensity(name, intensity, duration) {
+  appState.macroIntensity[name] = MacroSound.clampIntensity(intensity);
+  audioManager.setMacroIntensity(name, appState.macroIntensity[name], duration);
+  updateMacroSlider(name);
+}
+
+/**
+ * 将所有宏音效的强度应用到音频管理器并同步滑块
+ */
+function applyMacroIntensities() {
+  Object.keys(soundConfig).filter(isMacroSound).forEach((name) => {
+    audioManager.setMacroIntensity(name, getMacroIntensity(name), 0);
+    updateMacroSlider(name);
+  });
+}
+
+/**
+ * 同步宏音效的强度滑块
+ * @param {string} name - 宏音效名称
+ */
+function updateMacroSlider(name) {
+  elements.macroSliders.forEach((slider) => {
+    if (slider.dataset.sound === name) {
+      slider.value = getMacroIntensity(name);
+      slider.setAttribute("aria-valuetext", `${getMacroIntensity(name)}%`);
+    }
+  });
+}
+
+/**
+ * 在音效列表末尾创建宏音效按钮，按钮下方为强度滑块
+ */
+function renderMacroButtons() {
+  const soundList = document.querySelector(".sound-list");
+  if (!soundList) return;
+
+  Object.keys(soundConfig).filter(isMacroSound).forEach((name) => {
+    const config = soundConfig[name];
+    const item = document.createElement("div");
+    item.className = "macro-sound";
+    item.innerHTML = `
+      <button class="sound-btn">
+        <span class="sound-icon"></span>
+        <span class="sound-name"></span>
+        <div class="play-indicator">▶</div>
+      </button>
+      <input type="range" class="volume-slider macro-intensity" min="0" max="100" step="1">
+    `;
+
+    const button = item.querySelector(".sound-btn");
+    button.dataset.sound = name;
+    button.setAttribute("aria-label", config.name);
+    item.querySelector(".sound-icon").textContent = config.icon;
+    item.querySelector(".sound-name").textContent = config.name;
+
+    const slider = item.querySelector(".macro-intensity");
+    slider.dataset.sound = name;
+    slider.value = getMacroIntensity(name);
+    slider.setAttribute("aria-label", `${config.name}强度`);
+    slider.setAttribute("aria-valuetext", `${getMacroIntensity(name)}%`);
+
+    soundList.appendChild(item);
+  });
+}
+
+/**
+ * 根据音效配置创建程序化音源
+ * @param {Object} config - 音效配置，generator为"tone"或噪声颜色
+ * @returns {NoiseGenerator|ToneGenerator}
+ */
+function createSoundGenerator(config) {
+  if (config.generator === "tone") {
+    return new ToneGenerator(appState.toneSettings);
+  }
+  return new NoiseGenerator(config.generator);
+}
+
+/**
+ * 将频谱倾斜应用到所有程序化噪声
+ */
+function applyNoiseTilt() {
+  if (typeof audioManager.getGenerator !== "function") return;
+
+  Object.keys(soundConfig).forEach((name) => {
+    const generator = audioManager.getGenerator(name);
+    if (generator instanceof NoiseGenerator) {
+      generator.setTilt(appState.noiseTilt);
+    }
+  });
+}
+
+/**
+ * 同步频谱倾斜控件的显示
+ */
+function updateNoiseControls() {
+  if (!elements.noiseTilt) return;
+
+  elements.noiseTilt.value = appState.noiseTilt;
+  elements.noiseTiltValue.textContent =
+    appState.noiseTilt > 0 ? `+${appState.noiseTilt}dB` : `${appState.noiseTilt}dB`;
+}
+
+/**
+ * 处理频谱倾斜滑块（拖动时实时生效，松开后保存）
+ */
+function handleNoiseTiltInput(event) {
+  const tilt = parseInt(event.target.value, 10) || 0;
+  appState.noiseTilt = Math.max(-MAX_NOISE_TILT, Math.min(MAX_NOISE_TILT, tilt));
+  updateNoiseControls();
+  applyNoiseTilt();
+}
+
+/**
+ * 将低切频率限制在主滤波器支持的范围内
+ * @param {number} value - 频率（Hz）
+ * @returns {number} 整数频率（Hz）
+ */
+function normalizeLowCut(value) {
+  const [min, max] = MasterFilter.HIGHPASS_RANGE;
+  return Math.max(min, Math.min(max, Math.round(Number(value) || min)));
+}
+
+/**
+ * 获取主滤波器设置
+ * @returns {Object} { muffle (0-1), highpass (Hz) }
+ */
+function getMasterFilterSettings() {
+  return { muffle: appState.muffle / 100, highpass: appState.lowCut };
+}
+
+/**
+ * 设置音效的均衡器增益，平直时从设置中移除
+ * @param {string} name - 音效名称
+ * @param {Array<number>} gains - 各频段增益（dB），缺失时视为平直
+ * @param {number} duration - 过渡时长（秒），可选
+ */
+function setSoundEq(name, gains, duration) {
+  const normalized = Equalizer.normalizeGains(gains);
+  if (Equalizer.isFlat(normalized)) {
+    delete appState.soundEq[name];
+  } else {
+    appState.soundEq[name] = normalized;
+  }
+  audioManager.setSoundEq(name, normalized, duration);
+}
+
+/**
+ * 将均衡器和主滤波器设置应用到音频管理器
+ */
+function applyEqualizer() {
+  Object.entries(appState.soundEq).forEach(([name, gains]) => {
+    audioManager.setSoundEq(name, gains);
+  });
+  audioManager.setMasterFilter(getMasterFilterSettings());
+}
+
+/**
+ * 渲染均衡器的音效选择，回退模式（无Web Audio）下禁用全部控件
+ */
+function renderEqControls() {
+  if (!elements.eqSound) return;
+
+  elements.eqSound.innerHTML = "";
+  Object.entries(soundConfig).forEach(([name, config]) => {
+    if (!isSoundAvailable(name)) return;
+
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = `${config.icon} ${config.name}`;
+    elements.eqSound.appendChild(option);
+  });
+
+  const available = audioManager.usesAudioGraph();
+  [elements.eqSound, ...elements.eqBands, elements.muffle, elements.lowCut].forEach((control) => {
+    control.disabled = !available;
+  });
+  elements.eqUnavailable.hidden = available;
+
+  updateEqControls();
+}
+
+/**
+ * 同步所选音效的频段滑块和主滤波器滑块
+ */
+function updateEqControls() {
+  if (!elements.eqSound) return;
+
+  const gains = Equalizer.normalizeGains(appState.soundEq[elements.eqSound.value]);
+  elements.eqBands.forEach((slider) => {
+    const gain = gains[Number(slider.dataset.band)];
+    slider.value = gain;
+    slider.nextElementSibling.textContent = gain > 0 ? `+${gain}dB` : `${gain}dB`;
+  });
+
+  elements.muffle.value = appState.muffle;
+  elements.muffleValue.textContent = `${appState.muffle}%`;
+  elements.lowCut.value = appState.lowCut;
+  elements.lowCutValue.textContent =
+    appState.lowCut > MasterFilter.HIGHPASS_RANGE[0] ? `${appState.lowCut}Hz` : "关闭";
+}
+
+/**
+ * 处理频段滑块（拖动时实时生效，松开后保存）
+ */
+function handleEqBandInput(event) {
+  const name = elements.eqSound.value;
+  if (!soundConfig[name]) return;
+
+  const gains = Equalizer.normalizeGains(appState.soundEq[name]);
+  gains[Number(event.target.dataset.band)] = parseInt(event.target.value, 10) || 0;
+  setSoundEq(name, gains);
+  updateEqControls();
+}
+
+/**
+ * 处理闷声和低切滑块（拖动时实时生效，松开后保存）
+ */
+function handleMasterFilterInput() {
+  appState.muffle = Math.max(0, Math.min(100, parseInt(elements.muffle.value, 10) || 0));
+  appState.lowCut = normalizeLowCut(elements.lowCut.value);
+  audioManager.setMasterFilter(getMasterFilterSettings());
+  updateEqControls();
+}
+
+/**
+ * 校验混响环境名称
+ * @param {string} preset - 预设名称
+ * @returns {string} 有效的预设名称，无效时为"none"
+ */
+function normalizeReverbPreset(preset) {
+  return ReverbEnvironment.PRESETS[preset] ? preset : "none";
+}
+
+/**
+ * 获取音效的混响湿声比例
+ * @param {string} name - 音效名称
+ * @returns {number} 湿声比例（0-100）
+ */
+function getSoundReverb(name) {
+  return appState.soundReverb[name] !== undefined ? appState.soundReverb[name] : DEFAULT_REVERB_WET;
+}
+
+/**
+ * 设置音效的混响湿声比例，等于默认值或无效时从设置中移除
+ * @param {string} name - 音效名称
+ * @param {number} wet - 湿声比例（0-100）
+ * @param {number} duration - 过渡时长（秒），可选
+ */
+function setSoundReverb(name, wet, duration) {
+  const value = Number(wet);
+  if (Number.isFinite(value) && Math.round(value) !== DEFAULT_REVERB_WET) {
+    appState.soundReverb[name] = Math.max(0, Math.min(100, Math.round(value)));
+  } else {
+    delete appState.soundReverb[name];
+  }
+  audioManager.setSoundReverb(name, getSoundReverb(name) / 100, duration);
+}
+
+/**
+ * 将混响环境和各音效湿声比例应用到音频管理器
+ */
+function applyReverb() {
+  Object.keys(soundConfig).forEach((name) => {
+    audioManager.setSoundReverb(name, getSoundReverb(name) / 100);
+  });
+  audioManager.setReverbPreset(appState.reverbPreset);
+}
+
+/**
+ * 渲染混响的环境和音效选择，回退模式（无Web Audio）下禁用全部控件
+ */
+function renderReverbControls() {
+  if (!elements.reverbPreset) return;
+
+  elements.reverbPreset.innerHTML = "";
+  [["none", "无"], ...Object.entries(ReverbEnvironment.PRESETS).map(([id, preset]) => [id, preset.name])]
+    .forEach(([id, label]) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = label;
+      elements.reverbPreset.appendChild(option);
+    });
+
+  elements.reverbSound.innerHTML = "";
+  Object.entries(soundConfig).forEach(([name, config]) => {
+    if (!isSoundAvailable(name)) return;
+
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = `${config.icon} ${config.name}`;
+    elements.reverbSound.appendChild(option);
+  });
+
+  const available = audioManager.usesAudioGraph();
+  [elements.reverbPreset, elements.reverbSound, elements.reverbWet].forEach((control) => {
+    control.disabled = !available;
+  });
+  elements.reverbUnavailable.hidden = available;
+
+  updateReverbControls();
+}
+
+/**
+ * 同步环境选择和所选音效的湿声滑块
+ */
+function updateReverbControls() {
+  if (!elements.reverbPreset) return;
+
+  elements.reverbPreset.value = appState.reverbPreset;
+  const wet = getSoundReverb(elements.reverbSound.value);
+  elements.reverbWet.value = wet;
+  elements.reverbWetValue.textContent = `${wet}%`;
+}
+
+/**
+ * 处理环境切换
+ */
+function handleReverbPresetChange() {
+  appState.reverbPreset = normalizeReverbPreset(elements.reverbPreset.value);
+  audioManager.setReverbPreset(appState.reverbPreset);
+  saveUserSettings();
+}
+
+/**
+ * 处理湿声滑块（拖动时实时生效，松开后保存）
+ */
+function handleReverbWetInput() {
+  const name = elements.reverbSound.value;
+  if (!soundConfig[name]) return;
+
+  setSoundReverb(name, parseInt(elements.reverbWet.value, 10) || 0);
+  updateReverbControls();
+}
+
+/**
+ * 设置音效的起伏调制，关闭时从设置中移除
+ * @param {string} name - 音效名称
+ * @param {Object|null} settings - { shape, period, depth, filter }
+ * @param {number} duration - 调制深度的过渡时长（秒），可选
+ */
+function setSoundModulation(name, settings, duration) {
+  const normalized = Modulator.normalizeSettings(settings);
+  if (normalized) {
+    appState.soundModulation[name] = normalized;
+  } else {
+    delete appState.soundModulation[name];
+  }
+  audioManager.setSoundModulation(name, normalized, duration);
+}
+
+/**
+ * 将已保存的起伏调制应用到音频管理器
+ */
+function applyModulation() {
+  Object.entries(appState.soundModulation).forEach(([name, settings]) => {
+    audioManager.setSoundModulation(name, settings);
+  });
+}
+
+/**
+ * 渲染起伏调制的音效选择
+ */
+function renderModulationControls() {
+  if (!elements.modSound) return;
+
+  elements.modSound.innerHTML = "";
+  Object.entries(soundConfig).forEach(([name, config]) => {
+    if (!isSoundAvailable(name)) return;
+
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = `${config.icon} ${config.name}`;
+    elements.modSound.appendChild(option);
+  });
+
+  // 回退模式（无Web Audio）没有滤波器，只能调制音量
+  const filterAvailable = audioManager.usesAudioGraph();
+  elements.modFilter.disabled = !filterAvailable;
+  elements.modFilterUnavailable.hidden = filterAvailable;
+
+  updateModulationControls();
+}
+
+/**
+ * 同步所选音效的起伏调制控件
+ */
+function updateModulationControls() {
+  if (!elements.modSound) return;
+
+  const settings = appState.soundModulation[elements.modSound.value];
+  const suggestion = getModulationSuggestion(elements.modSound.value);
+  const period = settings ? settings.period : suggestion.period;
+  const depth = settings ? settings.depth : suggestion.depth;
+
+  elements.modShape.value = settings ? settings.shape : "";
+  elements.modPeriod.value = period;
+  elements.modPeriodValue.textContent = `${period}秒`;
+  elements.modDepth.value = depth;
+  elements.modDepthValue.textContent = `${depth}%`;
+  elements.modFilter.checked = settings ? settings.filter : true;
+  [elements.modPeriod, elements.modDepth].forEach((control) => {
+    control.disabled = !settings;
+  });
+}
+
+/**
+ * 获取音效开启起伏时的建议设置
+ * @param {string} name - 音效名称
+ * @returns {Object} { shape, period, depth }
+ */
+function getModulationSuggestion(name) {
+  const config = soundConfig[name];
+  return config && config.modulation
+    ? config.modulation
+    : { shape: "lfo", period: Modulator.DEFAULT_PERIOD, depth: 30 };
+}
+
+/**
+ * 处理起伏形状切换：从关闭切换到开启时使用该音效的建议周期和深度
+ */
+function handleModulationShapeChange() {
+  const name = elements.modSound.value;
+  if (!soundConfig[name]) return;
+
+  const shape = elements.modShape.value;
+  if (!shape) {
+    setSoundModulation(name, null);
+  } else {
+    const current = appState.soundModulation[name] || getModulationSuggestion(name);
+    setSoundModulation(name, { ...current, shape, filter: elements.modFilter.checked });
+  }
+
+  updateModulationControls();
+  updateBreathingEffects();
+  saveUserSettings();
+}
+
+/**
+ * 处理周期、深度和音色调制控件（拖动时实时生效，松开后保存）
+ */
+function handleModulationInput() {
+  const name = elements.modSound.value;
+  if (!soundConfig[name] || !appState.soundModulation[name]) return;
+
+  setSoundModulation(name, {
+    shape: appState.soundModulation[name].shape,
+    period: parseInt(elements.modPeriod.value, 10),
+    depth: parseInt(elements.modDepth.value, 10),
+    filter: elements.modFilter.checked,
+  });
+  updateModulationControls();
+  updateBreathingEffects();
+}
+
+/**
+ * 正在播放且开启了起伏的音效按钮显示呼吸动画，节奏与起伏周期一致
+ */
+function updateBreathingEffects() {
+  elements.soundButtons.forEach((button) => {
+    const soundName = button.dataset.sound;
+    const modulation = appState.soundModulation[soundName];
+    if (modulation && appState.playingSounds.has(soundName)) {
+      addBreathingEffect(button, modulation.period);
+    } else {
+      removeBreathingEffect(button);
+    }
+  });
+}
+
+/**
+ * 设置音效在声场中的位置
+ * @param {string} name - 音效名称
+ * @param {Object|null} position - { x, y, drift }，null表示居中不定位
+ * @param {number} duration - 移动时长（秒），可选
+ */
+function setSoundPosition(name, position, duration) {
+  const normalized = SpatialPanner.normalizePosition(position);
+  if (normalized) {
+    appState.soundPositions[name] = normalized;
+  } else {
+    delete appState.soundPositions[name];
+  }
+  audioManager.setSoundPosition(name, normalized, duration);
+}
+
+/**
+ * 将已保存的声场位置应用到音频管理器
+ */
+function applySoundPositions() {
+  Object.entries(appState.soundPositions).forEach(([name, position]) => {
+    audioManager.setSoundPosition(name, position);
+  });
+}
+
+/**
+ * 渲染声场：每个正在播放的音效为一个可拖动的图标，听者位于中心
+ */
+function renderRoom() {
+  if (!elements.room) return;
+
+  const available = audioManager.usesAudioGraph();
+  elements.room.hidden = !available;
+  elements.spatialUnavailable.hidden = available;
+
+  // 宏音效没有自己的通道，不在声场中显示
+  const channelSounds = Array.from(appState.playingSounds).filter((name) => soundConfig[name] && !isMacroSound(name));
+
+  elements.room.querySelectorAll(".room-dot").forEach((dot) => dot.remove());
+  channelSounds.forEach((soundName) => {
+    const config = soundConfig[soundName];
+
+    const dot = document.createElement("button");
+    dot.type = "button";
+    dot.className = "room-dot";
+    dot.dataset.sound = soundName;
+    dot.textContent = config.icon;
+    dot.setAttribute("aria-label", `${config.name}的位置，可拖动或用方向键调整`);
+    elements.room.appendChild(dot);
+    updateRoomDot(soundName);
+  });
+
+  if (!channelSounds.includes(selectedSpatialSound)) {
+    selectedSpatialSound = channelSounds[0] || null;
+  }
+
+  if (elements.roomEmpty) {
+    elements.roomEmpty.style.display = channelSounds.length === 0 ? "block" : "none";
+  }
+
+  updateSpatialControls();
+}
+
+/**
+ * 按保存的位置摆放音效图标
+ * @param {string} name - 音效名称
+ */
+function updateRoomDot(name) {
+  const dot = elements.room.querySelector(`.room-dot[data-sound="${name}"]`);
+  if (!dot) return;
+
+  const position = appState.soundPositions[name];
+  dot.style.left = `${50 + (position ? position.x : 0) * 50}%`;
+  dot.style.top = `${50 + (position ? position.y : 0) * 50}%`;
+  dot.classList.toggle("placed", !!position);
+  dot.classList.toggle("drifting", !!(position && position.drift));
+}
+
+/**
+ * 同步选中音效的图标高亮、名称和漂移开关
+ */
+function updateSpatialControls() {
+  if (!elements.room) return;
+
+  elements.room.querySelectorAll(".room-dot").forEach((dot) => {
+    dot.classList.toggle("selected", dot.dataset.sound === selectedSpatialSound);
+  });
+
+  const config = soundConfig[selectedSpatialSound];
+  const position = appState.soundPositions[selectedSpatialSound];
+  elements.spatialSelected.textContent = config ? `${config.icon} ${config.name}` : "未选择";
+  elements.spatialDrift.checked = !!(position && position.drift);
+  elements.spatialDrift.disabled = !config;
+  elements.spatialReset.disabled = !position;
+}
+
+/**
+ * 将指针位置换算为声场坐标
+ * @param {PointerEvent} event - 指针事件
+ * @returns {Object} { x, y }，以声场半径为单位
+ */
+function getRoomPosition(event) {
+  const rect = elements.room.getBoundingClientRect();
+  return {
+    x: ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    y: ((event.clientY - rect.top) / rect.height) * 2 - 1,
+  };
+}
+
+/**
+ * 移动音效到新位置，保留漂移设置；首次放置时使用音效的默认漂移设置
+ * @param {string} name - 音效名称
+ * @param {Object} position - { x, y }
+ */
+function moveSpatialSound(name, position) {
+  const current = appState.soundPositions[name];
+  const drift = current ? current.drift : soundConfig[name].spatialDrift === true;
+  setSoundPosition(name, { ...position, drift });
+  updateRoomDot(name);
+  updateSpatialControls();
+}
+
+/**
+ * 处理声场中按下指针：选中音效并开始拖动
+ */
+function handleRoomPointerDown(event) {
+  const dot = event.target.closest(".room-dot");
+  if (!dot) return;
+
+  event.preventDefault();
+  dot.focus();
+  dot.setPointerCapture(event.pointerId);
+  selectedSpatialSound = dot.dataset.sound;
+  draggingSpatialSound = dot.dataset.sound;
+  updateSpatialControls();
+}
+
+/**
+ * 处理拖动（实时生效）
+ */
+function handleRoomPointerMove(event) {
+  if (!draggingSpatialSound) return;
+  moveSpatialSound(draggingSpatialSound, getRoomPosition(event));
+}
+
+/**
+ * 处理松开指针：结束拖动并保存
+ */
+function handleRoomPointerUp() {
+  if (!draggingSpatialSound) return;
+  draggingSpatialSound = null;
+  saveUserSettings();
+}
+
+/**
+ * 处理方向键移动选中的音效图标
+ */
+function handleRoomKeydown(event) {
+  const dot = event.target.closest(".room-dot");
+  const offsets = {
+    ArrowLeft: [-SPATIAL_KEY_STEP, 0],
+    ArrowRight: [SPATIAL_KEY_STEP, 0],
+    ArrowUp: [0, -SPATIAL_KEY_STEP],
+    ArrowDown: [0, SPATIAL_KEY_STEP],
+  };
+  if (!dot || !offsets[event.key]) return;
+
+  event.preventDefault();
+  const name = dot.dataset.sound;
+  const position = appState.soundPositions[name] || { x: 0, y: 0 };
+  const [dx, dy] = offsets[event.key];
+  selectedSpatialSound = name;
+  moveSpatialSound(name, { x: position.x + dx, y: position.y + dy });
+  saveUserSettings();
+}
+
+/**
+ * 处理漂移开关：未定位的音效开启漂移时放在正前方
+ */
+function handleSpatialDriftToggle(event) {
+  if (!soundConfig[selectedSpatialSound]) return;
+
+  const position = appState.soundPositions[selectedSpatialSound] || { x: 0, y: 0 };
+  setSoundPosition(selectedSpatialSound, { ...position, drift: event.target.checked });
+  updateRoomDot(selectedSpatialSound);
+  updateSpatialControls();
+  saveUserSettings();
+}
+
+/**
+ * 处理恢复居中：取消选中音效的空间定位
+ */
+function handleSpatialReset() {
+  if (!soundConfig[selectedSpatialSound]) return;
+
+  setSoundPosition(selectedSpatialSound, null);
+  updateRoomDot(selectedSpatialSound);
+  updateSpatialControls();
+  saveUserSettings();
+}
+
+/**
+ * 音效是否以HLS录音播放（防重复只对录音有意义）
+ * @param {string} name - 音效名称
+ * @returns {boolean}
+ */
+function isRecordedSound(name) {
+  const config = soundConfig[name];
+  return !!(config && config.path) && !(typeof audioManager.isGenerator === "function" && audioManager.isGenerator(name));
+}
+
+/**
+ * 将防重复选项应用到音频管理器
+ */
+function applyDeRepetition() {
+  if (typeof audioManager.setDeRepetition !== "function") return;
+
+  Object.entries(appState.deRepetition).forEach(([name, options]) => {
+    audioManager.setDeRepetition(name, options);
+  });
+}
+
+/**
+ * 渲染防重复的音效选择
+ */
+function renderDeRepetitionControls() {
+  if (!elements.derepSound) return;
+
+  elements.derepSound.innerHTML = "";
+  Object.entries(soundConfig).forEach(([name, config]) => {
+    if (!isRecordedSound(name)) return;
+
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = `${config.icon} ${config.name}`;
+    elements.derepSound.appendChild(option);
+  });
+
+  // 原生HLS（Safari）无法加载运行时生成的播放列表
+  const canShuffle =
+    typeof audioManager.canShuffleSegments === "function" && audioManager.canShuffleSegments();
+  elements.derepShuffle.disabled = !canShuffle;
+  elements.derepShuffleHint.hidden = canShuffle;
+
+  updateDeRepetitionControls();
+}
+
+/**
+ * 同步所选音效的防重复开关
+ */
+function updateDeRepetitionControls() {
+  const name = elements.derepSound ? elements.derepSound.value : "";
+  if (!soundConfig[name]) return;
+
+  const options = appState.deRepetition[name] || {};
+  elements.derepRandomStart.checked = options.randomStart === true;
+  elements.derepRateDrift.checked = options.rateDrift === true;
+  elements.derepShuffle.checked = options.shuffleSegments === true;
+}
+
+/**
+ * 处理防重复开关
+ */
+function handleDeRepetitionToggle() {
+  const name = elements.derepSound.value;
+  if (!soundConfig[name]) return;
+
+  appState.deRepetition[name] = {
+    randomStart: elements.derepRandomStart.checked,
+    rateDrift: elements.derepRateDrift.checked,
+    shuffleSegments: elements.derepShuffle.checked && !elements.derepShuffle.disabled,
+  };
+
+  if (typeof audioManager.setDeRepetition === "function") {
+    audioManager.setDeRepetition(name, appState.deRepetition[name]);
+  }
+  saveUserSettings();
+}
+
+/**
+ * 获取随机事件类型的当前设置
+ * @param {string} id - 事件类型ID
+ * @returns {Object} { density, volumeMin, volumeMax, spread }
+ */
+function getEventSettings(id) {
+  return EventLayer.normalizeSettings({ ...eventConfig[id], ...appState.eventSettings[id] });
+}
+
+/**
+ * 渲染随机事件类型选择，只列出当前环境可以播放的父音效
+ */
+function renderEventControls() {
+  if (!elements.eventType) return;
+
+  elements.eventType.innerHTML = "";
+  Object.entries(eventConfig).forEach(([id, config]) => {
+    const parents = config.parents.filter((name) => isSoundAvailable(name));
+    if (parents.length === 0) return;
+
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = `${config.icon} ${config.name}（${parents.map((name) => soundConfig[name].name).join("、")}）`;
+    elements.eventType.appendChild(option);
+  });
+
+  updateEventControls();
+}
+
+/**
+ * 同步所选事件类型的控件显示
+ */
+function updateEventControls() {
+  const id = elements.eventType ? elements.eventType.value : "";
+  if (!eventConfig[id]) return;
+
+  const { density, volumeMin, volumeMax, spread } = getEventSettings(id);
+  elements.eventDensity.value = density;
+  elements.eventDensityValue.textContent = density > 0 ? `${density}次/分` : "关闭";
+  elements.eventVolumeMin.value = Math.round(volumeMin * 100);
+  elements.eventVolumeMinValue.textContent = `${Math.round(volumeMin * 100)}%`;
+  elements.eventVolumeMax.value = Math.round(volumeMax * 100);
+  elements.eventVolumeMaxValue.textContent = `${Math.round(volumeMax * 100)}%`;
+  elements.eventSpread.value = Math.round(spread * 100);
+  elements.eventSpreadValue.textContent = `${Math.round(spread * 100)}%`;
+}
+
+/**
+ * 处理随机事件设置变化（实时生效，松开后保存）
+ */
+function handleEventSettingInput(event) {
+  const id = elements.eventType.value;
+  if (!eventConfig[id]) return;
+
+  const control = event.target;
+  const settings = {
+    ...getEventSettings(id),
+    density: parseFloat(elements.eventDensity.value) || 0,
+    volumeMin: (parseInt(elements.eventVolumeMin.value, 10) || 0) / 100,
+    volumeMax: (parseInt(elements.eventVolumeMax.value, 10) || 0) / 100,
+    spread: (parseInt(elements.eventSpread.value, 10) || 0) / 100,
+  };
+
+  // 音量范围交叉时推动另一端
+  if (settings.volumeMin > settings.volumeMax) {
+    if (control === elements.eventVolumeMin) {
+      settings.volumeMax = settings.volumeMin;
+    } else {
+      settings.volumeMin = settings.volumeMax;
+    }
+  }
+
+  appState.eventSettings[id] = EventLayer.normalizeSettings(settings);
+  updateEventControls();
+
+  eventConfig[id].parents.forEach((name) => {
+    const layer = audioManager.getEventLayer ? audioManager.getEventLayer(name) : null;
+    if (layer) {
+      layer.setEventSettings(id, appState.eventSettings[id]);
+    }
+  });
+}
+
+/**
+ * 获取脑波音调音源
+ * @returns {ToneGenerator|null}
+ */
+function getToneGenerator() {
+  if (typeof audioManager.getGenerator !== "function") return null;
+
+  const name = Object.keys(soundConfig).find((key) => soundConfig[key].generator === "tone");
+  return name ? audioManager.getGenerator(name) : null;
+}
+
+/**
+ * 同步脑波音调控件的显示
+ */
+function updateToneControls() {
+  if (!elements.tonePreset) return;
+
+  const { mode, carrier, beat } = appState.toneSettings;
+  elements.tonePreset.value = ToneGenerator.findPreset(appState.toneSettings) || "custom";
+  elements.toneMode.value = mode;
+  elements.toneCarrier.value = carrier;
+  elements.toneCarrierValue.textContent = `${carrier}Hz`;
+  elements.toneBeat.value = beat;
+  elements.toneBeatValue.textContent = `${beat}Hz`;
+  elements.toneHeadphonesWarning.hidden = mode !== "binaural";
+}
+
+/**
+ * 更新脑波音调设置并同步控件，播放中实时生效
+ * @param {Object} settings - { mode, carrier, beat }，省略的字段保持当前值
+ */
+function setToneSettings(settings) {
+  appState.toneSettings = ToneGenerator.normalizeSettings({ ...appState.toneSettings, ...settings });
+  updateToneControls();
+
+  const generator = getToneGenerator();
+  if (generator) {
+    generator.setSettings(appState.toneSettings);
+  }
+}
+
+/**
+ * 处理脑波音调设置变化（播放中实时生效，松开后保存）
+ */
+function handleToneSettingInput(event) {
+  const control = event.target;
+  const previousMode = appState.toneSettings.mode;
+  let settings;
+
+  if (control === elements.tonePreset) {
+    const preset = ToneGenerator.PRESETS[control.value];
+    if (!preset) return; // “自定义”只是显示状态
+    settings = { carrier: preset.carrier, beat: preset.beat };
+  } else if (control === elements.toneMode) {
+    settings = { mode: control.value };
+  } else if (control === elements.toneCarrier) {
+    settings = { carrier: parseFloat(control.value) };
+  } else {
+    settings = { beat: parseFloat(control.value) };
+  }
+
+  setToneSettings(settings);
+
+  if (previousMode !== "binaural" && appState.toneSettings.mode === "binaural") {
+    warnIfHeadphonesNeeded();
+  }
+}
+
+/**
+ * 双耳节拍正在播放时提示佩戴耳机
+ * @param {string} soundName - 刚开始播放的音效，省略时检查当前播放列表
+ */
+function warnIfHeadphonesNeeded(soundName) {
+  const names = soundName ? [soundName] : Array.from(appState.playingSounds);
+  const playingTone = names.some((name) => soundConfig[name]?.generator === "tone");
+
+  if (playingTone && appState.toneSettings.mode === "binaural") {
+    showInfoNotification("🎧", "双耳节拍需要佩戴耳机，外放无法产生节拍效果");
+  }
+}
+
+/**
+ * 渲染唤醒闹钟设置控件
+ */
+function renderAlarmControls() {
+  if (!elements.alarmSounds) return;
+
+  elements.alarmTime.value = appState.alarmTime;
+  elements.alarmWindow.value = String(appState.alarmWindow);
+  elements.alarmVolume.value = appState.alarmVolume;
+  elements.alarmVolumeValue.textContent = `${appState.alarmVolume}%`;
+
+  elements.alarmSounds.innerHTML = "";
+  Object.entries(getAvailableSoundConfig()).forEach(([name, config]) => {
+    const label = document.createElement("label");
+    label.className = "alarm-sound";
+    label.innerHTML = `
+      <input type="checkbox" value="${name}">
+      <span>${config.icon} ${config.name}</span>
+    `;
+    label.querySelector("input").checked = appState.alarmSounds.includes(name);
+    elements.alarmSounds.appendChild(label);
+  });
+
+  updateAlarmStatus(alarmScheduler.getStatus());
+}
+
+/**
+ * 从控件读取唤醒闹钟设置
+ */
+function readAlarmSettings() {
+  if (AlarmScheduler.getNextOccurrence(elements.alarmTime.value)) {
+    appState.alarmTime = elements.alarmTime.value;
+  }
+  appState.alarmWindow = parseInt(elements.alarmWindow.value, 10) || appState.alarmWindow;
+  appState.alarmVolume = Math.max(0, Math.min(100, parseInt(elements.alarmVolume.value, 10) || 0));
+  appState.alarmSounds = Array.from(
+    elements.alarmSounds.querySelectorAll("input:checked"),
+    (input) => input.value
+  );
+  elements.alarmVolumeValue.textContent = `${appState.alarmVolume}%`;
+}
+
+/**
+ * 处理唤醒闹钟设置输入（拖动音量时实时更新显示）
+ */
+function handleAlarmSettingInput() {
+  readAlarmSettings();
+}
+
+/**
+ * 处理唤醒闹钟设置变化：保存设置，等待中的闹钟按新设置重新调度
+ */
+function handleAlarmSettingChange() {
+  readAlarmSettings();
+
+  if (alarmScheduler.getStatus().state === "waiting") {
+    scheduleAlarm();
+  }
+  saveUserSettings();
+}
+
+/**
+ * 处理设定/取消闹钟按钮
+ */
+async function handleAlarmToggle() {
+  if (alarmScheduler.isScheduled()) {
+    alarmScheduler.cancel();
+    updateAlarmStatus(alarmScheduler.getStatus());
+    cancelWakeRamp();
+    saveUserSettings();
+    return;
+  }
+
+  readAlarmSettings();
+  if (appState.alarmSounds.length === 0) {
+    showErrorMessage("请至少选择一个唤醒音效");
+    return;
+  }
+
+  // 在用户点击时解锁音频，保证闹钟时间到时可以播放
+  await audioManager.resumeContext();
+
+  if (scheduleAlarm()) {
+    showInfoNotification("⏰", `闹钟已设定为 ${appState.alarmTime}`);
+  }
+  saveUserSettings();
+}
+
+/**
+ * 按当前设置调度闹钟
+ * @returns {boolean} 是否调度成功
+ */
+function scheduleAlarm() {
+  const target = alarmScheduler.schedule(
+    { time: appState.alarmTime, windowMinutes: appState.alarmWindow },
+    {
+      onRamp: startWakeRamp,
+      onComplete: handleAlarmComplete,
+      onUpdate: updateAlarmStatus,
+    }
+  );
+
+  if (!target) {
+    showErrorMessage("闹钟时间无效");
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 重新设定上次页面中的闹钟
+ * 页面关闭或标签页被回收期间闹钟时间已过时不补响，提示用户闹钟已错过
+ */
+function restoreAlarm() {
+  const saved = pendingAlarm;
+  pendingAlarm = null;
+  if (!saved) return;
+
+  if (saved.targetTime <= Date.now()) {
+    saveUserSettings();
+    showErrorMessage("页面关闭期间已错过设定的闹钟");
+    return;
+  }
+
+  const wake = saved.wake;
+  if (wake && Number.isFinite(wake.volume) && wake.sounds && typeof wake.sounds === "object") {
+    const sounds = {};
+    Object.entries(wake.sounds).forEach(([name, volume]) => {
+      if (soundConfig[name] && Number.isFinite(volume)) {
+        sounds[name] = volume;
+      }
+    });
+    const started = Array.isArray(wake.started) ? wake.started.filter((name) => soundConfig[name]) : [];
+    wakeSnapshot = { volume: wake.volume, sounds, started };
+  }
+
+  if (!scheduleAlarm()) {
+    wakeSnapshot = null;
+    return;
+  }
+
+  // 刷新后的页面需要一次用户交互才能播放声音；渐强已开始时交互后重新启动唤醒音效
+  const onFirstGesture = async () => {
+    document.removeEventListener("pointerdown", onFirstGesture, true);
+    document.removeEventListener("keydown", onFirstGesture, true);
+    await audioManager.resumeContext();
+    if (alarmScheduler.getStatus().state === "ramping") {
+      alarmScheduler.resync();
+    }
+  };
+  document.addEventListener("pointerdown", onFirstGesture, true);
+  document.addEventListener("keydown", onFirstGesture, true);
+
+  showInfoNotification("⏰", `已恢复 ${appState.alarmTime} 的闹钟，轻触页面以允许到时播放`);
+}
+
+/**
+ * 唤醒渐强：在剩余时间内把唤醒音效升到目标音量
+ * 目标音量高于主音量时主音量斜坡升到目标音量，唤醒音效升到满增益；其他音效的增益按倒数曲线同步降低，
+ * 实际音量保持不变。主音量和混音器音量在开始时即写为渐强结束时的值，闹钟响起后与实际播放一致
+ * 页面重新可见时会以新的剩余时间再次调用，始终按渐强开始前的快照计算，目标不变
+ * @param {number} remainingMs - 距闹钟时间的剩余毫秒数
+ */
+async function startWakeRamp(remainingMs) {
+  const duration = Math.max(0, remainingMs / 1000);
+
+  if (!wakeSnapshot) {
+    const sounds = {};
+    [...appState.playingSounds, ...appState.alarmSounds].forEach((soundName) => {
+      if (soundConfig[soundName]) {
+        sounds[soundName] = getSoundVolume(soundName);
+      }
+    });
+    wakeSnapshot = { volume: appState.volume, sounds, started: [] };
+  }
+
+  const finalMaster = Math.max(wakeSnapshot.volume, appState.alarmVolume);
+  const wakeVolume = finalMaster > 0 ? Math.round((appState.alarmVolume / finalMaster) * 100) : 0;
+  const scale = finalMaster > 0 ? wakeSnapshot.volume / finalMaster : 1;
+
+  try {
+    applyMasterVolume(finalMaster, duration);
+
+    // 主音量线性上升的同时按倒数曲线降低其他音效的增益，二者乘积（实际音量）不变
+    appState.playingSounds.forEach((soundName) => {
+      if (appState.alarmSounds.includes(soundName) || !(soundName in wakeSnapshot.sounds)) return;
+
+      const volume = Math.round(wakeSnapshot.sounds[soundName] * scale);
+      appState.soundVolumes[soundName] = volume;
+      audioManager.setSoundGain(soundName, volume / 100, duration, "inverse");
+    });
+
+    for (const soundName of appState.alarmSounds) {
+      if (!soundConfig[soundName]) continue;
+
+      if (!audioManager.isPlaying(soundName)) {
+        await ensureSoundLoaded(soundName);
+        audioManager.setSoundGain(soundName, 0);
+        if (!(await audioManager.playSound(soundName))) {
+          audioManager.setSoundGain(soundName, getSoundVolume(soundName) / 100);
+          continue;
+        }
+        appState.playingSounds.add(soundName);
+        if (!wakeSnapshot.started.includes(soundName)) {
+          wakeSnapshot.started.push(soundName);
+        }
+      }
+
+      appState.soundVolumes[soundName] = wakeVolume;
+      audioManager.setSoundGain(soundName, wakeVolume / 100, duration);
+    }
+
+    if (!appState.isPlaying && appState.playingSounds.size > 0) {
+      appState.isPlaying = true;
+      switchBackgroundTheme(Array.from(appState.playingSounds)[0]);
+    }
+
+    updatePlayButtonState();
+    updateSoundButtonsState();
+    saveUserSettings();
+  } catch (error) {
+    console.error("唤醒渐强失败:", error);
+  }
+}
+
+/**
+ * 到达闹钟时间
+ */
+function handleAlarmComplete() {
+  // 主音量和混音器音量已是渐强结束时的值，不再需要快照
+  wakeSnapshot = null;
+  updateAlarmStatus(alarmScheduler.getStatus());
+  saveUserSettings();
+  showInfoNotification("☀️", "早上好，闹钟时间到了");
+}
+
+/**
+ * 渐强途中取消闹钟：还原渐强前的主音量和混音器音量，停止闹钟启动的唤醒音效
+ */
+function cancelWakeRamp() {
+  if (!wakeSnapshot) return;
+
+  const { volume, sounds, started } = wakeSnapshot;
+  wakeSnapshot = null;
+
+  applyMasterVolume(volume);
+  started.forEach((soundName) => {
+    if (appState.playingSounds.has(soundName)) {
+      audioManager.stopSound(soundName);
+      appState.playingSounds.delete(soundName);
+    }
+  });
+  Object.entries(sounds).forEach(([soundName, soundVolume]) => {
+    appState.soundVolumes[soundName] = soundVolume;
+    // 已停止的音效在下次启动时按混音器音量设置增益，避免打断淡出
+    if (!started.includes(soundName)) {
+      audioManager.setSoundGain(soundName, soundVolume / 100);
+    }
+  });
+
+  appState.isPlaying = appState.playingSounds.size > 0;
+  if (!appState.isPlaying) {
+    resetBackgroundTheme();
+  }
+  updatePlayButtonState();
+  updateSoundButtonsState();
+}
+
+/**
+ * 更新闹钟按钮和状态文字
+ * @param {Object} status - AlarmScheduler状态
+ */
+function updateAlarmStatus(status) {
+  if (!elements.alarmToggle) return;
+
+  const scheduled = status.state !== "idle";
+  elements.alarmToggle.textContent = scheduled ? "取消闹钟" : "设定闹钟";
+  elements.alarmToggle.classList.toggle("active", scheduled);
+  elements.alarmToggle.setAttribute("aria-pressed", scheduled ? "true" : "false");
+
+  if (!scheduled) {
+    elements.alarmStatus.textContent = "";
+  } else if (status.state === "ramping") {
+    elements.alarmStatus.textContent = "正在渐强唤醒…";
+  } else {
+    const target = new Date(status.targetTime);
+    const clock = `${String(target.getHours()).padStart(2, "0")}:${String(target.getMinutes()).padStart(2, "0")}`;
+    const totalMinutes = Math.ceil(status.remainingTime / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    const remaining = hours > 0 ? `${hours}小时${minutes}分钟` : `${minutes}分钟`;
+    elements.alarmStatus.textContent = `将于 ${clock} 唤醒（${remaining}后）`;
+  }
+}
+
+/**
+ * 校验番茄钟阶段混音 { label, mix }
+ * @param {Object} entry - 保存的阶段混音
+ * @returns {Object|null} 有效时返回原对象，否则返回null（不切换声音）
+ */
+function normalizePomodoroMix(entry) {
+  return entry && typeof entry.label === "string" && entry.mix && typeof entry.mix.sounds === "object"
+    ? entry
+    : null;
+}
+
+/**
+ * 获取阶段对应的混音
+ * @param {string} phase - work / shortBreak / longBreak
+ * @returns {Object|null} { label, mix }，null为不切换声音
+ */
+function getPomodoroMix(phase) {
+  return phase === "work" ? appState.pomodoro.workMix : appState.pomodoro.breakMix;
+}
+
+/**
+ * 渲染番茄钟设置控件
+ */
+function renderPomodoroControls() {
+  if (!elements.pomodoroToggle || !pomodoroTimer) return;
+
+  const running = pomodoroTimer.isActive();
+  [
+    [elements.pomodoroWork, "work"],
+    [elements.pomodoroShortBreak, "shortBreak"],
+    [elements.pomodoroLongBreak, "longBreak"],
+    [elements.pomodoroCycles, "cycles"],
+  ].forEach(([control, field]) => {
+    control.value = appState.pomodoro[field];
+    control.disabled = running; // 时长在下次开始时生效
+  });
+
+  // 混音选择框第一项为已选的混音，其余选项用于替换
+  const presets = presetManager ? presetManager.getAll() : [];
+  [
+    [elements.pomodoroWorkMix, appState.pomodoro.workMix],
+    [elements.pomodoroBreakMix, appState.pomodoro.breakMix],
+  ].forEach(([select, entry]) => {
+    select.innerHTML = `
+      <option value=""></option>
+      <option value="none">不切换声音</option>
+      <option value="silence">静音</option>
+      <option value="current">使用当前混音</option>
+    `;
+    // 混音名称可能来自预设名称（用户输入），使用textContent避免注入
+    select.options[0].textContent = entry ? entry.label : "不切换声音";
+    presets.forEach((preset) => {
+      const option = document.createElement("option");
+      option.value = preset.id;
+      option.textContent = `预设：${preset.name}`;
+      select.appendChild(option);
+    });
+  });
+
+  updatePomodoroControls(pomodoroTimer.getStatus());
+}
+
+/**
+ * 同步番茄钟按钮、状态和完成记录
+ * @param {Object} status - PomodoroTimer.getStatus()
+ */
+function updatePomodoroControls(status) {
+  if (!elements.pomodoroToggle) return;
+
+  const running = !!status.phase;
+  elements.pomodoroToggle.textContent = running ? "结束番茄钟" : "开始专注";
+  elements.pomodoroToggle.classList.toggle("active", running);
+  elements.pomodoroToggle.setAttribute("aria-pressed", running ? "true" : "false");
+
+  if (!running) {
+    elements.pomodoroStatus.textContent = "";
+  } else if (status.isPaused) {
+    elements.pomodoroStatus.textContent = `${POMODORO_PHASE_NAMES[status.phase]}已暂停`;
+  } else {
+    elements.pomodoroStatus.textContent =
+      `${POMODORO_PHASE_NAMES[status.phase]}中（本轮第${status.cycle}/${status.cycles}个）`;
+  }
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const todayWork = pomodoroTimer.getHistory(today.getTime()).filter((entry) => entry.phase === "work");
+  const totalWork = pomodoroTimer.getHistory().filter((entry) => entry.phase === "work").length;
+  const todayMinutes = todayWork.reduce((sum, entry) => sum + entry.minutes, 0);
+  elements.pomodoroHistory.textContent = totalWork > 0
+    ? `今天完成${todayWork.length}个番茄（专注${todayMinutes}分钟），累计${totalWork}个`
+    : "还没有完成的番茄";
+  elements.clearPomodoroHistory.disabled = totalWork === 0;
+}
+
+/**
+ * 处理番茄钟时长和每轮次数变化
+ */
+function handlePomodoroSettingChange() {
+  appState.pomodoro = {
+    ...appState.pomodoro,
+    ...PomodoroTimer.normalizeSettings({
+      work: elements.pomodoroWork.value,
+      shortBreak: elements.pomodoroShortBreak.value,
+      longBreak: elements.pomodoroLongBreak.value,
+      cycles: elements.pomodoroCycles.value,
+    }),
+  };
+  renderPomodoroControls();
+  saveUserSettings();
+}
+
+/**
+ * 处理专注/休息混音选择
+ */
+function handlePomodoroMixChange(event) {
+  const select = event.target;
+  const field = select === elements.pomodoroWorkMix ? "workMix" : "breakMix";
+  let entry = appState.pomodoro[field];
+
+  if (select.value === "none") {
+    entry = null;
+  } else if (select.value === "silence") {
+    entry = { label: "静音", mix: { sounds: {} } };
+  } else if (select.value === "current") {
+    const mix = getCurrentMix();
+    if (Object.keys(mix.sounds).length === 0) {
+      showErrorMessage("请先播放至少一个音效");
+    } else {
+      entry = { label: describeMix(mix), mix };
+    }
+  } else if (select.value) {
+    const preset = presetManager.get(select.value);
+    if (preset) {
+      entry = { label: preset.name, mix: JSON.parse(JSON.stringify(preset.mix)) };
+    }
+  }
+
+  appState.pomodoro = { ...appState.pomodoro, [field]: entry };
+  renderPomodoroControls();
+  saveUserSettings();
+}
+
+/**
+ * 处理开始/结束番茄钟按钮
+ */
+async function handlePomodoroToggle() {
+  if (pomodoroTimer.isActive()) {
+    stopPomodoro();
+  } else {
+    await startPomodoro();
+  }
+}
+
+/**
+ * 开始番茄钟：结束睡眠定时器（以及依赖它的场景和流程），从专注阶段开始
+ */
+async function startPomodoro() {
+  try {
+    if (timerManager.isActive() || timerManager.isPaused()) {
+      handleCancelTimer();
+    }
+
+    // 在用户点击时解锁音频，保证阶段切换时可以播放提示音
+    await audioManager.resumeContext();
+
+    pomodoroTimer.start(appState.pomodoro);
+    renderPomodoroControls();
+    await handlePomodoroPhase("work");
+  } catch (error) {
+    console.error("开始番茄钟失败:", error);
+    showErrorMessage("番茄钟开始失败，请重试");
+  }
+}
+
+/**
+ * 结束番茄钟，当前的声音保持不变
+ */
+function stopPomodoro() {
+  pomodoroTimer.stop();
+  updateTimerDisplay({ isActive: false });
+  if (elements.timerDetail) {
+    elements.timerDetail.hidden = true;
+  }
+  renderPomodoroControls();
+}
+
+/**
+ * 进入新阶段：播放提示音，交叉淡化到该阶段的混音
+ * @param {string} phase - work / shortBreak / longBreak
+ */
+async function handlePomodoroPhase(phase) {
+  playPomodoroChime(phase);
+  showInfoNotification("🍅", `${POMODORO_PHASE_NAMES[phase]}开始`);
+  renderPomodoroControls();
+
+  const entry = getPomodoroMix(phase);
+  if (entry) {
+    await morphToMix(entry.mix, POMODORO_CROSSFADE_SECONDS);
+  }
+}
+
+/**
+ * 播放阶段切换提示音（需要音频图，回退模式下不播放）
+ * @param {string} phase - 新阶段，决定音型
+ */
+function playPomodoroChime(phase) {
+  if (!audioGraph || !audioGraph.isSupported()) return;
+
+  try {
+    Chime.play(audioGraph.getContext(), audioGraph.getMasterInput(), phase);
+  } catch (error) {
+    console.warn("播放提示音失败:", error);
+  }
+}
+
+/**
+ * 番茄钟每秒更新：在定时器区域显示阶段进度
+ * @param {Object} status - PomodoroTimer.getStatus()
+ */
+function handlePomodoroUpdate(status) {
+  updateTimerDisplay(status);
+  updatePomodoroControls(status);
+
+  if (elements.timerDetail) {
+    elements.timerDetail.hidden = !status.phase;
+    if (status.phase) {
+      elements.timerDetail.textContent =
+        `🍅 ${POMODORO_PHASE_NAMES[status.phase]} · 本轮第${status.cycle}/${status.cycles}个`;
+    }
+  }
+}
+
+/**
+ * 刷新页面后恢复了番茄钟：等待用户点击后播放当前阶段的混音（浏览器自动播放策略要求用户手势）
+ */
+function promptPomodoroResume() {
+  const status = pomodoroTimer.getStatus();
+  const entry = getPomodoroMix(status.phase);
+  if (!entry || Object.keys(entry.mix.sounds).length === 0) return;
+
+  showStartPrompt("轻触继续番茄钟", `${POMODORO_PHASE_NAMES[status.phase]}：${entry.label}`, async () => {
+    if (!(await applyMix(entry.mix))) {
+      showErrorMessage("番茄钟混音播放失败，请重试");
+    }
+  });
+}
+
+/**
+ * 处理清空番茄钟记录
+ */
+function handleClearPomodoroHistory() {
+  if (window.confirm("清空所有番茄钟完成记录？")) {
+    pomodoroTimer.clearHistory();
+    updatePomodoroControls(pomodoroTimer.getStatus());
+  }
+}
+
+/**
+ * 读取场景定义，无效的场景忽略
+ */
+async function loadScenes() {
+  try {
+    const response = await fetch(SCENES_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const definitions = await response.json();
+    scenes = {};
+    Object.entries(definitions).forEach(([id, definition]) => {
+      try {
+        scenes[id] = new SceneTimeline(definition);
+      } catch (error) {
+        console.warn(`忽略无效的场景 ${id}:`, error);
+      }
+    });
+  } catch (error) {
+    console.warn("读取场景失败:", error);
+  }
+}
+
+/**
+ * 渲染场景选择控件
+ */
+function renderSceneControls() {
+  if (!elements.sceneSelect) return;
+
+  elements.sceneSelect.innerHTML = "";
+  Object.entries(scenes).forEach(([id, timeline]) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = `${timeline.name || id}（${Math.round(timeline.getDuration())}分钟）`;
+    elements.sceneSelect.appendChild(option);
+  });
+
+  updateSceneControls();
+}
+
+/**
+ * 同步场景按钮和进度
+ */
+function updateSceneControls() {
+  if (!elements.sceneToggle) return;
+
+  const running = !!activeScene;
+  const available = Object.keys(scenes).length > 0;
+  elements.sceneToggle.textContent = running ? "停止场景" : "开始场景";
+  elements.sceneToggle.classList.toggle("active", running);
+  elements.sceneToggle.setAttribute("aria-pressed", running ? "true" : "false");
+  elements.sceneToggle.disabled = !available;
+  elements.sceneSelect.disabled = running || !available;
+
+  if (!available) {
+    elements.sceneStatus.textContent = "没有可用的场景";
+  } else if (!running) {
+    elements.sceneStatus.textContent = "";
+  } else {
+    const minutes = Math.floor(getSceneMinutes());
+    const end = Math.round(activeScene.timeline.getEnd());
+    if (timerManager.isPaused()) {
+      elements.sceneStatus.textContent = `已随定时器暂停（第${minutes}分钟）`;
+    } else if (minutes >= end) {
+      elements.sceneStatus.textContent = "已到最后一幕，保持当前声音";
+    } else {
+      elements.sceneStatus.textContent = `第${minutes}分钟，共${end}分钟`;
+    }
+  }
+}
+
+/**
+ * 获取场景开始后经过的分钟数（按定时器的时钟，不含暂停时间）
+ * @returns {number}
+ */
+function getSceneMinutes() {
+  return activeScene ? Math.max(0, timerManager.getElapsedTime() - activeScene.offset) / 60000 : 0;
+}
+
+/**
+ * 处理开始/停止场景按钮
+ */
+async function handleSceneToggle() {
+  if (activeScene) {
+    stopScene();
+  } else {
+    await startScene(elements.sceneSelect.value);
+  }
+}
+
+/**
+ * 开始场景：停止场景以外的音效，从第一个关键帧开始播放
+ * 场景跟随定时器推进，没有定时器时按场景时长启动定时器
+ * @param {string} id - 场景ID
+ */
+async function startScene(id) {
+  const timeline = scenes[id];
+  if (!timeline) return;
+
+  try {
+    stopRoutine();
+    if (!timerManager.isActive() && !timerManager.isPaused()) {
+      startTimer(timeline.getDuration());
+    }
+    activeScene = { id, timeline, offset: timerManager.getElapsedTime(), volumes: {} };
+
+    const sceneSounds = timeline.getSounds();
+    Array.from(appState.playingSounds).forEach((soundName) => {
+      if (!sceneSounds.includes(soundName)) {
+        audioManager.stopSound(soundName);
+        appState.playingSounds.delete(soundName);
+      }
+    });
+
+    appState.isPlaying = true;
+    resumeTimerWithPlayback();
+    await updateScene(0);
+
+    if (appState.playingSounds.size === 0) {
+      appState.isPlaying = false;
+      resetBackgroundTheme();
+    } else {
+      switchBackgroundTheme(Array.from(appState.playingSounds)[0]);
+    }
+    updatePlayButtonState();
+    updateSoundButtonsState();
+    saveUserSettings();
+    showInfoNotification("🎬", `场景「${timeline.name || id}」已开始`);
+  } catch (error) {
+    console.error("开始场景失败:", error);
+    showErrorMessage("场景开始失败，请重试");
+  }
+}
+
+/**
+ * 停止场景，当前的声音保持不变
+ * 仍在播放的音效以场景给出的音量作为混音器音量，场景停止或尚未开始的音效保留原来的音量
+ * @param {boolean} keepVolumes - 是否保留场景音量，音效随后全部停止时（定时器到期）传false
+ */
+function stopScene(keepVolumes = true) {
+  if (!activeScene) return;
+
+  if (keepVolumes) {
+    Object.entries(activeScene.volumes).forEach(([soundName, volume]) => {
+      if (appState.playingSounds.has(soundName)) {
+        appState.soundVolumes[soundName] = volume;
+      }
+    });
+    saveUserSettings();
+  }
+
+  activeScene = null;
+  updateSceneControls();
+}
+
+/**
+ * 按场景进度更新各音效音量和主输出滤波
+ * 暂停播放时只刷新进度，恢复播放后由下一次更新补上
+ * @param {number} duration - 过渡时长（秒），以该斜坡过渡到下一次更新时的状态
+ */
+async function updateScene(duration = 1) {
+  if (!activeScene || sceneUpdating) return;
+
+  updateSceneControls();
+  if (!appState.isPlaying) return;
+
+  sceneUpdating = true;
+  try {
+    const scene = activeScene;
+    const state = scene.timeline.getStateAt(getSceneMinutes() + duration / 60);
+    let changed = false;
+
+    for (const [soundName, value] of Object.entries(state.sounds)) {
+      if (!soundConfig[soundName]) continue;
+
+      const volume = Math.round(value);
+      scene.volumes[soundName] = volume;
+
+      if (volume === 0) {
+        if (appState.playingSounds.has(soundName)) {
+          audioManager.stopSound(soundName);
+          appState.playingSounds.delete(soundName);
+          changed = true;
+        }
+        continue;
+      }
+
+      if (!appState.playingSounds.has(soundName)) {
+        stopConflictingSounds(soundName);
+        await ensureSoundLoaded(soundName);
+        audioManager.setSoundGain(soundName, 0);
+        if (!(await audioManager.playSound(soundName))) continue;
+        appState.playingSounds.add(soundName);
+        changed = true;
+      }
+      audioManager.setSoundGain(soundName, volume / 100, duration);
+    }
+
+    if (state.muffle !== undefined || state.lowCut !== undefined) {
+      if (state.muffle !== undefined) {
+        appState.muffle = Math.round(state.muffle);
+      }
+      if (state.lowCut !== undefined) {
+        appState.lowCut = normalizeLowCut(state.lowCut);
+      }
+      audioManager.setMasterFilter(getMasterFilterSettings());
+      updateEqControls();
+    }
+
+    Object.entries(state.intensity).forEach(([name, intensity]) => {
+      if (isMacroSound(name) && getMacroIntensity(name) !== MacroSound.clampIntensity(intensity)) {
+        setMacroIntensity(name, intensity);
+      }
+    });
+
+    // 播放列表变化时重新渲染按钮和混音器，否则只刷新混音器数值
+    if (changed) {
+      updateSoundButtonsState();
+      saveUserSettings();
+    } else {
+      updateMixerValues();
+    }
+  } catch (error) {
+    console.error("场景更新失败:", error);
+  } finally {
+    sceneUpdating = false;
+  }
+}
+
+/**
+ * 生成混音的简短描述（音效图标和名称）
+ * @param {Object} mix - 混音数据
+ * @returns {string}
+ */
+function describeMix(mix) {
+  const names = Object.keys(mix.sounds)
+    .filter((name) => soundConfig[name])
+    .map((name) => `${soundConfig[name].icon}${soundConfig[name].name}`);
+  return names.length > 0 ? names.join(" + ") : "静音";
+}
+
+/**
+ * 渲染编辑中的流程步骤
+ * 每步的混音选择框第一项为已选的混音，选择“当前混音”或预设时替换为新的快照
+ */
+function renderRoutineDraft() {
+  if (!elements.routineSteps || !presetManager) return;
+
+  const presets = presetManager.getAll();
+  elements.routineSteps.innerHTML = "";
+
+  routineDraft.forEach((step, index) => {
+    const item = document.createElement("li");
+    item.className = "routine-step";
+    item.dataset.index = String(index);
+    item.innerHTML = `
+      <div class="routine-step-head">
+        <span class="routine-step-number">${index + 1}</span>
+        <select class="settings-input settings-select routine-step-mix" aria-label="第${index + 1}步的混音">
+          <option value=""></option>
+          <option value="current">使用当前混音</option>
+        </select>
+        <button class="preset-action" data-action="remove" aria-label="删除步骤">×</button>
+      </div>
+      <div class="routine-step-options">
+        <input type="number" class="settings-input routine-step-minutes" min="${RoutineManager.STEP_MINUTES_RANGE[0]}" max="${RoutineManager.STEP_MINUTES_RANGE[1]}" value="${step.minutes}" aria-label="时长（分钟）">
+        <span class="settings-hint">分钟</span>
+        <select class="settings-input settings-select routine-step-transition" aria-label="进入方式">
+          <option value="crossfade">交叉淡化</option>
+          <option value="cut">直接切换</option>
+        </select>
+        <label class="routine-step-fade">
+          <input type="checkbox" class="routine-step-fade-toggle"${step.fadeOut ? " checked" : ""}>
+          渐弱
+        </label>
+      </div>
+    `;
+
+    // 步骤名称和预设名称为用户输入，使用textContent避免注入
+    const mixSelect = item.querySelector(".routine-step-mix");
+    mixSelect.options[0].textContent = step.label;
+    presets.forEach((preset) => {
+      const option = document.createElement("option");
+      option.value = preset.id;
+      option.textContent = `预设：${preset.name}`;
+      mixSelect.appendChild(option);
+    });
+    item.querySelector(".routine-step-transition").value = step.transition;
+    elements.routineSteps.appendChild(item);
+  });
+
+  if (elements.addRoutineStep) {
+    elements.addRoutineStep.disabled = routineDraft.length >= RoutineManager.MAX_STEPS;
+  }
+}
+
+/**
+ * 添加流程步骤：使用当前混音，没有播放时使用最近的预设
+ */
+function handleAddRoutineStep() {
+  if (routineDraft.length >= RoutineManager.MAX_STEPS) return;
+
+  let mix = getCurrentMix();
+  let label = describeMix(mix);
+  if (Object.keys(mix.sounds).length === 0) {
+    const [preset] = presetManager.getAll();
+    if (!preset) {
+      showErrorMessage("请先播放音效或保存预设");
+      return;
+    }
+    mix = preset.mix;
+    label = preset.name;
+  }
+
+  routineDraft.push(
+    RoutineManager.normalizeStep({
+      label,
+      mix,
+      minutes: RoutineManager.DEFAULT_STEP_MINUTES,
+      transition: "crossfade",
+      fadeOut: false,
+    })
+  );
+  renderRoutineDraft();
+}
+
+/**
+ * 处理流程步骤设置变化（混音、时长、进入方式、渐弱）
+ */
+function handleRoutineStepChange(event) {
+  const control = event.target;
+  const item = control.closest(".routine-step");
+  const step = item ? routineDraft[parseInt(item.dataset.index, 10)] : null;
+  if (!step) return;
+
+  if (control.classList.contains("routine-step-mix")) {
+    if (control.value === "current") {
+      const mix = getCurrentMix();
+      if (Object.keys(mix.sounds).length === 0) {
+        showErrorMessage("请先播放至少一个音效");
+      } else {
+        step.mix = JSON.parse(JSON.stringify(mix));
+        step.label = describeMix(mix);
+      }
+    } else if (control.value) {
+      const preset = presetManager.get(control.value);
+      if (preset) {
+        step.mix = JSON.parse(JSON.stringify(preset.mix));
+        step.label = preset.name;
+      }
+    }
+    renderRoutineDraft();
+  } else if (control.classList.contains("routine-step-minutes")) {
+    const [min, max] = RoutineManager.STEP_MINUTES_RANGE;
+    step.minutes = Math.max(min, Math.min(max, parseInt(control.value, 10) || step.minutes));
+    control.value = step.minutes;
+  } else if (control.classList.contains("routine-step-transition")) {
+    step.transition = control.value;
+  } else if (control.classList.contains("routine-step-fade-toggle")) {
+    step.fadeOut = control.checked;
+  }
+}
+
+/**
+ * 处理流程步骤的删除按钮
+ */
+function handleRoutineStepClick(event) {
+  const button = event.target.closest('[data-action="remove"]');
+  const item = event.target.closest(".routine-step");
+  if (!button || !item) return;
+
+  routineDraft.splice(parseInt(item.dataset.index, 10), 1);
+  renderRoutineDraft();
+}
+
+/**
+ * 处理保存流程
+ */
+function handleSaveRoutine() {
+  try {
+    const name = elements.routineName.value.trim();
+    if (!name) {
+      showErrorMessage("请输入流程名称");
+      return;
+    }
+
+    if (routineDraft.length === 0) {
+      showErrorMessage("请先添加至少一个步骤");
+      return;
+    }
+
+    if (routineManager.save(name, routineDraft)) {
+      routineDraft = [];
+      elements.routineName.value = "";
+      renderRoutineDraft();
+      renderRoutineList();
+    } else {
+      showErrorMessage("保存流程失败，请重试");
+    }
+  } catch (error) {
+    console.error("保存流程失败:", error);
+    showErrorMessage("保存流程失败，请重试");
+  }
+}
+
+/**
+ * 渲染已保存的流程列表，正在进行的流程高亮显示
+ */
+function renderRoutineList() {
+  if (!elements.routineList || !routineManager) return;
+
+  const routines = routineManager.getAll();
+  elements.routineList.innerHTML = "";
+
+  routines.forEach((routine) => {
+    const running = !!activeRoutine && activeRoutine.routine.id === routine.id;
+    const item = document.createElement("li");
+    item.className = `preset-item routine-item${running ? " active" : ""}`;
+    item.dataset.id = routine.id;
+    item.innerHTML = `
+      <button class="preset-load" data-action="toggle" title="${running ? "停止流程" : "开始流程"}" aria-pressed="${running}">
+        <span class="preset-name"></span>
+        <span class="preset-summary">${running ? "进行中 · " : ""}${routine.steps.length}步 · ${RoutineManager.getTotalMinutes(routine)}分钟</span>
+      </button>
+      <button class="preset-action" data-action="edit" aria-label="编辑">✎</button>
+      <button class="preset-action" data-action="delete" aria-label="删除">×</button>
+    `;
+    item.querySelector(".preset-name").textContent = routine.name;
+    elements.routineList.appendChild(item);
+  });
+
+  if (elements.routineEmpty) {
+    elements.routineEmpty.style.display = routines.length === 0 ? "block" : "none";
+  }
+}
+
+/**
+ * 处理流程列表点击（开始/停止、编辑、删除）
+ */
+async function handleRoutineListClick(event) {
+  const button = event.target.closest("[data-action]");
+  const item = event.target.closest(".routine-item");
+  if (!button || !item) return;
+
+  const routine = routineManager.get(item.dataset.id);
+  if (!routine) return;
+
+  switch (button.dataset.action) {
+    case "toggle":
+      if (activeRoutine && activeRoutine.routine.id === routine.id) {
+        stopRoutine();
+      } else {
+        await startRoutine(routine.id);
+      }
+      break;
+
+    case "edit":
+      // 载入编辑区，以同名保存时覆盖原流程
+      routineDraft = routine.steps.map((step) => RoutineManager.normalizeStep(step));
+      elements.routineName.value = routine.name;
+      renderRoutineDraft();
+      break;
+
+    case "delete":
+      if (window.confirm(`删除流程“${routine.name}”？`)) {
+        if (activeRoutine && activeRoutine.routine.id === routine.id) {
+          stopRoutine();
+        }
+        routineManager.remove(routine.id);
+        renderRoutineList();
+      }
+      break;
+  }
+}
+
+/**
+ * 获取流程开始后经过的分钟数（按定时器的时钟，不含暂停时间）
+ * @returns {number}
+ */
+function getRoutineMinutes() {
+  return activeRoutine ? Math.max(0, timerManager.getElapsedTime() - activeRoutine.offset) / 60000 : 0;
+}
+
+/**
+ * 定位流程当前所在的步骤
+ * 最后一步延续到定时器结束，延长或重新设定定时器后随之调整
+ * @returns {Object|null} { index, elapsed, remaining }（分钟），没有进行中的流程时返回null
+ */
+function locateRoutineStep() {
+  if (!activeRoutine) return null;
+
+  const { routine } = activeRoutine;
+  const minutes = getRoutineMinutes();
+  const position = RoutineManager.locate(routine, minutes);
+  const lastIndex = routine.steps.length - 1;
+  if (position && position.index < lastIndex) {
+    return position;
+  }
+
+  const lastStart = RoutineManager.getTotalMinutes(routine) - routine.steps[lastIndex].minutes;
+  return {
+    index: lastIndex,
+    elapsed: Math.max(0, minutes - lastStart),
+    remaining: timerManager.getRemainingTime() / 60000,
+  };
+}
+
+/**
+ * 计算渐弱步骤的电平：在步骤时长内随剩余时间线性降到0
+ * @param {number} lookaheadMs - 提前量（毫秒），与睡眠渐弱一样以斜坡过渡到下一次更新时的电平
+ * @returns {number} 渐弱系数 (0-1)，当前步骤不渐弱时为1
+ */
+function getRoutineFadeLevel(lookaheadMs = 0) {
+  const position = locateRoutineStep();
+  if (!position || position.index !== activeRoutine.stepIndex) {
+    return 1;
+  }
+
+  const step = activeRoutine.routine.steps[position.index];
+  const length = position.elapsed + position.remaining;
+  if (!step.fadeOut || length <= 0) {
+    return 1;
+  }
+  return Math.max(0, Math.min(1, (position.remaining - lookaheadMs / 60000) / length));
+}
+
+/**
+ * 开始睡前流程：按总时长启动定时器，从第一步开始播放
+ * @param {string} id - 流程ID
+ */
+async function startRoutine(id) {
+  const routine = routineManager.get(id);
+  if (!routine) return;
+
+  try {
+    stopScene();
+    stopRoutine();
+
+    startTimer(RoutineManager.getTotalMinutes(routine));
+    if (!timerManager.isActive()) return;
+    elements.timerButtons.forEach((btn) => btn.classList.remove("active"));
+    elements.customTimerBtn.classList.add("active");
+
+    activeRoutine = { routine, offset: timerManager.getElapsedTime(), stepIndex: -1 };
+    renderRoutineList();
+    await updateRoutine();
+    showInfoNotification("🛏️", `睡前流程已开始，共${routine.steps.length}步`);
+  } catch (error) {
+    console.error("开始睡前流程失败:", error);
+    showErrorMessage("睡前流程开始失败，请重试");
+  }
+}
+
+/**
+ * 停止睡前流程，当前的声音和定时器保持不变（渐弱在下一次定时器更新时恢复）
+ */
+function stopRoutine() {
+  if (!activeRoutine) return;
+
+  activeRoutine = null;
+  renderRoutineList();
+  updateRoutineStatus();
+}
+
+/**
+ * 按流程进度切换步骤，渐弱由定时器更新时的主输出渐弱完成
+ * 暂停播放时只刷新进度，恢复播放后由下一次更新切换到当前步骤
+ */
+async function updateRoutine() {
+  if (!activeRoutine || routineUpdating) return;
+
+  updateRoutineStatus();
+  const previousIndex = activeRoutine.stepIndex;
+  if (previousIndex >= 0 && !appState.isPlaying) return;
+
+  const position = locateRoutineStep();
+  if (position.index === previousIndex) return;
+
+  routineUpdating = true;
+  try {
+    const { steps } = activeRoutine.routine;
+    const step = steps[position.index];
+    activeRoutine.stepIndex = position.index;
+
+    // 上一步已渐弱到静音时直接停止，避免主输出恢复时重新响起
+    if (previousIndex >= 0 && steps[previousIndex].fadeOut) {
+      audioManager.stopAllSounds(0);
+      appState.playingSounds.clear();
+    }
+
+    await playMix(step.mix, step.transition === "cut" ? 0 : ROUTINE_CROSSFADE_SECONDS);
+    if (previousIndex >= 0) {
+      showInfoNotification("🛏️", `进入第${position.index + 1}步`);
+    }
+  } catch (error) {
+    console.error("睡前流程更新失败:", error);
+  } finally {
+    routineUpdating = false;
+  }
+}
+
+/**
+ * 在定时器区域显示流程的当前步骤和本步剩余时间
+ */
+function updateRoutineStatus() {
+  if (!elements.timerDetail) return;
+
+  const position = locateRoutineStep();
+  elements.timerDetail.hidden = !position;
+  if (!position) return;
+
+  const { routine } = activeRoutine;
+  const step = routine.steps[position.index];
+  const remaining = formatTime(Math.ceil(position.remaining * 60));
+  elements.timerDetail.textContent =
+    `${routine.name} · 第${position.index + 1}/${routine.steps.length}步 ${step.label} · 本步剩余 ${remaining}`;
+}
+
+/**
+ * 处理hash变化（页面已打开时粘贴了新的分享链接）
+ */
+function handleHashChange() {
+  const sharedMix = mixLinkCodec ? mixLinkCodec.decode(window.location.hash) : null;
+  if (sharedMix) {
+    pendingSharedMix = sharedMix;
+    presentSharedMix(sharedMix);
+  }
+}
+
+/**
+ * 清除地址栏中的分享hash，避免刷新后重复提示
+ */
+function clearShareHash() {
+  try {
+    history.replaceState(null, "", window.location.pathname + window.location.search);
+  } catch (error) {
+    console.warn("清除分享链接失败:", error);
+  }
+}
+
+/**
+ * 处理复制分享链接
+ */
+async function handleCopyShareLink() {
+  try {
+    const mix = getCurrentMix();
+    if (Object.keys(mix.sounds).length === 0) {
+      showErrorMessage("请先播放至少一个音效");
+      return;
+    }
+
+    const timer = timerManager && (timerManager.isActive() || timerManager.isPaused())
+      ? Math.ceil(timerManager.getRemainingTime() / 60000)
+      : null;
+    const url = mixLinkCodec.buildUrl({ ...mix, timer });
+
+    if (await copyTextToClipboard(url)) {
+      showInfoNotification("🔗", "分享链接已复制");
+    } else {
+      showErrorMessage("复制失败，请手动复制地址栏链接");
+      history.replaceState(null, "", url);
+    }
+  } catch (error) {
+    console.error("复制分享链接失败:", error);
+    showErrorMessage("复制分享链接失败，请重试");
+  }
+}
+
+/**
+ * 复制文本到剪贴板（优先使用Clipboard API，回退到execCommand）
+ * @param {string} text - 要复制的文本
+ * @returns {Promise<boolean>} 是否复制成功
+ */
+async function copyTextToClipboard(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (error) {
+      console.warn("Clipboard API复制失败，尝试回退方案:", error);
+    }
+  }
+
+  const textarea = document.createElement("textarea");
+  textarea.value = text;
+  textarea.setAttribute("readonly", "");
+  textarea.style.position = "fixed";
+  textarea.style.opacity = "0";
+  document.body.appendChild(textarea);
+  textarea.select();
+
+  let copied = false;
+  try {
+    copied = document.execCommand("copy");
+  } catch (error) {
+    copied = false;
+  }
+  textarea.remove();
+  return copied;
+}
+
+// 开始播放提示的回调
+let startPromptHandler = null;
+
+/**
+ * 显示开始播放提示
+ * @param {string} title - 提示标题
+ * @param {string} detail - 详细说明
+ * @param {Function} onStart - 用户点击开始后的回调
+ */
+function showStartPrompt(title, detail, onStart) {
+  if (!elements.startPrompt) return;
+
+  elements.startPromptTitle.textContent = title;
+  elements.startPromptDetail.textContent = detail || "";
+  startPromptHandler = onStart;
+  elements.startPrompt.style.display = "flex";
+  elements.startPromptBtn.focus();
+}
+
+/**
+ * 隐藏开始播放提示
+ */
+function hideStartPrompt() {
+  if (!elements.startPrompt) return;
+
+  elements.startPrompt.style.display = "none";
+  startPromptHandler = null;
+}
+
+/**
+ * 处理开始播放提示点击
+ */
+async function handleStartPromptClick() {
+  const handler = startPromptHandler;
+  hideStartPrompt();
+
+  if (typeof handler === "function") {
+    try {
+      await handler();
+    } catch (error) {
+      console.error("开始播放失败:", error);
+      showErrorMessage("播放失败，请重试");
+    }
+  }
+}
+
+/**
+ * 更新音效按钮的加载状态（已移除UI显示）
+ * @param {string} soundName - 音效名称
+ * @param {string} status - 加载状态
+ */
+function updateSoundButtonLoadingState(soundName, status) {
+  // 不再更新UI，也不记录日志
+}
+
+/**
+ * 更新音效按钮的加载进度（已移除UI显示）
+ * @param {string} soundName - 音效名称
+ * @param {number} progress - 进度百分比
+ */
+function updateSoundButtonProgress(soundName, progress) {
+  // 不再更新UI，也不记录日志
+}
 
 /**
  * 为音效按钮添加进度指示器（已移除UI显示）
@@ -805,19 +4676,176 @@ function addProgressIndicator(button) {
 function updateTimerDisplay(status) {
   if (!elements.timerDisplay || !elements.timerStatus) return;
 
-  if (status.isActive) {
+  if (status.isActive || status.isPaused) {
     elements.timerDisplay.textContent = status.remainingTimeFormatted;
     elements.timerStatus.style.display = "block";
+    elements.timerStatus.classList.toggle("paused", !!status.isPaused);
+    // 番茄钟的状态带有阶段，圆环按阶段着色
+    if (status.phase) {
+      elements.timerStatus.dataset.phase = status.phase;
+    } else {
+      delete elements.timerStatus.dataset.phase;
+    }
+
+    if (elements.pauseTimer) {
+      elements.pauseTimer.textContent = status.isPaused ? "继续" : "暂停";
+      elements.pauseTimer.setAttribute("aria-pressed", status.isPaused ? "true" : "false");
+    }
 
-    // 更新圆形进度条
-    updateTimerProgress(status.progress || 0);
+    // 更新圆形进度条（getProgress为已过百分比，圆环显示剩余比例）
+    updateTimerProgress(1 - (status.progress || 0) / 100);
+    updateTimerFadeArc(status);
   } else {
     elements.timerStatus.style.display = "none";
+    elements.timerStatus.classList.remove("sleep-fading", "paused");
+    delete elements.timerStatus.dataset.phase;
+  }
+}
+
+/**
+ * 在圆形进度条末端标出睡眠渐弱区间
+ */
+function updateTimerFadeArc(status) {
+  const fadeArc = document.querySelector(".timer-fade-arc");
+  if (!fadeArc) return;
+
+  // 圆环按剩余比例从起点收缩，渐弱区间位于圆环起点一侧
+  const circumference = 157;
+  const fadeMs = status.phase ? 0 : appState.sleepFadeMinutes * 60 * 1000; // 番茄钟没有睡眠渐弱
+  const total = status.totalDuration || 0;
+  const fadeLength = total > 0 ? Math.min(1, fadeMs / total) * circumference : 0;
+
+  fadeArc.style.strokeDasharray = `${fadeLength} ${circumference}`;
+  fadeArc.style.strokeDashoffset = "0";
+
+  elements.timerStatus.classList.toggle(
+    "sleep-fading",
+    fadeMs > 0 && status.remainingTime < fadeMs
+  );
+}
+
+/**
+ * 计算睡眠渐弱系数：最后N分钟内随剩余时间线性降到0
+ * @param {number} remainingMs - 剩余时间（毫秒）
+ * @returns {number} 渐弱系数 (0-1)
+ */
+function getSleepFadeLevel(remainingMs) {
+  const fadeMs = appState.sleepFadeMinutes * 60 * 1000;
+  if (fadeMs <= 0 || remainingMs >= fadeMs) {
+    return 1;
+  }
+  return Math.max(0, remainingMs / fadeMs);
+}
+
+/**
+ * 定时器每秒更新：刷新显示并推进睡眠渐弱
+ * 渐弱跟随定时器剩余时间计算，因此暂停、恢复、延长后自动对齐
+ */
+function handleTimerUpdate(status) {
+  updateTimerDisplay(status);
+
+  if (status.isActive && typeof audioManager.setMasterFade === "function") {
+    // 以1秒斜坡过渡到下一次更新时的电平，睡前流程的渐弱步骤与睡眠渐弱相乘
+    const level = getSleepFadeLevel(status.remainingTime - 1000) * getRoutineFadeLevel(1000);
+    audioManager.setMasterFade(level, 1);
+  }
+
+  // 场景和睡前流程同样按定时器的已过时间推进，暂停时停在原处
+  if (status.isActive) {
+    updateScene(1);
+    updateRoutine();
+  } else {
+    updateSceneControls();
+    updateRoutineStatus();
+  }
+}
+
+/**
+ * 取消睡眠渐弱，恢复主音量
+ * @param {number} duration - 恢复斜坡时长（秒）
+ */
+function resetSleepFade(duration = 1) {
+  if (typeof audioManager.setMasterFade === "function" && audioManager.getMasterFade() < 1) {
+    audioManager.setMasterFade(1, duration);
+  }
+}
+
+/**
+ * 处理定时器暂停/继续按钮
+ */
+function handlePauseTimerClick() {
+  if (pomodoroTimer.isActive()) {
+    if (pomodoroTimer.isPaused()) {
+      pomodoroTimer.resume();
+    } else {
+      pomodoroTimer.pause();
+    }
+    return;
+  }
+
+  if (timerManager.isPaused()) {
+    timerManager.resume();
+  } else {
+    timerManager.pause();
+  }
+  saveUserSettings();
+}
+
+/**
+ * 处理定时器延长按钮（+5 / +15分钟）
+ */
+function handleExtendTimerClick(event) {
+  const minutes = parseInt(event.currentTarget.dataset.minutes, 10);
+  if (pomodoroTimer.isActive()) {
+    if (minutes && pomodoroTimer.extend(minutes)) {
+      showInfoNotification("🍅", `本阶段已延长${minutes}分钟`);
+    }
+    return;
+  }
+
+  if (!minutes || !timerManager.extend(minutes)) {
+    return;
+  }
+
+  appState.timerDuration += minutes;
+  showInfoNotification("⏱️", `定时器已延长${minutes}分钟`);
+  saveUserSettings();
+}
+
+/**
+ * 恢复播放时继续随播放暂停的定时器
+ */
+function resumeTimerWithPlayback() {
+  if (appState.pauseTimerWithPlayback && timerManager.isPaused()) {
+    timerManager.resume();
+  }
+}
+
+/**
+ * 处理“暂停播放时同时暂停定时器”开关
+ */
+function handlePauseTimerWithPlaybackToggle(event) {
+  appState.pauseTimerWithPlayback = event.target.checked;
+  saveUserSettings();
+}
+
+/**
+ * 处理“定时渐弱”设置变化
+ */
+function handleSleepFadeChange(event) {
+  appState.sleepFadeMinutes = Math.max(0, parseInt(event.target.value, 10) || 0);
+
+  if (timerManager.isActive() || timerManager.isPaused()) {
+    handleTimerUpdate(timerManager.getStatus());
+  } else {
+    resetSleepFade();
   }
+  saveUserSettings();
 }
 
 /**
  * 更新定时器圆形进度条
+ * @param {number} progress - 剩余比例 (0-1)
  */
 function updateTimerProgress(progress) {
   const progressBar = document.querySelector(".timer-progress-bar");
@@ -849,15 +4877,32 @@ document.addEventListener("DOMContentLoaded", initApp);
  */
 window.addEventListener("beforeunload", () => {
   saveUserSettings();
+  clearInterval(limiterMeterInterval);
 
   if (audioManager) {
     audioManager.destroy();
   }
 
+  if (eventSampleLoader) {
+    eventSampleLoader.destroy();
+  }
+
+  if (audioGraph) {
+    audioGraph.destroy();
+  }
+
   if (timerManager) {
     timerManager.destroy();
   }
 
+  if (alarmScheduler) {
+    alarmScheduler.destroy();
+  }
+
+  if (pomodoroTimer) {
+    pomodoroTimer.destroy();
+  }
+
   if (skeletonManager) {
     skeletonManager.destroy();
   }
@@ -900,6 +4945,10 @@ async function handlePlayPauseClick() {
       appState.isPlaying = false;
       appState.playingSounds.clear();
 
+      if (appState.pauseTimerWithPlayback && timerManager.isActive()) {
+        timerManager.pause();
+      }
+
       // 重置背景主题
       resetBackgroundTheme();
     } else {
@@ -907,8 +4956,10 @@ async function handlePlayPauseClick() {
       if (appState.playingSounds.size === 0) {
         const defaultSound = "waves";
         await ensureSoundLoaded(defaultSound);
-        if (await audioManager.playSound(defaultSound, appState.volume / 100)) {
+        audioManager.setSoundGain(defaultSound, getSoundVolume(defaultSound) / 100);
+        if (await audioManager.playSound(defaultSound)) {
           appState.isPlaying = true;
+          resumeTimerWithPlayback();
           appState.playingSounds.add(defaultSound);
           switchBackgroundTheme(defaultSound);
         } else {
@@ -921,12 +4972,13 @@ async function handlePlayPauseClick() {
         for (const soundName of appState.playingSounds) {
           // 确保每个音效已加载（按需加载）
           await ensureSoundLoaded(soundName);
-          if (await audioManager.playSound(soundName, appState.volume / 100)) {
+          if (await audioManager.playSound(soundName)) {
             hasSuccess = true;
           }
         }
         if (hasSuccess) {
           appState.isPlaying = true;
+          resumeTimerWithPlayback();
           // 使用第一个音效的主题
           const firstSound = Array.from(appState.playingSounds)[0];
           switchBackgroundTheme(firstSound);
@@ -967,6 +5019,14 @@ async function handleSoundButtonClick(event) {
       return;
     }
 
+    // 手动切换场景控制的音效时退出场景，避免下一次更新又把它改回去
+    if (activeScene && activeScene.timeline.getSounds().some((name) =>
+      getSoundSources(name).some((source) => getSoundSources(soundName).includes(source))
+    )) {
+      showInfoNotification("🎬", `已退出场景「${activeScene.timeline.name || activeScene.id}」`);
+      stopScene();
+    }
+
     // 确保音频已加载（按需加载）
     await ensureSoundLoaded(soundName);
 
@@ -985,8 +5045,18 @@ async function handleSoundButtonClick(event) {
         switchBackgroundTheme(firstSound);
       }
     } else {
+      // 宏音效与它的层使用相同的录音，先停止冲突的音效
+      const stopped = stopConflictingSounds(soundName);
+      if (stopped.length > 0) {
+        const names = stopped.map((name) => soundConfig[name].name).join("、");
+        showInfoNotification("🎚️", `${names}与${soundConfig[soundName].name}使用相同的录音，已停止`);
+      }
+
+      // 按混音器音量启动，不沿用闹钟等临时调整过的增益
+      audioManager.setSoundGain(soundName, getSoundVolume(soundName) / 100);
+
       // 添加新的音效到播放列表
-      if (await audioManager.playSound(soundName, appState.volume / 100)) {
+      if (await audioManager.playSound(soundName)) {
         appState.isPlaying = true;
         appState.playingSounds.add(soundName);
 
@@ -994,6 +5064,8 @@ async function handleSoundButtonClick(event) {
         if (appState.playingSounds.size === 1) {
           switchBackgroundTheme(soundName);
         }
+
+        warnIfHeadphonesNeeded(soundName);
       } else {
         showErrorMessage("播放失败，请重试");
         return;
@@ -1012,6 +5084,14 @@ async function handleSoundButtonClick(event) {
   }
 }
 
+/**
+ * 处理宏音效强度滑块（拖动时实时生效，松开后保存）
+ * @param {Event} event - input事件
+ */
+function handleMacroIntensityInput(event) {
+  setMacroIntensity(event.target.dataset.sound, Number(event.target.value));
+}
+
 /**
  * 切换设置面板显示状态
  */
@@ -1028,7 +5108,9 @@ function toggleSettingsPanel() {
  */
 function showSettingsPanel() {
   if (elements.settingsPanel) {
+    renderMixer();
     elements.settingsPanel.classList.add("visible");
+    elements.settingsPanel.setAttribute("aria-hidden", "false");
     appState.settingsPanelVisible = true;
   }
 }
@@ -1039,6 +5121,7 @@ function showSettingsPanel() {
 function hideSettingsPanel() {
   if (elements.settingsPanel) {
     elements.settingsPanel.classList.remove("visible");
+    elements.settingsPanel.setAttribute("aria-hidden", "true");
     appState.settingsPanelVisible = false;
   }
 }
@@ -1058,13 +5141,9 @@ function handleSettingsPanelClick(event) {
 const handleVolumeChange = debounce(function (event) {
   try {
     const volume = parseInt(event.target.value);
-    appState.volume = volume;
-
-    // 更新显示
-    updateVolumeDisplay(volume);
 
-    // 设置音频音量
-    audioManager.setMasterVolume(volume / 100);
+    // 更新状态、显示和音频音量
+    applyMasterVolume(volume);
 
     // 保存设置
     saveUserSettings();
@@ -1073,6 +5152,42 @@ const handleVolumeChange = debounce(function (event) {
   }
 }, 100); // 100ms防抖
 
+/**
+ * 处理混音器滑块变化
+ */
+function handleMixerInput(event) {
+  const slider = event.target;
+  if (!slider.classList.contains("mixer-slider")) return;
+
+  const row = slider.closest(".mixer-row");
+  const soundName = row ? row.dataset.sound : null;
+  if (!soundName) return;
+
+  const volume = parseInt(slider.value);
+  const valueLabel = row.querySelector(".mixer-value");
+  if (valueLabel) {
+    valueLabel.textContent = `${volume}%`;
+  }
+
+  applySoundVolume(soundName, volume);
+}
+
+/**
+ * 应用音效独立音量并保存（音量立即生效，保存使用防抖优化）
+ * 各滑块共用同一个保存防抖，快速切换拖动不同滑块时每个音效的最终音量都会生效
+ */
+function applySoundVolume(soundName, volume) {
+  try {
+    appState.soundVolumes[soundName] = volume;
+    audioManager.setSoundGain(soundName, volume / 100);
+    saveSoundVolumes();
+  } catch (error) {
+    console.error("混音音量调节失败:", error);
+  }
+}
+
+const saveSoundVolumes = debounce(saveUserSettings, 100); // 100ms防抖
+
 /**
  * 处理定时器按钮点击
  */
@@ -1151,16 +5266,36 @@ function handleCustomTimerKeypress(event) {
  */
 function startTimer(minutes) {
   try {
+    // 定时器区域同一时间只显示一个倒计时，设定睡眠定时器时结束番茄钟
+    if (pomodoroTimer.isActive()) {
+      stopPomodoro();
+    }
+
+    // 重新设定定时器时已过时间归零，场景和流程保持当前进度（start会立即触发一次更新，需提前换算）
+    const sceneOffset = activeScene ? activeScene.offset : 0;
+    const routineOffset = activeRoutine ? activeRoutine.offset : 0;
+    if (activeScene) {
+      activeScene.offset = -getSceneMinutes() * 60000;
+    }
+    if (activeRoutine) {
+      activeRoutine.offset = -getRoutineMinutes() * 60000;
+    }
     const success = timerManager.start(
       minutes,
       handleTimerExpired,
-      updateTimerDisplay
+      handleTimerUpdate
     );
 
     if (success) {
       appState.timerActive = true;
       appState.timerDuration = minutes;
     } else {
+      if (activeScene) {
+        activeScene.offset = sceneOffset;
+      }
+      if (activeRoutine) {
+        activeRoutine.offset = routineOffset;
+      }
       showErrorMessage("定时器设置失败");
     }
   } catch (error) {
@@ -1174,8 +5309,18 @@ function startTimer(minutes) {
  */
 function handleTimerExpired() {
   try {
-    // 停止所有音频
-    audioManager.stopAllSounds();
+    stopScene(false);
+    stopRoutine();
+
+    // 停止所有音频：睡眠渐弱已将音量降到0时直接停止，随后恢复主音量
+    const sleepFaded =
+      typeof audioManager.getMasterFade === "function" && audioManager.getMasterFade() < 1;
+    if (sleepFaded) {
+      audioManager.stopAllSounds(0);
+      setTimeout(() => resetSleepFade(0), 500);
+    } else {
+      audioManager.stopAllSounds();
+    }
 
     // 更新应用状态
     appState.isPlaying = false;
@@ -1203,7 +5348,16 @@ function handleTimerExpired() {
  */
 function handleCancelTimer() {
   try {
+    if (pomodoroTimer.isActive()) {
+      stopPomodoro();
+      return;
+    }
+
+    // 场景和睡前流程依赖定时器的时钟，取消定时器时一并停止
     timerManager.cancel();
+    resetSleepFade();
+    stopScene();
+    stopRoutine();
 
     appState.timerActive = false;
     appState.timerDuration = 0;
@@ -1229,6 +5383,14 @@ function handleKeyboardShortcuts(event) {
   }
 
   switch (event.key.toLowerCase()) {
+    case "escape":
+      if (elements.startPrompt && elements.startPrompt.style.display !== "none") {
+        hideStartPrompt();
+      } else if (appState.settingsPanelVisible) {
+        hideSettingsPanel();
+      }
+      break;
+
     case "1":
     case "2":
     case "3":
@@ -1278,6 +5440,14 @@ function handleVisibilityChange() {
     if (audioManager && appState.isPlaying) {
       audioManager.resumeContext();
     }
+
+    // 隐藏期间定时器可能被节流或推迟，按时钟时间校准闹钟
+    if (alarmScheduler && alarmScheduler.isScheduled()) {
+      alarmScheduler.resync();
+    }
+    if (pomodoroTimer && pomodoroTimer.isActive()) {
+      pomodoroTimer.resync();
+    }
   }
 }
 
@@ -1831,6 +6001,8 @@ function initializeRippleEffects() {
   const otherButtons = [
     elements.setCustomTimer,
     elements.cancelTimer,
+    elements.pauseTimer,
+    ...elements.extendTimerButtons,
     elements.closeError,
   ];
 
@@ -1844,11 +6016,13 @@ function initializeRippleEffects() {
 
 /**
  * 为元素添加呼吸动画
+ * @param {HTMLElement} element - 目标元素
+ * @param {number} duration - 一次呼吸的时长（秒），默认3秒
  */
-function addBreathingEffect(element) {
+function addBreathingEffect(element, duration = 3) {
   if (!element) return;
 
-  element.style.animation = "breathe 3s ease-in-out infinite";
+  element.style.animation = `breathe ${duration}s ease-in-out infinite`;
 }
 
 /**
@@ -1883,9 +6057,10 @@ function switchBackgroundTheme(soundName) {
     backgroundContainer.classList.remove(className);
   });
 
-  // 添加对应的主题类
-  if (soundName && themeClasses.includes(`bg-${soundName}`)) {
-    backgroundContainer.classList.add(`bg-${soundName}`);
+  // 添加对应的主题类（程序化噪声共用白噪音主题）
+  const themeName = soundConfig[soundName]?.theme || soundName;
+  if (themeName && themeClasses.includes(`bg-${themeName}`)) {
+    backgroundContainer.classList.add(`bg-${themeName}`);
   }
 }
 
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * 响度测量工具 - 按ITU-R BS.1770-4测量每个HLS音效的综合响度（LUFS）并写入index.json
+ * 用法: node measure_loudness.js [HLS目录，默认audio.hls] [--dry-run]
+ *       node measure_loudness.js --generators
+ *
+ * 依赖ffmpeg将HLS切片解码为48kHz浮点PCM（与convert_to_hls.sh相同），响度计算在本脚本中完成
+ * --generators 用同一响度计测量程序化音源（js/NoiseGenerator.js、js/ToneGenerator.js）的输出，
+ * 结果填入main.js中soundConfig各程序化音效的loudness字段，不需要ffmpeg
+ * 写入后index.json中每个音效的格式为：
+ *   "rain": { "path": "audio.hls/rain/playlist.m3u8", "loudness": -27.4 }
+ * 播放器按 目标响度 - loudness 计算各音效的补偿增益
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SAMPLE_RATE = 48000; // K加权滤波器系数按48kHz给出，解码时统一重采样
+const CHANNELS = 2;
+
+/**
+ * BS.1770响度计：K加权 + 400ms门限块（75%重叠） + 绝对/相对门限
+ * 以流的方式逐段输入交错的立体声采样，内存占用与音频时长无关（每100ms只保存一个能量值）
+ */
+class LoudnessMeter {
+    constructor() {
+        this.stepSize = SAMPLE_RATE / 10; // 100ms，门限块步长
+        this.stepEnergies = []; // 每100ms的各声道均方和
+        this.stepSum = 0;
+        this.stepCount = 0;
+        this.filters = Array.from({ length: CHANNELS }, () => LoudnessMeter.createKWeighting());
+    }
+
+    /**
+     * 创建K加权滤波器（高搁架 + 高通两级双二阶），返回逐采样处理函数
+     * @returns {Function} (sample) => 加权后的采样
+     */
+    static createKWeighting() {
+        const stages = [
+            { b: [1.53512485958697, -2.69169618940638, 1.19839281085285], a: [-1.69065929318241, 0.73248077421585] },
+            { b: [1.0, -2.0, 1.0], a: [-1.99004745483398, 0.99007225036621] }
+        ].map(coefficients => ({ ...coefficients, x1: 0, x2: 0, y1: 0, y2: 0 }));
+
+        return (sample) => {
+            let x = sample;
+            for (const s of stages) {
+                const y = s.b[0] * x + s.b[1] * s.x1 + s.b[2] * s.x2 - s.a[0] * s.y1 - s.a[1] * s.y2;
+                s.x2 = s.x1;
+                s.x1 = x;
+                s.y2 = s.y1;
+                s.y1 = y;
+                x = y;
+            }
+            return x;
+        };
+    }
+
+    /**
+     * 输入交错的立体声采样
+     * @param {Float32Array} samples - L R L R ...
+     */
+    push(samples) {
+        for (let i = 0; i + CHANNELS <= samples.length; i += CHANNELS) {
+            for (let channel = 0; channel < CHANNELS; channel++) {
+                const weighted = this.filters[channel](samples[i + channel]);
+                this.stepSum += weighted * weighted;
+            }
+
+            if (++this.stepCount === this.stepSize) {
+                this.stepEnergies.push(this.stepSum / this.stepSize);
+                this.stepSum = 0;
+                this.stepCount = 0;
+            }
+        }
+    }
+
+    /**
+     * 计算综合响度
+     * @returns {number|null} LUFS，音频不足400ms或全部低于绝对门限时返回null
+     */
+    getIntegratedLoudness() {
+        const blocks = [];
+        for (let i = 3; i < this.stepEnergies.length; i++) {
+            const energies = this.stepEnergies.slice(i - 3, i + 1);
+            blocks.push(energies.reduce((sum, energy) => sum + energy, 0) / energies.length);
+        }
+
+        const toLoudness = energy => -0.691 + 10 * Math.log10(energy);
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        const absoluteGated = blocks.filter(energy => toLoudness(energy) > -70);
+        if (absoluteGated.length === 0) {
+            return null;
+        }
+
+        const relativeGate = toLoudness(mean(absoluteGated)) - 10;
+        const relativeGated = absoluteGated.filter(energy => toLoudness(energy) > relativeGate);
+        return toLoudness(mean(relativeGated));
+    }
+}
+
+/**
+ * 用ffmpeg解码HLS播放列表并测量响度
+ * @param {string} playlistPath - playlist.m3u8路径
+ * @returns {Promise<number|null>} 综合响度（LUFS）
+ */
+function measurePlaylist(playlistPath) {
+    return new Promise((resolve, reject) => {
+        const meter = new LoudnessMeter();
+        const ffmpeg = spawn('ffmpeg', [
+            '-v', 'error',
+            '-i', playlistPath,
+            '-f', 'f32le',
+            '-ac', String(CHANNELS),
+            '-ar', String(SAMPLE_RATE),
+            '-'
+        ]);
+
+        let pending = Buffer.alloc(0);
+        let errorOutput = '';
+
+        ffmpeg.stdout.on('data', (chunk) => {
+            // 数据块边界不一定对齐到4字节采样，剩余部分留到下一块
+            const data = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+            const usable = data.length - (data.length % (4 * CHANNELS));
+            const samples = new Float32Array(data.buffer.slice(data.byteOffset, data.byteOffset + usable));
+            meter.push(samples);
+            pending = data.subarray(usable);
+        });
+        ffmpeg.stderr.on('data', (chunk) => {
+            errorOutput += chunk;
+        });
+        ffmpeg.on('error', (error) => {
+            reject(error.code === 'ENOENT' ? new Error('未找到ffmpeg，请先安装ffmpeg') : error);
+        });
+        ffmpeg.on('close', (code) => {
+            if (code !== 0) {
+                reject(new Error(`ffmpeg解码失败 (${code}): ${errorOutput.trim()}`));
+                return;
+            }
+            resolve(meter.getIntegratedLoudness());
+        });
+    });
+}
+
+/**
+ * 载入浏览器端的音源类（普通脚本，没有模块导出）
+ * @param {string} file - 相对本脚本的路径
+ * @param {string} className - 类名
+ * @returns {Function} 类
+ */
+function loadBrowserClass(file, className) {
+    const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    return new Function(`${source}\nreturn ${className};`)();
+}
+
+/**
+ * 测量程序化音源的综合响度：按播放器的合成方式离线渲染，再输入响度计
+ * 噪声使用与AudioWorklet相同的着色函数（左右声道独立、频谱倾斜为0），音调为默认α预设的双耳节拍
+ * @param {number} seconds - 渲染时长（秒），噪声为随机信号，越长结果越稳定
+ * @returns {Object} { 噪声颜色或'tone': LUFS }
+ */
+function measureGenerators(seconds = 60) {
+    const NoiseGenerator = loadBrowserClass('js/NoiseGenerator.js', 'NoiseGenerator');
+    const ToneGenerator = loadBrowserClass('js/ToneGenerator.js', 'ToneGenerator');
+    const chunkFrames = SAMPLE_RATE;
+
+    const render = (sampleAt) => {
+        const meter = new LoudnessMeter();
+        const chunk = new Float32Array(chunkFrames * CHANNELS);
+        for (let offset = 0; offset < seconds * SAMPLE_RATE; offset += chunkFrames) {
+            for (let i = 0; i < chunkFrames; i++) {
+                for (let channel = 0; channel < CHANNELS; channel++) {
+                    chunk[i * CHANNELS + channel] = sampleAt(channel, offset + i);
+                }
+            }
+            meter.push(chunk);
+        }
+        return meter.getIntegratedLoudness();
+    };
+
+    const results = {};
+    NoiseGenerator.COLORS.forEach((color) => {
+        const shapers = Array.from({ length: CHANNELS }, () => NoiseGenerator.createNoiseShaper(color));
+        results[color] = render(channel => shapers[channel](Math.random() * 2 - 1));
+    });
+
+    const tone = new ToneGenerator();
+    const { carrier, beat } = tone.getSettings();
+    const frequencies = [carrier - beat / 2, carrier + beat / 2];
+    results.tone = render((channel, frame) =>
+        tone.outputLevel * Math.sin(2 * Math.PI * frequencies[channel] * frame / SAMPLE_RATE));
+
+    return results;
+}
+
+/**
+ * 读取index.json，兼容旧格式（值为播放列表路径字符串）
+ * @param {string} manifestPath - index.json路径
+ * @returns {Object} { name: { path, loudness? } }
+ */
+function readManifest(manifestPath) {
+    if (!fs.existsSync(manifestPath)) {
+        return {};
+    }
+
+    const raw = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const manifest = {};
+    Object.entries(raw).forEach(([name, entry]) => {
+        manifest[name] = typeof entry === 'string' ? { path: entry } : { ...entry };
+    });
+    return manifest;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+
+    if (args.includes('--generators')) {
+        Object.entries(measureGenerators()).forEach(([name, loudness]) => {
+            console.log(`🎛️  ${name}: ${Math.round(loudness * 10) / 10} LUFS`);
+        });
+        return;
+    }
+
+    const hlsDir = args.find(arg => !arg.startsWith('--')) || 'audio.hls';
+    const manifestPath = path.join(hlsDir, 'index.json');
+    const manifest = readManifest(manifestPath);
+
+    const names = fs.readdirSync(hlsDir)
+        .filter(name => fs.existsSync(path.join(hlsDir, name, 'playlist.m3u8')))
+        .sort();
+
+    if (names.length === 0) {
+        console.error(`错误: ${hlsDir} 中没有找到HLS音效`);
+        process.exit(1);
+    }
+
+    for (const name of names) {
+        const playlistPath = path.join(hlsDir, name, 'playlist.m3u8');
+        process.stdout.write(`🎚️  测量 ${name} ... `);
+
+        const loudness = await measurePlaylist(playlistPath);
+        const entry = manifest[name] || { path: `${path.basename(hlsDir)}/${name}/playlist.m3u8` };
+
+        if (loudness === null) {
+            console.log('静音或过短，跳过');
+            delete entry.loudness;
+        } else {
+            entry.loudness = Math.round(loudness * 10) / 10;
+            console.log(`${entry.loudness} LUFS`);
+        }
+        manifest[name] = entry;
+    }
+
+    if (dryRun) {
+        console.log(JSON.stringify(manifest, null, 2));
+        return;
+    }
+
+    fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`✅ 已写入 ${manifestPath}`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { LoudnessMeter, measurePlaylist, measureGenerators, readManifest };